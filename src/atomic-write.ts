@@ -0,0 +1,167 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+export type FileWrite = {
+  absolutePath: string;
+  content: string;
+};
+
+type StagedChange = {
+  absolutePath: string;
+  // The file that is replaced: the symlink target when the path is a symlink.
+  targetPath: string;
+  // The new content, or null for a removal.
+  tempPath: string | null;
+  // Where the replaced or removed file is kept until the write succeeds, or
+  // null when there was none.
+  originalPath: string | null;
+};
+
+const toMessage = (error: unknown): string =>
+  error instanceof Error ? error.message : String(error);
+
+// A sibling of the target, so the rename stays on one file system.
+const getTempPath = (filePath: string): string =>
+  path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`
+  );
+
+// Creates the directory and returns the directories that did not exist yet,
+// deepest first.
+const createDirectory = (dirPath: string): string[] => {
+  const firstCreated = fs.mkdirSync(dirPath, { recursive: true });
+  if (firstCreated === undefined) {
+    return [];
+  }
+  const created: string[] = [];
+  for (let current = dirPath; current !== path.dirname(firstCreated); ) {
+    created.push(current);
+    current = path.dirname(current);
+  }
+  return created;
+};
+
+// Removes directories this write created, when nothing else was put in them.
+const removeDirectories = (dirPaths: string[]): void => {
+  for (const dirPath of dirPaths) {
+    try {
+      fs.rmdirSync(dirPath);
+    } catch {
+      // Not empty or already gone.
+    }
+  }
+};
+
+const removeStagedFiles = (staged: StagedChange[]): void => {
+  for (const file of staged) {
+    if (file.tempPath !== null) {
+      fs.rmSync(file.tempPath, { force: true });
+    }
+    if (file.originalPath !== null) {
+      fs.rmSync(file.originalPath, { force: true });
+    }
+  }
+};
+
+const stageWrite = (file: FileWrite, createdDirectories: string[]): StagedChange => {
+  createdDirectories.unshift(...createDirectory(path.dirname(file.absolutePath)));
+  // Renaming onto a symlink would replace the link, so write to its target.
+  const targetPath = fs.existsSync(file.absolutePath)
+    ? fs.realpathSync(file.absolutePath)
+    : file.absolutePath;
+  const stat = fs.statSync(targetPath, { throwIfNoEntry: false });
+  const tempPath = getTempPath(targetPath);
+  const originalPath = stat?.isFile() ? getTempPath(targetPath) : null;
+  try {
+    fs.writeFileSync(tempPath, file.content, "utf8");
+    // Keep the replaced file's permissions.
+    if (stat?.isFile()) {
+      fs.chmodSync(tempPath, stat.mode);
+    }
+    if (originalPath !== null) {
+      fs.copyFileSync(targetPath, originalPath);
+    }
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    if (originalPath !== null) {
+      fs.rmSync(originalPath, { force: true });
+    }
+    throw error;
+  }
+  return { absolutePath: file.absolutePath, targetPath, tempPath, originalPath };
+};
+
+// The removed file is moved aside when the changes are applied.
+const stageRemoval = (absolutePath: string): StagedChange => ({
+  absolutePath,
+  targetPath: absolutePath,
+  tempPath: null,
+  originalPath: getTempPath(absolutePath)
+});
+
+const applyChange = (file: StagedChange): void => {
+  if (file.tempPath !== null) {
+    fs.renameSync(file.tempPath, file.targetPath);
+  } else if (file.originalPath !== null) {
+    fs.renameSync(file.targetPath, file.originalPath);
+  }
+};
+
+// Puts back what the first files held before they were replaced, renaming the
+// staged copies into place so readers never see a half-restored file.
+const rollBack = (replaced: StagedChange[]): string[] =>
+  replaced.flatMap((file) => {
+    try {
+      if (file.originalPath === null) {
+        fs.rmSync(file.targetPath, { force: true });
+      } else {
+        fs.renameSync(file.originalPath, file.targetPath);
+      }
+      return [];
+    } catch {
+      return [file.absolutePath];
+    }
+  });
+
+// Writes every file and removes every listed file, or changes none: all
+// contents are staged to temporary files first, then renamed into place, so
+// readers never see a half-written file. When a step fails, the files already
+// replaced or removed get their old content back and the directories created
+// for the write are removed again.
+export const writeFilesAtomically = (files: FileWrite[], removals: string[] = []): void => {
+  const staged: StagedChange[] = [];
+  const createdDirectories: string[] = [];
+  for (const file of files) {
+    try {
+      staged.push(stageWrite(file, createdDirectories));
+    } catch (error) {
+      removeStagedFiles(staged);
+      removeDirectories(createdDirectories);
+      throw new Error(
+        `Unable to write ${file.absolutePath}: ${toMessage(error)}. No files changed.`
+      );
+    }
+  }
+  staged.push(...removals.filter((filePath) => fs.existsSync(filePath)).map(stageRemoval));
+
+  for (const [index, file] of staged.entries()) {
+    try {
+      applyChange(file);
+    } catch (error) {
+      const notRestored = rollBack(staged.slice(0, index));
+      removeStagedFiles(staged);
+      if (notRestored.length === 0) {
+        removeDirectories(createdDirectories);
+      }
+      const outcome =
+        notRestored.length === 0
+          ? "No files changed."
+          : `Could not restore: ${notRestored.join(", ")}.`;
+      const action = file.tempPath === null ? "remove" : "write";
+      throw new Error(`Unable to ${action} ${file.absolutePath}: ${toMessage(error)}. ${outcome}`);
+    }
+  }
+  removeStagedFiles(staged);
+};
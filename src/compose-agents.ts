@@ -2,32 +2,71 @@
 
 import fs from "node:fs";
 import path from "node:path";
-import os from "node:os";
-import { execFileSync } from "node:child_process";
 import readline from "node:readline";
-import { Ajv, type ErrorObject } from "ajv";
-import { createTwoFilesPatch } from "diff";
-import { countTokens } from "gpt-tokenizer";
-import { prepareGitFallbackDestination } from "./git-fallback.js";
-import { resolveProfileSelections } from "./profiles.js";
-
-const DEFAULT_RULESET_NAME = "agent-ruleset.json";
-const DEFAULT_OUTPUT = "AGENTS.md";
-const DEFAULT_CLAUDE_OUTPUT = "CLAUDE.md";
-const DEFAULT_CODEX_GLOBAL_OUTPUT = path.join(os.homedir(), ".codex", "AGENTS.md");
-const DEFAULT_OPENCODE_GLOBAL_OUTPUT = path.join(os.homedir(), ".config", "opencode", "AGENTS.md");
-const DEFAULT_CLAUDE_GLOBAL_OUTPUT = path.join(os.homedir(), ".claude", "CLAUDE.md");
-const DEFAULT_GEMINI_GLOBAL_OUTPUT = path.join(os.homedir(), ".gemini", "GEMINI.md");
-const DEFAULT_COPILOT_GLOBAL_OUTPUT = path.join(
-  os.homedir(),
-  ".copilot",
-  "copilot-instructions.md"
-);
-const DEFAULT_CACHE_ROOT = path.join(os.homedir(), ".agentsmd", "cache");
-const DEFAULT_WORKSPACE_ROOT = path.join(os.homedir(), ".agentsmd", "workspace");
+import {
+  checkGlobalOutputs,
+  checkRuleset,
+  composeRuleset,
+  composeRulesets,
+  resolveOutputPaths,
+  type BudgetCheckResult,
+  type ComposeOptions,
+  type ComposeResult,
+  type GlobalCheckResult,
+  type OutputGroupDiff,
+  type ScopeBudgetResult,
+  type SourceMapSection
+} from "./compose.js";
+import { expandFileGlob, type DomainCondition } from "./conditions.js";
+import { diffSourceVersions, type VersionDiffResult } from "./diff.js";
+import { runDoctor, type DoctorReport } from "./doctor.js";
+import { explainOutput, type ExplainResult } from "./explain.js";
+import { lintRulesSource, type RuleLintResult } from "./lint-rules.js";
+import { restoreBackup, type OutputBackup } from "./ownership.js";
+import {
+  describeProfiles,
+  listProfiles,
+  listSourceProfileNames,
+  type ProfileDescription,
+  type ProfileSummary
+} from "./profile-catalog.js";
+import {
+  DEFAULT_CLAUDE_OUTPUT,
+  DEFAULT_OUTPUT,
+  DEFAULT_RULESET_NAME,
+  readProjectRuleset,
+  resolveWorkspaceRulesets,
+  type ProjectRuleset
+} from "./ruleset.js";
+import {
+  applyRulesFromWorkspace,
+  clearCache,
+  ensureWorkspaceForRemoteSource,
+  isRemoteSource,
+  parseRemoteSource,
+  resolveLocalRulesRoot,
+  resolveSourceSubpath,
+  resolveWorkspaceRoot,
+  type SourceCache
+} from "./sources.js";
+import {
+  collectWatchTargets,
+  getRulesetWatchTarget,
+  matchesWatchTarget,
+  watchTargets,
+  type WatchTarget
+} from "./watch.js";
+import {
+  ensureFileExists,
+  normalizePath,
+  normalizeTrailingWhitespace,
+  resolveFrom,
+  toDisplayPath
+} from "./utils.js";
+
+const OFFLINE_ENV_VAR = "COMPOSE_AGENTSMD_OFFLINE";
 const DEFAULT_INIT_SOURCES: string[] = ["github:owner/repo"];
 const DEFAULT_INIT_PROFILE = "node-cli";
-const RULESET_SCHEMA_PATH = new URL("../agent-ruleset.schema.json", import.meta.url);
 const PACKAGE_JSON_PATH = new URL("../package.json", import.meta.url);
 
 type CliArgs = {
@@ -39,7 +78,16 @@ type CliArgs = {
   root?: string;
   ruleset?: string;
   rulesetName?: string;
+  diffSource?: string;
+  from?: string;
+  to?: string;
+  line?: number;
+  grep?: string;
+  recursive?: boolean;
   refresh?: boolean;
+  offline?: boolean;
+  failOnBudget?: boolean;
+  backup?: string;
   clearCache?: boolean;
   profile?: string;
   output?: string;
@@ -48,41 +96,62 @@ type CliArgs = {
   dryRun?: boolean;
   yes?: boolean;
   force?: boolean;
-  command?: "compose" | "edit-rules" | "apply-rules" | "init" | "check";
-};
+  command?: CliCommand;
+};
+
+type CliCommand =
+  | "compose"
+  | "edit-rules"
+  | "apply-rules"
+  | "init"
+  | "check"
+  | "update"
+  | "watch"
+  | "diff"
+  | "explain"
+  | "list-profiles"
+  | "describe-profile"
+  | "doctor"
+  | "lint-rules"
+  | "restore";
+
+// Commands that work on every ruleset of a monorepo, not just the root one.
+const MULTI_RULESET_COMMANDS = new Set<CliCommand>(["compose", "check", "update", "watch"]);
 
-const TOOL_RULES_PATH = new URL("../tools/tool-rules.md", import.meta.url);
 const USAGE_PATH = new URL("../tools/usage.txt", import.meta.url);
 
-const BUDGET_TOKENIZER = "o200k_base";
-// Token budgets for the composed global rules.
-// - DEFAULT_TOTAL_BUDGET: hard budget for the always-loaded global rules.
-//   Sized to accommodate realistic invariant density (~80–120 invariants ×
-//   ~30–50 tokens each ≈ 5–6k tokens) plus structural margin and growth
-//   headroom, while staying a small fraction of the smallest target model's
-//   effective system-prompt window. Total exceedance is a budget violation.
-// - DEFAULT_MODULE_BUDGET: per-module advisory threshold, NOT a violation.
-//   Crossing it triggers a review prompt to check whether the module is
-//   leaking procedural content (procedures belong in skills, not rules).
-const DEFAULT_TOTAL_BUDGET = 8000;
-const DEFAULT_MODULE_BUDGET = 800;
-const LINT_HEADER = "<!-- markdownlint-disable MD025 -->";
+// Errors in how the CLI was invoked; only these are followed by the usage text.
+class UsageError extends Error {}
 
 const readValueArg = (remaining: string[], index: number, flag: string): string => {
   const value = remaining[index + 1];
   if (!value) {
-    throw new Error(`Missing value for ${flag}`);
+    throw new UsageError(`Missing value for ${flag}`);
   }
   return value;
 };
 
 const parseArgs = (argv: string[]): CliArgs => {
   const args: CliArgs = {};
-  const knownCommands = new Set(["edit-rules", "apply-rules", "init", "check"]);
+  const knownCommands = new Set([
+    "edit-rules",
+    "apply-rules",
+    "init",
+    "check",
+    "update",
+    "watch",
+    "diff",
+    "explain",
+    "list-profiles",
+    "describe-profile",
+    "doctor",
+    "lint-rules",
+    "restore"
+  ]);
   const remaining = [...argv];
 
   if (remaining.length > 0 && knownCommands.has(remaining[0])) {
-    args.command = remaining.shift() as "edit-rules" | "apply-rules" | "init" | "check";
+    args.command = remaining.shift() as CliCommand;
   }
 
   for (let i = 0; i < remaining.length; i += 1) {
@@ -134,16 +203,71 @@ const parseArgs = (argv: string[]): CliArgs => {
       continue;
     }
 
+    if (arg === "--diff-source") {
+      args.diffSource = readValueArg(remaining, i, "--diff-source");
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--from") {
+      args.from = readValueArg(remaining, i, "--from");
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--to") {
+      args.to = readValueArg(remaining, i, "--to");
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--line") {
+      const value = readValueArg(remaining, i, "--line");
+      if (!/^[1-9]\d*$/u.test(value)) {
+        throw new UsageError(`Invalid value for --line: ${value}. Use a line number from 1.`);
+      }
+      args.line = Number(value);
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--grep") {
+      args.grep = readValueArg(remaining, i, "--grep");
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--recursive") {
+      args.recursive = true;
+      continue;
+    }
+
     if (arg === "--refresh") {
       args.refresh = true;
       continue;
     }
 
+    if (arg === "--offline") {
+      args.offline = true;
+      continue;
+    }
+
+    if (arg === "--fail-on-budget") {
+      args.failOnBudget = true;
+      continue;
+    }
+
     if (arg === "--clear-cache") {
       args.clearCache = true;
       continue;
     }
 
+    if (arg === "--backup") {
+      args.backup = readValueArg(remaining, i, "--backup");
+      i += 1;
+      continue;
+    }
+
     if (arg === "--profile") {
       const value = readValueArg(remaining, i, "--profile");
       args.profile = value;
@@ -158,6 +282,11 @@ const parseArgs = (argv: string[]): CliArgs => {
       continue;
     }
 
+    if (arg === "--global") {
+      args.global = true;
+      continue;
+    }
+
     if (arg === "--no-global") {
       args.global = false;
       continue;
@@ -183,16 +312,14 @@ const parseArgs = (argv: string[]): CliArgs => {
       continue;
     }
 
-    throw new Error(`Unknown argument: ${arg}`);
+    throw new UsageError(`Unknown argument: ${arg}`);
   }
 
   return args;
 };
 
-const normalizeTrailingWhitespace = (content: string): string => content.replace(/\s+$/u, "");
-const normalizePath = (filePath: string): string => filePath.replace(/\\/g, "/");
-const isNonEmptyString = (value: unknown): value is string =>
-  typeof value === "string" && value.trim() !== "";
+const isEnvFlagSet = (value: string | undefined): boolean =>
+  value !== undefined && /^(1|true|yes)$/iu.test(value.trim());
 
 const askQuestion = (prompt: string): Promise<string> =>
   new Promise((resolve) => {
@@ -207,966 +334,361 @@ const usage = normalizeTrailingWhitespace(fs.readFileSync(USAGE_PATH, "utf8"));
 const packageJson = JSON.parse(fs.readFileSync(PACKAGE_JSON_PATH, "utf8")) as { version?: string };
 const getVersion = (): string => packageJson.version ?? "unknown";
 
-const rulesetSchema = JSON.parse(fs.readFileSync(RULESET_SCHEMA_PATH, "utf8"));
-const TOOL_RULES = normalizeTrailingWhitespace(fs.readFileSync(TOOL_RULES_PATH, "utf8"));
-const ajv = new Ajv({ allErrors: true, strict: false });
-const validateRulesetSchema = ajv.compile(rulesetSchema);
-
-const formatSchemaErrors = (errors: ErrorObject[] | null | undefined): string => {
-  if (!errors || errors.length === 0) {
-    return "Unknown schema validation error";
-  }
-
-  return errors
-    .map((error) => {
-      const pathLabel = error.instancePath ? error.instancePath : "(root)";
-      return `${pathLabel} ${error.message ?? "is invalid"}`;
-    })
-    .join("; ");
-};
-
-const resolveFrom = (baseDir: string, targetPath: string): string => {
-  if (path.isAbsolute(targetPath)) {
-    return targetPath;
-  }
-
-  return path.resolve(baseDir, targetPath);
-};
-
-const isSubPath = (baseDir: string, targetPath: string): boolean => {
-  const relativePath = path.relative(path.resolve(baseDir), path.resolve(targetPath));
-  return relativePath === "" || (!relativePath.startsWith("..") && !path.isAbsolute(relativePath));
-};
-
-const toDisplayPath = (rootDir: string, filePath: string): string => {
-  if (isSubPath(rootDir, filePath)) {
-    const relativePath = path.relative(rootDir, filePath);
-    return normalizePath(relativePath || path.basename(filePath));
-  }
-
-  const homeDir = os.homedir();
-  if (isSubPath(homeDir, filePath)) {
-    const relativeToHome = normalizePath(path.relative(homeDir, filePath));
-    return relativeToHome ? `~/${relativeToHome}` : "~";
-  }
-
-  return normalizePath(path.resolve(filePath));
-};
-
-const ensureDir = (dirPath: string): void => {
-  fs.mkdirSync(dirPath, { recursive: true });
-};
-
-const clearCache = (): void => {
-  if (fs.existsSync(DEFAULT_CACHE_ROOT)) {
-    fs.rmSync(DEFAULT_CACHE_ROOT, { recursive: true, force: true });
-  }
-};
-
-const ensureFileExists = (filePath: string): void => {
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`Missing file: ${filePath}`);
-  }
-};
-
-const ensureDirectoryExists = (dirPath: string): void => {
-  if (!fs.existsSync(dirPath)) {
-    throw new Error(`Missing directory: ${dirPath}`);
-  }
-
-  const stat = fs.statSync(dirPath);
-  if (!stat.isDirectory()) {
-    throw new Error(`Not a directory: ${dirPath}`);
+const writeOutputDiff = (diff: OutputGroupDiff): void => {
+  const scopeLabel = diff.scope === "global" ? "Global outputs" : "Repository outputs";
+  if (diff.status === "unchanged") {
+    process.stdout.write(`${scopeLabel} unchanged.\n`);
+    return;
   }
-};
-
-const isExistingDirectory = (dirPath: string): boolean =>
-  fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory();
-
-const stripJsonComments = (input: string): string => {
-  let output = "";
-  let inString = false;
-  let stringChar = "";
-  let escaping = false;
-  let inLineComment = false;
-  let inBlockComment = false;
-
-  for (let i = 0; i < input.length; i += 1) {
-    const char = input[i];
-    const next = input[i + 1];
-
-    if (inLineComment) {
-      if (char === "\n") {
-        inLineComment = false;
-        output += char;
-      }
-      continue;
-    }
-
-    if (inBlockComment) {
-      if (char === "*" && next === "/") {
-        inBlockComment = false;
-        i += 1;
-      }
-      continue;
-    }
-
-    if (inString) {
-      output += char;
-      if (escaping) {
-        escaping = false;
-        continue;
-      }
-      if (char === "\\") {
-        escaping = true;
-        continue;
-      }
-      if (char === stringChar) {
-        inString = false;
-        stringChar = "";
-      }
-      continue;
-    }
-
-    if (char === "/" && next === "/") {
-      inLineComment = true;
-      i += 1;
-      continue;
-    }
-
-    if (char === "/" && next === "*") {
-      inBlockComment = true;
-      i += 1;
-      continue;
-    }
 
-    if (char === '"' || char === "'") {
-      inString = true;
-      stringChar = char;
-      output += char;
-      continue;
+  process.stdout.write(
+    `${scopeLabel} updated. ACTION (agent): refresh rule recognition from the diff below.\n`
+  );
+  process.stdout.write(`Targets:\n${diff.targets.map((target) => `- ${target}`).join("\n")}\n`);
+  process.stdout.write(`--- BEGIN ${diff.scope.toUpperCase()} DIFF ---\n`);
+  if (diff.patch) {
+    process.stdout.write(diff.patch);
+    if (!diff.patch.endsWith("\n")) {
+      process.stdout.write("\n");
     }
-
-    output += char;
   }
-
-  return output;
-};
-
-const readJsonFile = (filePath: string): unknown => {
-  const raw = fs.readFileSync(filePath, "utf8");
-  return JSON.parse(stripJsonComments(raw));
-};
-
-type ProjectRuleset = {
-  sources: string[];
-  profile: string;
-  global?: boolean;
-  output?: string;
-  claude?: {
-    enabled?: boolean;
-    output?: string;
-  };
-  budget?: {
-    totalTokens?: number;
-    moduleTokens?: number;
-  };
-};
-
-const readProjectRuleset = (rulesetPath: string): ProjectRuleset => {
-  const parsed = readJsonFile(rulesetPath);
-  const isValid = validateRulesetSchema(parsed);
-  if (!isValid) {
-    const message = formatSchemaErrors(validateRulesetSchema.errors);
-    throw new Error(`Invalid ruleset schema in ${rulesetPath}: ${message}`);
-  }
-
-  const ruleset = parsed as ProjectRuleset;
-  if (ruleset.output === undefined) {
-    ruleset.output = DEFAULT_OUTPUT;
-  }
-  if (ruleset.claude === undefined) {
-    ruleset.claude = {};
-  }
-  if (ruleset.claude.enabled === undefined) {
-    ruleset.claude.enabled = true;
-  }
-  if (ruleset.claude.output === undefined) {
-    ruleset.claude.output = DEFAULT_CLAUDE_OUTPUT;
-  }
-  if (ruleset.global === undefined) {
-    ruleset.global = true;
-  }
-
-  return ruleset;
-};
-
-type GithubSource = {
-  owner: string;
-  repo: string;
-  ref: string;
-  url: string;
+  process.stdout.write(`--- END ${diff.scope.toUpperCase()} DIFF ---\n`);
 };
 
-const collectMarkdownFiles = (rootDir: string): string[] => {
-  ensureDirectoryExists(rootDir);
-
-  const results: string[] = [];
-  const pending = [rootDir];
-
-  while (pending.length > 0) {
-    const currentDir = pending.pop();
-    if (!currentDir) {
-      continue;
-    }
-
-    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      // Skip symbolic links (including Windows junctions). Following them would
-      // let a malicious source compose files outside its declared rules/domains
-      // boundary through the markdown collector.
-      if (entry.isSymbolicLink()) {
-        continue;
-      }
-
-      const entryPath = path.join(currentDir, entry.name);
-
-      if (entry.isDirectory()) {
-        pending.push(entryPath);
-        continue;
-      }
-
-      if (entry.isFile() && path.extname(entry.name).toLowerCase() === ".md") {
-        results.push(entryPath);
-      }
-    }
+const printOutputDiffs = (result: ComposeResult): void => {
+  for (const diff of result.outputDiffs) {
+    writeOutputDiff(diff);
   }
-
-  return results.sort((a, b) => {
-    const relA = normalizePath(path.relative(rootDir, a));
-    const relB = normalizePath(path.relative(rootDir, b));
-    return relA.localeCompare(relB);
-  });
 };
 
-type ComposeOptions = {
-  refresh?: boolean;
-  dryRun?: boolean;
-  emitDiffs?: boolean;
-  emitGlobalDiffs?: boolean;
-};
-
-type OutputScope = "repository" | "global";
-
-type OutputGroupDiff = {
-  scope: OutputScope;
-  targets: string[];
-  status: "unchanged" | "updated";
-  patch?: string;
-};
-
-type BudgetCheckResult = {
-  tokenizer: string;
-  totalTokens: number;
-  totalBudget: number;
-  moduleBudget: number;
-  overBudgetModules: Array<{ name: string; tokens: number }>;
-  totalExceeded: boolean;
-  moduleReviewTriggered: boolean;
-};
-
-type RepositoryComposedFile = {
-  absolutePath: string;
-  displayPath: string;
-  content: string;
-};
-
-type ComposeResult = {
-  output: string;
-  outputs: string[];
-  repositoryOutputs: string[];
-  globalOutputs: string[];
-  repositoryFiles: RepositoryComposedFile[];
-  outputDiffs: OutputGroupDiff[];
-  budgetResult: BudgetCheckResult;
-};
-
-const sanitizeCacheSegment = (value: string): string => value.replace(/[\\/]/gu, "__");
-const looksLikeCommitHash = (value: string): boolean => /^[a-f0-9]{7,40}$/iu.test(value);
-
-const execGit = (args: string[], cwd?: string): string =>
-  execFileSync("git", args, { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }).trim();
-
-const parseGithubSource = (source: string): GithubSource => {
-  const trimmed = source.trim();
-  if (!trimmed.startsWith("github:")) {
-    throw new Error(`Unsupported source: ${source}`);
+// The global budget comes from the ruleset that composed the user-global
+// outputs; repository budgets and target counts are kept per ruleset.
+const mergeBudgetResults = (budgets: BudgetCheckResult[]): BudgetCheckResult => ({
+  ...(budgets.find((budget) => budget.targets.some((target) => target.scope === "global")) ??
+    budgets[0]),
+  repositories: budgets.flatMap((budget) => budget.repositories),
+  targets: budgets.flatMap((budget) => budget.targets)
+});
+
+// Combines the results of several rulesets into one report.
+const mergeComposeResults = (results: ComposeResult[]): ComposeResult => ({
+  output: results[0].output,
+  outputs: results.flatMap((result) => result.outputs),
+  repositoryOutputs: results.flatMap((result) => result.repositoryOutputs),
+  globalOutputs: results.flatMap((result) => result.globalOutputs),
+  repositoryFiles: results.flatMap((result) => result.repositoryFiles),
+  obsoleteOutputs: results.flatMap((result) => result.obsoleteOutputs),
+  rules: results.flatMap((result) => result.rules),
+  modules: results.flatMap((result) => result.modules),
+  globalFiles: results.flatMap((result) => result.globalFiles),
+  outputDiffs: results.flatMap((result) => result.outputDiffs),
+  budgetResult: mergeBudgetResults(results.map((result) => result.budgetResult)),
+  ...(results[0].lockfile ? { lockfile: results[0].lockfile } : {}),
+  sourceMaps: results.flatMap((result) => result.sourceMaps),
+  backups: results.flatMap((result) => result.backups)
+});
+
+const formatComposedOutputs = (result: ComposeResult, rootDir: string): string => {
+  const lines = ["Composed instruction files:"];
+  if (result.repositoryOutputs.length > 0) {
+    lines.push("Repository:");
+    lines.push(...result.repositoryOutputs.map((filePath) => `- ${filePath}`));
   }
-
-  const withoutPrefix = trimmed.slice("github:".length);
-  const [repoPart, refPart] = withoutPrefix.split("@");
-  const [owner, repo] = repoPart.split("/");
-
-  if (!isNonEmptyString(owner) || !isNonEmptyString(repo)) {
-    throw new Error(`Invalid GitHub source (expected github:owner/repo@ref): ${source}`);
+  if (result.globalOutputs.length > 0) {
+    lines.push("Global:");
+    lines.push(...result.globalOutputs.map((filePath) => `- ${filePath}`));
   }
-
-  const ref = isNonEmptyString(refPart) ? refPart : "latest";
-  return { owner, repo, ref, url: `https://github.com/${owner}/${repo}.git` };
-};
-
-const parseSemver = (tag: string): number[] | null => {
-  const cleaned = tag.startsWith("v") ? tag.slice(1) : tag;
-  const parts = cleaned.split(".");
-  if (parts.length < 2 || parts.length > 3) {
-    return null;
+  if (result.obsoleteOutputs.length > 0) {
+    lines.push("Removed obsolete generated files:");
+    lines.push(...result.obsoleteOutputs.map((filePath) => `- ${filePath}`));
   }
-
-  const numbers = parts.map((part) => Number(part));
-  if (numbers.some((value) => Number.isNaN(value))) {
-    return null;
+  const backedUp = result.backups.flatMap((backup) => backup.files);
+  if (backedUp.length > 0) {
+    lines.push("Backed up files compose did not write (undo with compose-agentsmd restore):");
+    lines.push(...backedUp.map((file) => `- ${toDisplayPath(rootDir, file.path)}`));
   }
 
-  return numbers;
-};
-
-const compareSemver = (a: number[], b: number[]): number => {
-  const maxLength = Math.max(a.length, b.length);
-  for (let i = 0; i < maxLength; i += 1) {
-    const left = a[i] ?? 0;
-    const right = b[i] ?? 0;
-    if (left !== right) {
-      return left - right;
-    }
-  }
-  return 0;
+  return `${lines.join("\n")}\n`;
 };
 
-const resolveLatestTag = (repoUrl: string): { tag?: string; hash?: string } => {
-  const raw = execGit(["ls-remote", "--tags", "--refs", repoUrl]);
-  if (!raw) {
-    return {};
-  }
-
-  const candidates = raw
-    .split("\n")
-    .map((line) => line.trim())
-    .filter(Boolean)
-    .map((line) => {
-      const [hash, ref] = line.split(/\s+/u);
-      const tag = ref?.replace("refs/tags/", "");
-      if (!hash || !tag) {
-        return null;
-      }
-      const semver = parseSemver(tag);
-      if (!semver) {
-        return null;
-      }
-      return { hash, tag, semver };
-    })
-    .filter((item): item is { hash: string; tag: string; semver: number[] } => Boolean(item));
-
-  if (candidates.length === 0) {
-    return {};
-  }
+// Only present when compose backed something up, so JSON stays unchanged otherwise.
+const formatBackupsJson = (result: ComposeResult): { backups?: OutputBackup[] } =>
+  result.backups.length > 0 ? { backups: result.backups } : {};
 
-  candidates.sort((a, b) => compareSemver(a.semver, b.semver));
-  const latest = candidates[candidates.length - 1];
-  return { tag: latest.tag, hash: latest.hash };
+const formatRestoredBackup = (backup: OutputBackup, rootDir: string, dryRun: boolean): string => {
+  const heading = dryRun
+    ? `Would restore from backup ${backup.id}:`
+    : `Restored from backup ${backup.id}:`;
+  return `${[heading, ...backup.files.map((file) => `- ${toDisplayPath(rootDir, file.path)}`)].join("\n")}\n`;
 };
 
-const resolveHeadHash = (repoUrl: string): string => {
-  const raw = execGit(["ls-remote", repoUrl, "HEAD"]);
-  const [hash] = raw.split(/\s+/u);
-  if (!hash) {
-    throw new Error(`Unable to resolve HEAD for ${repoUrl}`);
+const formatLockfileStatus = (result: ComposeResult, dryRun: boolean): string => {
+  if (!result.lockfile) {
+    return "No remote sources to lock.\n";
   }
-  return hash;
-};
-
-const resolveRefHash = (repoUrl: string, ref: string): string | null => {
-  const raw = execGit(["ls-remote", repoUrl, ref, `refs/tags/${ref}`, `refs/heads/${ref}`]);
-  if (!raw) {
-    return null;
+  if (!result.lockfile.updated) {
+    return `Lockfile is up to date: ${result.lockfile.path}\n`;
   }
-  const [hash] = raw.split(/\s+/u);
-  return hash ?? null;
-};
-
-const cloneAtRef = (repoUrl: string, ref: string, destination: string): void => {
-  execGit(["clone", "--depth", "1", "--branch", ref, repoUrl, destination]);
-};
-
-const fetchCommit = (repoUrl: string, commitHash: string, destination: string): void => {
-  prepareGitFallbackDestination(destination);
-  execGit(["init"], destination);
-  execGit(["remote", "add", "origin", repoUrl], destination);
-  execGit(["fetch", "--depth", "1", "origin", commitHash], destination);
-  execGit(["checkout", "FETCH_HEAD"], destination);
+  return dryRun
+    ? `Lockfile would be updated: ${result.lockfile.path}\n`
+    : `Updated lockfile: ${result.lockfile.path}\n`;
 };
 
-const resolveGithubRulesRoot = (
-  source: string,
-  refresh: boolean
-): { rulesRoot: string; resolvedRef: string } => {
-  const parsed = parseGithubSource(source);
-  const resolved = parsed.ref === "latest" ? resolveLatestTag(parsed.url) : null;
-  const resolvedRef = resolved?.tag ?? (parsed.ref === "latest" ? "HEAD" : parsed.ref);
-  const resolvedHash =
-    resolved?.hash ??
-    (resolvedRef === "HEAD"
-      ? resolveHeadHash(parsed.url)
-      : resolveRefHash(parsed.url, resolvedRef));
-
-  if (!resolvedHash && !looksLikeCommitHash(resolvedRef)) {
-    throw new Error(`Unable to resolve ref ${resolvedRef} for ${parsed.url}`);
-  }
-
-  const cacheSegment =
-    resolvedRef === "HEAD"
-      ? sanitizeCacheSegment(resolvedHash ?? resolvedRef)
-      : sanitizeCacheSegment(resolvedRef);
-  const cacheDir = path.join(DEFAULT_CACHE_ROOT, parsed.owner, parsed.repo, cacheSegment);
-
-  if (refresh && fs.existsSync(cacheDir)) {
-    fs.rmSync(cacheDir, { recursive: true, force: true });
+// `label` names the scope, such as "Global rules" or "Repository rules in
+// AGENTS.md".
+const formatScopeBudgetReport = (label: string, result: ScopeBudgetResult): string[] => {
+  const lines: string[] = [];
+  if (result.totalExceeded) {
+    lines.push(
+      `⚠ ${label} budget exceeded (${result.tokenizer}): ` +
+        `${result.totalTokens}/${result.totalBudget} tokens`
+    );
   }
-
-  if (!fs.existsSync(cacheDir)) {
-    ensureDir(path.dirname(cacheDir));
-    try {
-      cloneAtRef(parsed.url, resolvedRef, cacheDir);
-    } catch (error) {
-      if (resolvedHash && looksLikeCommitHash(resolvedHash)) {
-        fetchCommit(parsed.url, resolvedHash, cacheDir);
-      } else if (looksLikeCommitHash(resolvedRef)) {
-        fetchCommit(parsed.url, resolvedRef, cacheDir);
-      } else {
-        throw error;
-      }
+  if (result.moduleReviewTriggered) {
+    lines.push(
+      `ℹ ${label === "Global rules" ? "Modules" : `${label}: modules`} over per-module ` +
+        `review threshold (> ${result.moduleBudget} tokens, advisory):`
+    );
+    for (const mod of result.overBudgetModules) {
+      lines.push(`    ${mod.name}: ${mod.tokens} tokens`);
     }
+    lines.push(
+      "  Review whether listed modules contain procedural content that should move to skills."
+    );
   }
-
-  const rulesRoot = path.join(cacheDir, "rules");
-  ensureDirectoryExists(rulesRoot);
-
-  return { rulesRoot, resolvedRef };
-};
-
-const resolveLocalRulesRoot = (rulesetDir: string, source: string): string => {
-  const resolvedSource = resolveFrom(rulesetDir, source);
-  if (!fs.existsSync(resolvedSource)) {
-    throw new Error(`Missing source path: ${resolvedSource}`);
-  }
-
-  const candidate =
-    path.basename(resolvedSource) === "rules" ? resolvedSource : path.join(resolvedSource, "rules");
-  ensureDirectoryExists(candidate);
-  return candidate;
-};
-
-const resolveWorkspaceRoot = (rulesetDir: string, source: string): string => {
-  if (source.startsWith("github:")) {
-    const parsed = parseGithubSource(source);
-    return path.join(DEFAULT_WORKSPACE_ROOT, parsed.owner, parsed.repo);
-  }
-
-  return resolveFrom(rulesetDir, source);
-};
-
-const ensureWorkspaceForGithubSource = (source: string): string => {
-  const parsed = parseGithubSource(source);
-  const workspaceRoot = path.join(DEFAULT_WORKSPACE_ROOT, parsed.owner, parsed.repo);
-
-  if (!fs.existsSync(workspaceRoot)) {
-    ensureDir(path.dirname(workspaceRoot));
-    execGit(["clone", parsed.url, workspaceRoot]);
-  }
-
-  if (parsed.ref !== "latest") {
-    execGit(["fetch", "--all"], workspaceRoot);
-    execGit(["checkout", parsed.ref], workspaceRoot);
-  }
-
-  return workspaceRoot;
-};
-
-const applyRulesFromWorkspace = (source: string): void => {
-  if (!source.startsWith("github:")) {
-    return;
-  }
-
-  const workspaceRoot = ensureWorkspaceForGithubSource(source);
-  const status = execGit(["status", "--porcelain"], workspaceRoot);
-  if (status) {
-    throw new Error(`Workspace has uncommitted changes: ${workspaceRoot}`);
-  }
-
-  const branch = execGit(["rev-parse", "--abbrev-ref", "HEAD"], workspaceRoot);
-  if (branch === "HEAD") {
-    throw new Error(`Workspace is in detached HEAD state: ${workspaceRoot}`);
-  }
-
-  execGit(["push"], workspaceRoot);
-};
-
-// A resolved rules source: its on-disk rules root, the source repo root (which
-// holds `agent-profiles.json`), and the ref label used for rule provenance.
-type SourceContext = {
-  source: string;
-  rulesRoot: string;
-  sourceRoot: string;
-  resolvedRef?: string;
-};
-
-const resolveRulesRoot = (
-  rulesetDir: string,
-  source: string,
-  refresh: boolean
-): { rulesRoot: string; resolvedRef?: string } => {
-  if (source.startsWith("github:")) {
-    return resolveGithubRulesRoot(source, refresh);
-  }
-
-  return { rulesRoot: resolveLocalRulesRoot(rulesetDir, source) };
-};
-
-const resolveSourceContexts = (
-  rulesetDir: string,
-  sources: string[],
-  refresh: boolean
-): SourceContext[] =>
-  sources.map((source) => {
-    const { rulesRoot, resolvedRef } = resolveRulesRoot(rulesetDir, source, refresh);
-    return {
-      source,
-      rulesRoot,
-      sourceRoot: path.dirname(rulesRoot),
-      resolvedRef
-    };
-  });
-
-const formatRuleSourcePath = (
-  rulePath: string,
-  context: SourceContext,
-  rulesetDir: string
-): string => {
-  const isFromSource = rulePath.startsWith(context.rulesRoot);
-
-  if (isFromSource && context.source.startsWith("github:")) {
-    const parsed = parseGithubSource(context.source);
-    const cacheRepoRoot = path.dirname(context.rulesRoot);
-    const relativePath = normalizePath(path.relative(cacheRepoRoot, rulePath));
-    const refToUse = context.resolvedRef ?? parsed.ref;
-    return `github:${parsed.owner}/${parsed.repo}@${refToUse}/${relativePath}`;
-  }
-
-  return normalizePath(path.relative(rulesetDir, rulePath));
-};
-
-const getGlobalOutputPaths = (): string[] => [
-  DEFAULT_CODEX_GLOBAL_OUTPUT,
-  DEFAULT_OPENCODE_GLOBAL_OUTPUT,
-  DEFAULT_CLAUDE_GLOBAL_OUTPUT,
-  DEFAULT_GEMINI_GLOBAL_OUTPUT,
-  DEFAULT_COPILOT_GLOBAL_OUTPUT
-];
-
-const resolveOutputPaths = (
-  rulesetDir: string,
-  projectRuleset: ProjectRuleset
-): { primaryOutputPath: string; companionOutputPath?: string; globalOutputPaths: string[] } => {
-  const primaryOutputPath = resolveFrom(rulesetDir, projectRuleset.output ?? DEFAULT_OUTPUT);
-  const claude = projectRuleset.claude ?? {};
-  const companionEnabled = claude.enabled !== false;
-  const configuredCompanionPath = resolveFrom(rulesetDir, claude.output ?? DEFAULT_CLAUDE_OUTPUT);
-  const globalOutputPaths = projectRuleset.global === false ? [] : getGlobalOutputPaths();
-
-  if (
-    !companionEnabled ||
-    path.resolve(primaryOutputPath) === path.resolve(configuredCompanionPath)
-  ) {
-    return { primaryOutputPath, globalOutputPaths };
-  }
-
-  return {
-    primaryOutputPath,
-    companionOutputPath: configuredCompanionPath,
-    globalOutputPaths
-  };
-};
-
-const buildClaudeCompanionContent = (
-  primaryOutputPath: string,
-  companionOutputPath: string
-): string => {
-  const relativeImportPath = normalizePath(
-    path.relative(path.dirname(companionOutputPath), primaryOutputPath)
-  );
-  return `@${relativeImportPath}\n`;
-};
-
-const buildInstructionContent = (parts: string[], includeToolRules: boolean): string => {
-  const sections = includeToolRules ? [normalizeTrailingWhitespace(TOOL_RULES), ...parts] : parts;
-  if (sections.length === 0) {
-    return "";
-  }
-
-  return `${LINT_HEADER}\n${sections.join("\n\n")}\n`;
-};
-
-const countBudgetTokens = (content: string): number => {
-  if (content.length === 0) {
-    return 0;
-  }
-
-  return countTokens(content);
+  return lines;
 };
 
-const buildScopeDiff = (
-  scope: OutputScope,
-  targetPaths: string[],
-  desiredContent: string,
-  rootDir: string
-): OutputGroupDiff | undefined => {
-  if (targetPaths.length === 0) {
-    return undefined;
-  }
-
-  const displayTargets = targetPaths.map((filePath) => toDisplayPath(rootDir, filePath));
-  const changedTargetPath = targetPaths.find((filePath) => {
-    if (!fs.existsSync(filePath)) {
-      return true;
-    }
-
-    return fs.readFileSync(filePath, "utf8") !== desiredContent;
-  });
-
-  if (!changedTargetPath) {
-    return {
-      scope,
-      targets: displayTargets,
-      status: "unchanged"
-    };
-  }
-
-  const before = fs.existsSync(changedTargetPath) ? fs.readFileSync(changedTargetPath, "utf8") : "";
-  const displayPath = toDisplayPath(rootDir, changedTargetPath);
-
-  return {
-    scope,
-    targets: displayTargets,
-    status: "updated",
-    patch: createTwoFilesPatch(
-      `a/${displayPath}`,
-      `b/${displayPath}`,
-      before,
-      desiredContent,
-      "",
-      "",
-      { context: 3 }
+const formatBudgetReport = (result: BudgetCheckResult): string => {
+  const lines = [
+    ...formatScopeBudgetReport("Global rules", result),
+    ...result.repositories.flatMap((repository) =>
+      formatScopeBudgetReport(`Repository rules in ${repository.output}`, repository)
     )
-  };
-};
-
-type RulePart = { name: string; content: string };
-
-const buildRulePart = (rulePath: string, context: SourceContext, rulesetDir: string): RulePart => {
-  const body = normalizeTrailingWhitespace(fs.readFileSync(rulePath, "utf8"));
-  const sourcePath = formatRuleSourcePath(rulePath, context, rulesetDir);
-  return {
-    name: path.basename(rulePath),
-    content: `Source: ${sourcePath}\n\n${body}`
-  };
+  ];
+  return lines.length === 0 ? "" : `${lines.join("\n")}\n`;
 };
 
-// Collects global rule parts across every source, in source order. Sources
-// without a `rules/global` directory are skipped.
-const collectGlobalParts = (sourceContexts: SourceContext[], rulesetDir: string): RulePart[] => {
-  const parts: RulePart[] = [];
-  for (const context of sourceContexts) {
-    const globalRoot = path.join(context.rulesRoot, "global");
-    if (!isExistingDirectory(globalRoot)) {
-      continue;
-    }
-    for (const rulePath of collectMarkdownFiles(globalRoot)) {
-      parts.push(buildRulePart(rulePath, context, rulesetDir));
-    }
-  }
-  return parts;
-};
+const formatBudgetSummary = (result: BudgetCheckResult): string =>
+  `Global rules budget (${result.tokenizer}): ${result.totalTokens}/${result.totalBudget} tokens\n`;
 
-// Collects repository (domain) rule parts. Domains are chosen by the profile
-// manifest of each source. Overlays are preserved: the same domain in multiple
-// sources contributes each source's content in source order (no de-duplication).
-const collectRepositoryParts = (
-  sourceContexts: SourceContext[],
-  profile: string,
-  rulesetDir: string
-): RulePart[] => {
-  const sourceRoots = sourceContexts.map((context) => context.sourceRoot);
-  const selections = resolveProfileSelections(sourceRoots, profile);
-
-  if (selections.length === 0) {
-    throw new Error(
-      `Profile "${profile}" is not defined by any source ` +
-        `(checked: ${sourceContexts.map((context) => context.source).join(", ")}). ` +
-        `Define it under "profiles" in an agent-profiles.json at a source root.`
-    );
-  }
+const formatRepositoryBudgetSummary = (result: BudgetCheckResult): string =>
+  result.repositories
+    .map(
+      (repository) =>
+        `Repository rules budget for ${repository.output} (${repository.tokenizer}): ` +
+        `${repository.totalTokens}/${repository.totalBudget} tokens\n`
+    )
+    .join("");
 
-  const parts: RulePart[] = [];
-  for (const selection of selections) {
-    const context = sourceContexts[selection.index];
-    const domainsRoot = path.join(context.rulesRoot, "domains");
-    for (const domain of selection.domains) {
-      const domainRoot = path.resolve(domainsRoot, domain);
-      if (!isSubPath(domainsRoot, domainRoot)) {
-        throw new Error(
-          `Domain "${domain}" for profile "${profile}" resolves outside rules/domains in ` +
-            `source ${context.source}. Use a safe domain directory name.`
-        );
-      }
-      // Refuse symlinked/junction domain directories: a malicious source could
-      // point rules/domains/<domain> at any location on disk and bypass the
-      // declared rules boundary even though the path resolves under it.
-      let domainLstat: fs.Stats | null = null;
-      try {
-        domainLstat = fs.lstatSync(domainRoot);
-      } catch {
-        domainLstat = null;
-      }
-      if (domainLstat?.isSymbolicLink()) {
-        throw new Error(
-          `Domain directory "${domain}" for profile "${profile}" is a symbolic link: ` +
-            `${normalizePath(domainRoot)}. ` +
-            `Use a real directory under rules/domains/${domain} in source ${context.source}.`
-        );
-      }
-      if (!isExistingDirectory(domainRoot)) {
-        throw new Error(
-          `Domain directory "${domain}" for profile "${profile}" not found: ` +
-            `${normalizePath(domainRoot)}. ` +
-            `Ensure rules/domains/${domain} exists in source ${context.source}.`
-        );
-      }
-      for (const rulePath of collectMarkdownFiles(domainRoot)) {
-        parts.push(buildRulePart(rulePath, context, rulesetDir));
-      }
-    }
+const emitBudgetReport = (args: CliArgs, budgetResult: BudgetCheckResult): void => {
+  if (!args.quiet) {
+    process.stderr.write(formatBudgetReport(budgetResult));
   }
-
-  return parts;
 };
 
-const composeRuleset = (
-  rulesetPath: string,
-  rootDir: string,
-  options: ComposeOptions
-): ComposeResult => {
-  const rulesetDir = path.dirname(rulesetPath);
-  const projectRuleset = readProjectRuleset(rulesetPath);
-  const { primaryOutputPath, companionOutputPath, globalOutputPaths } = resolveOutputPaths(
-    rulesetDir,
-    projectRuleset
-  );
-  const composedOutputPath = toDisplayPath(rootDir, primaryOutputPath);
-
-  const sourceContexts = resolveSourceContexts(
-    rulesetDir,
-    projectRuleset.sources,
-    options.refresh ?? false
-  );
-
-  const globalParts =
-    projectRuleset.global !== false ? collectGlobalParts(sourceContexts, rulesetDir) : [];
-  const repositoryParts = collectRepositoryParts(
-    sourceContexts,
-    projectRuleset.profile,
-    rulesetDir
-  );
-
-  const totalBudget = projectRuleset.budget?.totalTokens ?? DEFAULT_TOTAL_BUDGET;
-  const moduleBudget = projectRuleset.budget?.moduleTokens ?? DEFAULT_MODULE_BUDGET;
-
-  const repositoryContentParts = repositoryParts.map((part) => part.content);
-  const globalContentParts = globalParts.map((part) => part.content);
-  const primaryOutputContent = buildInstructionContent(repositoryContentParts, true);
-  const globalOutputContent = buildInstructionContent(globalContentParts, false);
-  const moduleTokenCounts = globalParts.map((part) => ({
-    name: part.name,
-    tokens: countBudgetTokens(part.content)
-  }));
-  const totalTokens = countBudgetTokens(globalOutputContent);
-  const overBudgetModules = moduleTokenCounts.filter((module) => module.tokens > moduleBudget);
-  const budgetResult: BudgetCheckResult = {
-    tokenizer: BUDGET_TOKENIZER,
-    totalTokens,
-    totalBudget,
-    moduleBudget,
-    overBudgetModules,
-    totalExceeded: totalTokens > totalBudget,
-    moduleReviewTriggered: overBudgetModules.length > 0
-  };
-  const repositoryOutputs: string[] = [toDisplayPath(rootDir, primaryOutputPath)];
-  const globalOutputs = globalOutputPaths.map((filePath) => toDisplayPath(rootDir, filePath));
-  const repositoryFiles: RepositoryComposedFile[] = [
-    {
-      absolutePath: primaryOutputPath,
-      displayPath: toDisplayPath(rootDir, primaryOutputPath),
-      content: primaryOutputContent
-    }
-  ];
-  const composedFiles: Array<{
-    absolutePath: string;
-    relativePath: string;
-    content: string;
-    scope: OutputScope;
-  }> = [
-    {
-      absolutePath: primaryOutputPath,
-      relativePath: toDisplayPath(rootDir, primaryOutputPath),
-      content: primaryOutputContent,
-      scope: "repository"
-    }
+// Total budgets whose excess fails the command: all of them with
+// --fail-on-budget, otherwise those of rulesets with `budget.enforce`.
+const findBudgetFailures = (args: CliArgs, budgetResult: BudgetCheckResult): string[] => {
+  const fails = (scope: ScopeBudgetResult): boolean =>
+    scope.totalExceeded && (args.failOnBudget === true || scope.enforced);
+  const describe = (label: string, scope: ScopeBudgetResult): string =>
+    `${label}: ${scope.totalTokens}/${scope.totalBudget} tokens (${scope.tokenizer})`;
+  return [
+    ...(fails(budgetResult) ? [describe("Global rules", budgetResult)] : []),
+    ...budgetResult.repositories
+      .filter(fails)
+      .map((repository) => describe(`Repository rules in ${repository.output}`, repository))
   ];
+};
 
-  if (companionOutputPath) {
-    const companionDisplayPath = toDisplayPath(rootDir, companionOutputPath);
-    const companionContent = buildClaudeCompanionContent(primaryOutputPath, companionOutputPath);
-    repositoryOutputs.push(companionDisplayPath);
-    repositoryFiles.push({
-      absolutePath: companionOutputPath,
-      displayPath: companionDisplayPath,
-      content: companionContent
-    });
-    composedFiles.push({
-      absolutePath: companionOutputPath,
-      relativePath: companionDisplayPath,
-      content: companionContent,
-      scope: "repository"
-    });
-  }
-
-  for (const globalOutputPath of globalOutputPaths) {
-    composedFiles.push({
-      absolutePath: globalOutputPath,
-      relativePath: toDisplayPath(rootDir, globalOutputPath),
-      content: globalOutputContent,
-      scope: "global"
-    });
-  }
-
-  const outputDiffs: OutputGroupDiff[] = [];
-  if (options.emitDiffs) {
-    const repositoryDiff = buildScopeDiff(
-      "repository",
-      [primaryOutputPath],
-      primaryOutputContent,
-      rootDir
+// Reported even with --quiet or --json, since it is why the command fails.
+const enforceBudget = (args: CliArgs, budgetResult: BudgetCheckResult): void => {
+  const failures = findBudgetFailures(args, budgetResult);
+  if (failures.length > 0) {
+    process.stderr.write(
+      `✖ Token budget exceeded:\n${failures.map((failure) => `- ${failure}`).join("\n")}\n`
     );
-    if (repositoryDiff) {
-      repositoryDiff.targets = repositoryOutputs;
-      outputDiffs.push(repositoryDiff);
-    }
-
-    if (options.emitGlobalDiffs !== false) {
-      const globalDiff = buildScopeDiff("global", globalOutputPaths, globalOutputContent, rootDir);
-      if (globalDiff) {
-        outputDiffs.push(globalDiff);
-      }
-    }
-  }
-
-  if (!options.dryRun) {
-    for (const file of composedFiles) {
-      fs.mkdirSync(path.dirname(file.absolutePath), { recursive: true });
-      fs.writeFileSync(file.absolutePath, file.content, "utf8");
-    }
+    process.exitCode = 1;
   }
+};
 
-  return {
-    output: composedOutputPath,
-    outputs: [...repositoryOutputs, ...globalOutputs],
-    repositoryOutputs,
-    globalOutputs,
-    repositoryFiles,
-    outputDiffs,
-    budgetResult
-  };
+const formatTokenDelta = (before: number, after: number): string => {
+  const delta = after - before;
+  return `${before} -> ${after} (${delta >= 0 ? "+" : ""}${delta})`;
 };
 
-const writeOutputDiff = (diff: OutputGroupDiff): void => {
-  const scopeLabel = diff.scope === "global" ? "Global outputs" : "Repository outputs";
-  if (diff.status === "unchanged") {
-    process.stdout.write(`${scopeLabel} unchanged.\n`);
-    return;
-  }
+const formatVersionDiff = (result: VersionDiffResult): string => {
+  const describe = (version: VersionDiffResult["from"]): string =>
+    version.ref === version.resolvedRef ? version.ref : `${version.ref} (${version.resolvedRef})`;
+  const lines = [`Comparing ${result.source}: ${describe(result.from)} -> ${describe(result.to)}`];
 
-  process.stdout.write(
-    `${scopeLabel} updated. ACTION (agent): refresh rule recognition from the diff below.\n`
-  );
-  process.stdout.write(`Targets:\n${diff.targets.map((target) => `- ${target}`).join("\n")}\n`);
-  process.stdout.write(`--- BEGIN ${diff.scope.toUpperCase()} DIFF ---\n`);
-  if (diff.patch) {
-    process.stdout.write(diff.patch);
-    if (!diff.patch.endsWith("\n")) {
-      process.stdout.write("\n");
-    }
+  if (result.outputDiffs.length === 0) {
+    lines.push("Composed outputs are identical.");
   }
-  process.stdout.write(`--- END ${diff.scope.toUpperCase()} DIFF ---\n`);
-};
-
-const printOutputDiffs = (result: ComposeResult): void => {
   for (const diff of result.outputDiffs) {
-    writeOutputDiff(diff);
+    lines.push(`Targets:\n${diff.targets.map((target) => `- ${target}`).join("\n")}`);
+    lines.push(`--- BEGIN ${diff.scope.toUpperCase()} DIFF ---`);
+    lines.push((diff.patch ?? "").replace(/\n$/u, ""));
+    lines.push(`--- END ${diff.scope.toUpperCase()} DIFF ---`);
+  }
+  if (result.addedRules.length > 0) {
+    lines.push("Added rule files:", ...result.addedRules.map((rule) => `- ${rule}`));
+  }
+  if (result.removedRules.length > 0) {
+    lines.push("Removed rule files:", ...result.removedRules.map((rule) => `- ${rule}`));
   }
+  if (result.tokenChanges.length > 0) {
+    lines.push(
+      "Token changes:",
+      ...result.tokenChanges.map(
+        (change) =>
+          `- ${change.rule} (${change.scope}): ${formatTokenDelta(change.before, change.after)}`
+      )
+    );
+  }
+  lines.push(
+    `Total tokens: repository ${formatTokenDelta(
+      result.totalTokens.repository.before,
+      result.totalTokens.repository.after
+    )}, global ${formatTokenDelta(result.totalTokens.global.before, result.totalTokens.global.after)}`
+  );
+
+  return `${lines.join("\n")}\n`;
 };
 
-const formatComposedOutputs = (result: ComposeResult): string => {
-  const lines = ["Composed instruction files:"];
-  if (result.repositoryOutputs.length > 0) {
-    lines.push("Repository:");
-    lines.push(...result.repositoryOutputs.map((filePath) => `- ${filePath}`));
+const SECTION_LABELS: Record<SourceMapSection["kind"], string> = {
+  header: "markdownlint header",
+  "tool-rules": "bundled tool rules",
+  import: "import of the primary output",
+  rule: "rule"
+};
+
+const formatDomainCondition = (condition: DomainCondition): string =>
+  [
+    ...(condition.files ? [`files ${condition.files.join(", ")}`] : []),
+    ...(condition.dependencies ? [`dependencies ${condition.dependencies.join(", ")}`] : [])
+  ].join("; ");
+
+const formatExplanation = (result: ExplainResult): string => {
+  const lines = [`${result.output} (${result.scope}):`];
+  if (result.stale) {
+    lines.push(
+      `Note: ${result.output} differs from what compose would write now; ` +
+        "line numbers refer to the composed content."
+    );
   }
-  if (result.globalOutputs.length > 0) {
-    lines.push("Global:");
-    lines.push(...result.globalOutputs.map((filePath) => `- ${filePath}`));
+  if (result.sections.length === 0) {
+    lines.push("No matching sections.");
+  }
+  for (const section of result.sections) {
+    const range =
+      section.startLine === section.endLine
+        ? `Line ${section.startLine}`
+        : `Lines ${section.startLine}-${section.endLine}`;
+    const rule = section.rule;
+    lines.push(`${range}: ${rule ? rule.provenance : SECTION_LABELS[section.kind]}`);
+    if (rule) {
+      lines.push(`  Source: ${rule.source}${rule.ref ? ` (ref ${rule.ref})` : ""}`);
+      lines.push(`  File: ${normalizePath(rule.filePath)}`);
+      if (rule.domain !== undefined) {
+        lines.push(`  Domain: ${rule.domain}`);
+      }
+      if (rule.profile !== undefined) {
+        lines.push(
+          `  Profile: ${rule.profile}${rule.inheritedFrom ? ` (via ${rule.inheritedFrom})` : ""}`
+        );
+      }
+      if (rule.condition) {
+        lines.push(`  Condition: ${formatDomainCondition(rule.condition)}`);
+      }
+    }
+    for (const match of section.matches ?? []) {
+      lines.push(`  ${match.line}: ${match.text}`);
+    }
   }
 
   return `${lines.join("\n")}\n`;
 };
 
-const formatBudgetReport = (result: BudgetCheckResult): string => {
+const pluralize = (count: number, noun: string): string =>
+  `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+const formatProfileList = (profiles: ProfileSummary[]): string => {
+  if (profiles.length === 0) {
+    return "No source defines any profiles.\n";
+  }
   const lines: string[] = [];
-  if (result.totalExceeded) {
+  for (const profile of profiles) {
+    lines.push(`${profile.name}${profile.selected ? " (selected)" : ""}`);
+    lines.push(`  Sources: ${profile.sources.join(", ")}`);
+    if (profile.error) {
+      lines.push(`  Error: ${profile.error}`);
+      continue;
+    }
+    lines.push(`  Domains: ${profile.domains?.join(", ") || "(none)"}`);
     lines.push(
-      `⚠ Global rules budget exceeded (${result.tokenizer}): ` +
-        `${result.totalTokens}/${result.totalBudget} tokens`
+      `  Rules: ${pluralize(profile.ruleCount ?? 0, "file")}, ${pluralize(profile.tokens ?? 0, "token")}`
     );
   }
-  if (result.moduleReviewTriggered) {
+  return `${lines.join("\n")}\n`;
+};
+
+const formatProfileDescription = (profile: ProfileDescription): string => {
+  const lines = [`Profile ${profile.name}`, `  Sources: ${profile.sources.join(", ")}`];
+  if (profile.extends.length > 0) {
+    lines.push(`  Extends: ${profile.extends.join(", ")}`);
+  }
+  lines.push("  Domains:");
+  for (const domain of profile.domains) {
+    const origin = [
+      ...(domain.inheritedFrom ? [`from ${domain.inheritedFrom}`] : []),
+      ...(domain.condition ? [`when ${formatDomainCondition(domain.condition)}`] : [])
+    ];
     lines.push(
-      `ℹ Modules over per-module review threshold (> ${result.moduleBudget} tokens, advisory):`
+      `  - ${domain.domain}${origin.length > 0 ? ` (${origin.join("; ")})` : ""}: ` +
+        `${pluralize(domain.rules.length, "rule file")}, ${pluralize(domain.tokens, "token")}`
     );
-    for (const mod of result.overBudgetModules) {
-      lines.push(`    ${mod.name}: ${mod.tokens} tokens`);
-    }
     lines.push(
-      "  Review whether listed modules contain procedural content that should move to skills."
+      ...domain.rules.map((rule) => `    - ${rule.rule} (${pluralize(rule.tokens, "token")})`)
     );
   }
-  return lines.length === 0 ? "" : `${lines.join("\n")}\n`;
+  lines.push(
+    `  Total: ${pluralize(profile.domains.length, "domain")}, ` +
+      `${pluralize(profile.ruleCount, "rule file")}, ${pluralize(profile.tokens, "token")}`
+  );
+  return `${lines.join("\n")}\n`;
 };
 
-const emitBudgetReport = (args: CliArgs, budgetResult: BudgetCheckResult): void => {
-  if (args.quiet) {
-    return;
-  }
-  if (budgetResult.totalExceeded || budgetResult.moduleReviewTriggered) {
-    process.stderr.write(formatBudgetReport(budgetResult));
-  }
+const DOCTOR_STATUS_MARKS = { ok: "✔", warning: "⚠", error: "✖" } as const;
+
+const formatDoctorReport = (report: DoctorReport): string => {
+  const lines = report.checks.flatMap((check) => [
+    `${DOCTOR_STATUS_MARKS[check.status]} ${check.check}${check.subject ? ` ${check.subject}` : ""}: ${check.message}`,
+    ...(check.fix ? [`  Fix: ${check.fix}`] : [])
+  ]);
+  const errors = report.checks.filter((check) => check.status === "error").length;
+  const warnings = report.checks.filter((check) => check.status === "warning").length;
+  lines.push(
+    errors + warnings === 0
+      ? "No problems found."
+      : `Found ${pluralize(errors, "error")} and ${pluralize(warnings, "warning")}.`
+  );
+  return `${lines.join("\n")}\n`;
+};
+
+const formatRuleLintResult = (result: RuleLintResult): string => {
+  const lines = result.issues.map(
+    (issue) =>
+      `${issue.file}${issue.line !== undefined ? `:${issue.line}` : ""}: ` +
+      `${issue.severity} ${issue.code}: ${issue.message}`
+  );
+  const errors = result.issues.filter((issue) => issue.severity === "error").length;
+  lines.push(
+    `Checked ${pluralize(result.files, "rule file")}: ${pluralize(errors, "error")}, ` +
+      `${pluralize(result.issues.length - errors, "warning")}.`
+  );
+  return `${lines.join("\n")}\n`;
 };
 
 type InitPlanItem = {
@@ -1198,7 +720,7 @@ const formatInitRuleset = (ruleset: ProjectRuleset): string => {
   const claudeOutput = ruleset.claude?.output ?? DEFAULT_CLAUDE_OUTPUT;
   const lines = [
     "{",
-    "  // Rules sources. Each entry is github:owner/repo@ref or a local path.",
+    "  // Rules sources. Each entry is a remote source (github:owner/repo@ref) or a local path.",
     `  "sources": ${sourcesValue},`,
     "  // Profile name defined by a source's agent-profiles.json.",
     `  "profile": "${ruleset.profile}",`
@@ -1246,6 +768,35 @@ const confirmInit = async (args: CliArgs): Promise<void> => {
   }
 };
 
+// Checks the init profile against the profiles the sources define. Sources that
+// cannot be reached, such as the placeholder default, or that define no
+// profiles leave it unchecked.
+const checkInitProfile = (args: CliArgs, rulesetDir: string, sources: string[]): void => {
+  const profile = args.profile ?? DEFAULT_INIT_PROFILE;
+  const previousPrompt = process.env.GIT_TERMINAL_PROMPT;
+  // The sources are only probed, so git must not stop at a credential prompt.
+  process.env.GIT_TERMINAL_PROMPT = "0";
+  let profiles: string[];
+  try {
+    profiles = listSourceProfileNames(rulesetDir, sources, {
+      refresh: args.refresh,
+      offline: args.offline
+    });
+  } catch {
+    return;
+  } finally {
+    if (previousPrompt === undefined) {
+      delete process.env.GIT_TERMINAL_PROMPT;
+    } else {
+      process.env.GIT_TERMINAL_PROMPT = previousPrompt;
+    }
+  }
+
+  if (profiles.length > 0 && !profiles.includes(profile)) {
+    throw new Error(`Unknown profile: ${profile}. Choose one of: ${profiles.join(", ")}`);
+  }
+};
+
 const initProject = async (args: CliArgs, rootDir: string, rulesetName: string): Promise<void> => {
   const rulesetPath = args.ruleset
     ? resolveFrom(rootDir, args.ruleset)
@@ -1264,6 +815,7 @@ const initProject = async (args: CliArgs, rootDir: string, rulesetName: string):
   } else {
     plan.push({ action: "create", path: rulesetPath });
   }
+  checkInitProfile(args, rulesetDir, ruleset.sources);
 
   if (args.compose) {
     const composedTargets = [
@@ -1325,6 +877,7 @@ const initProject = async (args: CliArgs, rootDir: string, rulesetName: string):
   if (args.compose) {
     composedOutput = composeRuleset(rulesetPath, rootDir, {
       refresh: args.refresh ?? false,
+      offline: args.offline,
       emitDiffs: !args.quiet && !args.json
     });
   }
@@ -1337,8 +890,10 @@ const initProject = async (args: CliArgs, rootDir: string, rulesetName: string):
           composed: composedOutput ? composedOutput.outputs : [],
           repositoryOutputs: composedOutput ? composedOutput.repositoryOutputs : [],
           globalOutputs: composedOutput ? composedOutput.globalOutputs : [],
+          ...(composedOutput ? { rules: composedOutput.rules } : {}),
           dryRun: false,
-          ...(composedOutput ? { budget: composedOutput.budgetResult } : {})
+          ...(composedOutput ? { budget: composedOutput.budgetResult } : {}),
+          ...(composedOutput ? formatBackupsJson(composedOutput) : {})
         },
         null,
         2
@@ -1347,11 +902,14 @@ const initProject = async (args: CliArgs, rootDir: string, rulesetName: string):
   } else if (!args.quiet) {
     process.stdout.write(`Initialized ruleset:\n- ${toDisplayPath(rootDir, rulesetPath)}\n`);
     if (composedOutput) {
-      process.stdout.write(formatComposedOutputs(composedOutput));
+      process.stdout.write(formatComposedOutputs(composedOutput, rootDir));
       printOutputDiffs(composedOutput);
       emitBudgetReport(args, composedOutput.budgetResult);
     }
   }
+  if (composedOutput) {
+    enforceBudget(args, composedOutput.budgetResult);
+  }
 };
 
 const getRulesetFiles = (
@@ -1372,88 +930,278 @@ const getRulesetFiles = (
   return [defaultRuleset];
 };
 
-const ensureSingleRuleset = (
-  rulesetFiles: string[],
+// The rulesets compose, check and update work on: the root ruleset followed by
+// the packages its `workspaces` globs match or, with --recursive, every ruleset
+// file under the root directory.
+const expandRulesetFiles = (
   rootDir: string,
-  rulesetName: string
-): string => {
+  rulesetFiles: string[],
+  rulesetName: string,
+  recursive: boolean
+): string[] => {
+  const nestedFiles = recursive
+    ? expandFileGlob(rootDir, `**/${rulesetName}`).filter((filePath) =>
+        fs.statSync(filePath).isFile()
+      )
+    : rulesetFiles.flatMap((rulesetPath) =>
+        resolveWorkspaceRulesets(rulesetPath, readProjectRuleset(rulesetPath), rulesetName)
+      );
+  return [...new Set([...rulesetFiles, ...nestedFiles])];
+};
+
+const ensureRulesetFiles = (rulesetFiles: string[], rootDir: string, rulesetName: string): void => {
   if (rulesetFiles.length === 0) {
     const expectedPath = normalizePath(path.join(rootDir, rulesetName));
     throw new Error(`Missing ruleset file: ${expectedPath}`);
   }
+};
 
+const ensureSingleRuleset = (
+  rulesetFiles: string[],
+  rootDir: string,
+  rulesetName: string
+): string => {
+  ensureRulesetFiles(rulesetFiles, rootDir, rulesetName);
   return rulesetFiles[0];
 };
 
-// Verifies that the generated repository outputs (AGENTS.md and, when enabled,
-// the Claude companion) match what compose would produce. Never writes files
-// and never inspects the user-global outputs. Exits non-zero when stale.
-const runCheck = (rulesetPath: string, rootDir: string, args: CliArgs): void => {
-  const result = composeRuleset(rulesetPath, rootDir, {
-    refresh: args.refresh ?? false,
-    dryRun: true,
-    emitDiffs: true,
-    emitGlobalDiffs: false
-  });
-
-  const staleFiles = result.repositoryFiles.filter((file) => {
-    const current = fs.existsSync(file.absolutePath)
-      ? fs.readFileSync(file.absolutePath, "utf8")
-      : null;
-    return current !== file.content;
+// The user-global outputs of the first ruleset that writes them, as compose
+// would; null when no ruleset does.
+const checkOwnGlobalOutputs = (
+  rulesetPaths: string[],
+  rootDir: string,
+  args: CliArgs,
+  sourceCache: SourceCache
+): GlobalCheckResult | null => {
+  for (const rulesetPath of rulesetPaths) {
+    const result = checkGlobalOutputs(rulesetPath, rootDir, {
+      refresh: args.refresh ?? false,
+      offline: args.offline,
+      sourceCache
+    });
+    if (result.targets.length > 0) {
+      return result;
+    }
+  }
+  return null;
+};
+
+const formatGlobalCheck = (result: GlobalCheckResult | null): string =>
+  result
+    ? `User-global outputs:\n${result.targets
+        .map(
+          (target) =>
+            `- ${target.target}: ${target.output} (${target.status}` +
+            `${target.owner ? `, written by ${target.owner}` : ""})`
+        )
+        .join("\n")}\n`
+    : "No user-global outputs to check (global is false, or every target is disabled).\n";
+
+// Reports whether the generated repository outputs of every ruleset (and,
+// with --global, the user-global outputs) are current. Exits non-zero when
+// any output is stale or an enforced budget is exceeded.
+const runCheck = (rulesetPaths: string[], rootDir: string, args: CliArgs): void => {
+  const sourceCache: SourceCache = new Map();
+  // As in compose, only the first ruleset with user-global outputs counts
+  // toward the global budget.
+  let globalComposed = false;
+  const results = rulesetPaths.map((rulesetPath) => {
+    const checked = checkRuleset(rulesetPath, rootDir, {
+      refresh: args.refresh ?? false,
+      offline: args.offline,
+      sourceCache,
+      skipGlobal: globalComposed
+    });
+    globalComposed =
+      globalComposed || checked.budgetResult.targets.some((target) => target.scope === "global");
+    return checked;
   });
-
-  const upToDate = staleFiles.length === 0;
+  const result = {
+    upToDate: results.every((item) => item.upToDate),
+    repositoryOutputs: results.flatMap((item) => item.repositoryOutputs),
+    stale: results.flatMap((item) => item.stale),
+    obsolete: results.flatMap((item) => item.obsolete),
+    outputDiffs: results.flatMap((item) => item.outputDiffs),
+    budgetResult: mergeBudgetResults(results.map((item) => item.budgetResult))
+  };
+  const budgetFailures = findBudgetFailures(args, result.budgetResult);
+  const globalResult =
+    args.global === true ? checkOwnGlobalOutputs(rulesetPaths, rootDir, args, sourceCache) : null;
 
   if (args.json) {
     process.stdout.write(
       JSON.stringify(
         {
           check: true,
-          upToDate,
+          upToDate: result.upToDate,
           repositoryOutputs: result.repositoryOutputs,
-          stale: staleFiles.map((file) => file.displayPath)
+          stale: result.stale.map((file) => file.displayPath),
+          obsolete: result.obsolete,
+          budget: result.budgetResult,
+          budgetFailed: budgetFailures.length > 0,
+          ...(args.global === true
+            ? { global: globalResult ?? { upToDate: true, targets: [] } }
+            : {})
         },
         null,
         2
       ) + "\n"
     );
   } else if (!args.quiet) {
-    if (upToDate) {
+    if (result.upToDate) {
       process.stdout.write(
         `Repository outputs are up to date:\n${result.repositoryOutputs
           .map((filePath) => `- ${filePath}`)
           .join("\n")}\n`
       );
     } else {
-      process.stdout.write(
-        `Stale repository outputs (run compose-agentsmd to regenerate):\n${staleFiles
-          .map((file) => `- ${file.displayPath}`)
-          .join("\n")}\n`
-      );
+      if (result.stale.length > 0) {
+        process.stdout.write(
+          `Stale repository outputs (run compose-agentsmd to regenerate):\n${result.stale
+            .map((file) => `- ${file.displayPath}`)
+            .join("\n")}\n`
+        );
+      }
+      if (result.obsolete.length > 0) {
+        process.stdout.write(
+          `Obsolete generated outputs (run compose-agentsmd to remove):\n${result.obsolete
+            .map((filePath) => `- ${filePath}`)
+            .join("\n")}\n`
+        );
+      }
       for (const diff of result.outputDiffs) {
-        if (diff.scope === "repository" && diff.status === "updated") {
+        if (diff.status === "updated") {
           writeOutputDiff(diff);
         }
       }
     }
+    if (args.global === true) {
+      process.stdout.write(formatGlobalCheck(globalResult));
+      for (const target of globalResult?.targets ?? []) {
+        if (target.patch) {
+          writeOutputDiff({
+            scope: "global",
+            targets: [target.output],
+            status: "updated",
+            patch: target.patch
+          });
+        }
+      }
+    }
+    emitBudgetReport(args, result.budgetResult);
   }
 
-  if (!upToDate) {
+  if (!result.upToDate || (globalResult && !globalResult.upToDate)) {
     process.exitCode = 1;
   }
+  enforceBudget(args, result.budgetResult);
+};
+
+// Composes every ruleset, then recomposes the rulesets a change affects until
+// interrupted. Global outputs are composed for their diff and budget but only
+// written with --global. A failed recompose is reported and watching goes on.
+const runWatch = (rulesetPaths: string[], rootDir: string, args: CliArgs): void => {
+  const writeGlobal = args.global === true;
+  const options: ComposeOptions = {
+    offline: args.offline,
+    dryRun: args.dryRun,
+    emitDiffs: !args.quiet,
+    emitGlobalDiffs: writeGlobal,
+    writeGlobal,
+    preferWorkspace: true,
+    sourceCache: new Map()
+  };
+  const log = (message: string): void => {
+    if (!args.quiet) {
+      process.stdout.write(message);
+    }
+  };
+  const report = (result: ComposeResult, ownsGlobal: boolean): void => {
+    if (!args.quiet) {
+      printOutputDiffs(result);
+      if (ownsGlobal) {
+        process.stdout.write(formatBudgetSummary(result.budgetResult));
+      }
+      process.stdout.write(formatRepositoryBudgetSummary(result.budgetResult));
+    }
+    // Rulesets that do not own the global outputs compose no global rules, so
+    // only their repository budget can be exceeded.
+    emitBudgetReport(args, result.budgetResult);
+  };
+
+  const initialResults = composeRulesets(rulesetPaths, rootDir, options);
+  // The ruleset that composed the global outputs keeps doing so.
+  const globalOwner = initialResults.findIndex((result) => result.globalOutputs.length > 0);
+  initialResults.forEach((result, index) => report(result, index === globalOwner));
+
+  const reportError = (error: unknown): void => {
+    const message = error instanceof Error ? error.message : String(error);
+    process.stderr.write(`${message}\n`);
+  };
+
+  let stopWatching = (): void => {};
+  const watchRulesets = (targetsByRuleset: WatchTarget[][]): void => {
+    const targets = [
+      ...new Map(
+        targetsByRuleset
+          .flat()
+          .map((target) => [`${target.directory}\n${target.fileName ?? ""}`, target])
+      ).values()
+    ];
+
+    stopWatching = watchTargets(targets, (changedPaths) => {
+      stopWatching();
+      log(
+        `Changed:\n${changedPaths.map((filePath) => `- ${toDisplayPath(rootDir, filePath)}`).join("\n")}\n`
+      );
+      rulesetPaths.forEach((rulesetPath, index) => {
+        const affected = targetsByRuleset[index].some((target) =>
+          changedPaths.some((changedPath) => matchesWatchTarget(target, changedPath))
+        );
+        if (!affected) {
+          return;
+        }
+        try {
+          const result = composeRuleset(rulesetPath, rootDir, {
+            ...options,
+            skipGlobal: index !== globalOwner
+          });
+          report(result, index === globalOwner);
+        } catch (error) {
+          reportError(error);
+        }
+      });
+      // Sources may have changed with the ruleset, so the targets are collected again.
+      startWatching();
+    });
+  };
+  const startWatching = (): void => {
+    try {
+      watchRulesets(rulesetPaths.map(collectWatchTargets));
+    } catch (error) {
+      // A source directory may be gone; the ruleset files alone still pick up a fix.
+      reportError(error);
+      watchRulesets(rulesetPaths.map((rulesetPath) => [getRulesetWatchTarget(rulesetPath)]));
+    }
+  };
+
+  startWatching();
+  log("Watching for rule changes. Press Ctrl+C to stop.\n");
+  process.once("SIGINT", () => {
+    stopWatching();
+  });
 };
 
 const printEditRulesGuidance = (rulesetDir: string, ruleset: ProjectRuleset): void => {
   const lines: string[] = [];
   for (const source of ruleset.sources) {
     let workspaceRoot = resolveWorkspaceRoot(rulesetDir, source);
-    if (source.startsWith("github:")) {
-      workspaceRoot = ensureWorkspaceForGithubSource(source);
+    if (isRemoteSource(source)) {
+      workspaceRoot = ensureWorkspaceForRemoteSource(source);
     }
 
-    const rulesDirectory = source.startsWith("github:")
-      ? path.join(workspaceRoot, "rules")
+    const rulesDirectory = isRemoteSource(source)
+      ? path.join(resolveSourceSubpath(workspaceRoot, parseRemoteSource(source)), "rules")
       : resolveLocalRulesRoot(rulesetDir, source);
 
     lines.push(`Rules workspace: ${workspaceRoot}`);
@@ -1462,7 +1210,7 @@ const printEditRulesGuidance = (rulesetDir: string, ruleset: ProjectRuleset): vo
 
   lines.push("Next steps:");
   lines.push("- Edit rule files under the listed rules directories.");
-  lines.push("- If a source is GitHub, commit and push the workspace changes before apply-rules.");
+  lines.push("- If a source is remote, commit and push the workspace changes before apply-rules.");
   lines.push(
     "- Run compose-agentsmd apply-rules from your project root to apply updates and regenerate instruction files."
   );
@@ -1489,10 +1237,25 @@ const main = async (): Promise<void> => {
     return;
   }
 
+  const command = args.command ?? "compose";
+  if (isEnvFlagSet(process.env[OFFLINE_ENV_VAR])) {
+    args.offline = true;
+  }
+  if (args.offline && (command === "apply-rules" || command === "update")) {
+    throw new UsageError(`${command} needs network access and cannot run in offline mode.`);
+  }
+
   const rootDir = args.root ? path.resolve(args.root) : process.cwd();
   const rulesetName = args.rulesetName || DEFAULT_RULESET_NAME;
-  const rulesetFiles = getRulesetFiles(rootDir, args.ruleset, rulesetName);
-  const command = args.command ?? "compose";
+  if (args.recursive && !MULTI_RULESET_COMMANDS.has(command)) {
+    throw new UsageError(`--recursive is not supported by ${command}.`);
+  }
+  const rootRulesetFiles = getRulesetFiles(rootDir, args.ruleset, rulesetName);
+  // --ruleset names exactly one ruleset, so its `workspaces` are not expanded.
+  const rulesetFiles =
+    MULTI_RULESET_COMMANDS.has(command) && (args.recursive || !args.ruleset)
+      ? expandRulesetFiles(rootDir, rootRulesetFiles, rulesetName, !!args.recursive)
+      : rootRulesetFiles;
   const logVerbose = (message: string): void => {
     if (args.verbose) {
       process.stdout.write(`${message}\n`);
@@ -1520,8 +1283,154 @@ const main = async (): Promise<void> => {
   }
 
   if (command === "check") {
+    ensureRulesetFiles(rulesetFiles, rootDir, rulesetName);
+    runCheck(rulesetFiles, rootDir, args);
+    return;
+  }
+
+  if (command === "diff") {
+    const rulesetPath = ensureSingleRuleset(rulesetFiles, rootDir, rulesetName);
+    const result = diffSourceVersions(rulesetPath, rootDir, {
+      source: args.diffSource,
+      from: args.from,
+      to: args.to,
+      offline: args.offline
+    });
+    if (args.json) {
+      process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+    } else if (!args.quiet) {
+      process.stdout.write(formatVersionDiff(result));
+    }
+    return;
+  }
+
+  if (command === "explain") {
+    const rulesetPath = ensureSingleRuleset(rulesetFiles, rootDir, rulesetName);
+    const result = explainOutput(rulesetPath, rootDir, {
+      output: args.output,
+      line: args.line,
+      grep: args.grep,
+      offline: args.offline
+    });
+    if (args.json) {
+      process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+    } else if (!args.quiet) {
+      process.stdout.write(formatExplanation(result));
+    }
+    return;
+  }
+
+  if (command === "lint-rules") {
+    // The root is the rules source itself, not a consuming project.
+    const result = lintRulesSource(rootDir);
+    if (args.json) {
+      process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+    } else if (!args.quiet) {
+      process.stdout.write(formatRuleLintResult(result));
+    }
+    if (!result.ok) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === "restore") {
+    const backup = restoreBackup(args.backup, { dryRun: args.dryRun });
+    if (args.json) {
+      process.stdout.write(
+        JSON.stringify({ restored: backup, dryRun: !!args.dryRun }, null, 2) + "\n"
+      );
+    } else if (!args.quiet) {
+      process.stdout.write(formatRestoredBackup(backup, rootDir, !!args.dryRun));
+    }
+    return;
+  }
+
+  if (command === "doctor") {
+    const report = runDoctor(rulesetFiles[0] ?? null, rootDir, { offline: args.offline });
+    if (args.json) {
+      process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+    } else if (!args.quiet) {
+      process.stdout.write(formatDoctorReport(report));
+    }
+    if (!report.ok) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === "list-profiles" || command === "describe-profile") {
     const rulesetPath = ensureSingleRuleset(rulesetFiles, rootDir, rulesetName);
-    runCheck(rulesetPath, rootDir, args);
+    const options = { refresh: args.refresh, offline: args.offline };
+    if (command === "list-profiles") {
+      const profiles = listProfiles(rulesetPath, options);
+      if (args.json) {
+        process.stdout.write(JSON.stringify({ profiles }, null, 2) + "\n");
+      } else if (!args.quiet) {
+        process.stdout.write(formatProfileList(profiles));
+      }
+      return;
+    }
+
+    const profiles = describeProfiles(
+      rulesetPath,
+      args.profile ? [args.profile] : undefined,
+      options
+    );
+    if (args.json) {
+      process.stdout.write(JSON.stringify({ profiles }, null, 2) + "\n");
+    } else if (!args.quiet) {
+      process.stdout.write(profiles.map(formatProfileDescription).join("\n"));
+    }
+    return;
+  }
+
+  if (command === "watch") {
+    if (args.json) {
+      throw new UsageError("watch does not support --json.");
+    }
+    ensureRulesetFiles(rulesetFiles, rootDir, rulesetName);
+    runWatch(rulesetFiles, rootDir, args);
+    return;
+  }
+
+  if (command === "update") {
+    ensureRulesetFiles(rulesetFiles, rootDir, rulesetName);
+    const results = composeRulesets(rulesetFiles, rootDir, {
+      refresh: true,
+      updateLock: true,
+      dryRun: args.dryRun,
+      emitDiffs: !args.quiet && !args.json
+    });
+    const output = mergeComposeResults(results);
+    if (args.json) {
+      process.stdout.write(
+        JSON.stringify(
+          {
+            composed: output.outputs,
+            repositoryOutputs: output.repositoryOutputs,
+            globalOutputs: output.globalOutputs,
+            rules: output.rules,
+            lockfile: output.lockfile ?? null,
+            // One entry per ruleset with remote sources or a lockfile.
+            lockfiles: results.flatMap((result) => (result.lockfile ? [result.lockfile] : [])),
+            dryRun: !!args.dryRun,
+            budget: output.budgetResult,
+            ...formatBackupsJson(output)
+          },
+          null,
+          2
+        ) + "\n"
+      );
+    } else if (!args.quiet) {
+      for (const result of results) {
+        process.stdout.write(formatLockfileStatus(result, !!args.dryRun));
+      }
+      process.stdout.write(formatComposedOutputs(output, rootDir));
+      printOutputDiffs(output);
+      emitBudgetReport(args, output.budgetResult);
+    }
+    enforceBudget(args, output.budgetResult);
     return;
   }
 
@@ -1535,6 +1444,7 @@ const main = async (): Promise<void> => {
 
     const output = composeRuleset(rulesetPath, rootDir, {
       refresh: true,
+      updateLock: true,
       dryRun: args.dryRun,
       emitDiffs: !args.quiet && !args.json
     });
@@ -1545,29 +1455,29 @@ const main = async (): Promise<void> => {
             composed: output.outputs,
             repositoryOutputs: output.repositoryOutputs,
             globalOutputs: output.globalOutputs,
+            rules: output.rules,
             dryRun: !!args.dryRun,
-            budget: output.budgetResult
+            budget: output.budgetResult,
+            ...formatBackupsJson(output)
           },
           null,
           2
         ) + "\n"
       );
     } else if (!args.quiet) {
-      process.stdout.write(formatComposedOutputs(output));
+      process.stdout.write(formatComposedOutputs(output, rootDir));
       printOutputDiffs(output);
       emitBudgetReport(args, output.budgetResult);
     }
+    enforceBudget(args, output.budgetResult);
     return;
   }
 
-  if (rulesetFiles.length === 0) {
-    const expectedPath = normalizePath(path.join(rootDir, rulesetName));
-    throw new Error(`Missing ruleset file: ${expectedPath}`);
-  }
-
-  const outputs = rulesetFiles.sort().map((rulesetPath) =>
-    composeRuleset(rulesetPath, rootDir, {
+  ensureRulesetFiles(rulesetFiles, rootDir, rulesetName);
+  const output = mergeComposeResults(
+    composeRulesets(rulesetFiles, rootDir, {
       refresh: args.refresh,
+      offline: args.offline,
       dryRun: args.dryRun,
       emitDiffs: !args.quiet && !args.json
     })
@@ -1577,35 +1487,24 @@ const main = async (): Promise<void> => {
     process.stdout.write(
       JSON.stringify(
         {
-          composed: outputs.flatMap((result) => result.outputs),
-          repositoryOutputs: outputs.flatMap((result) => result.repositoryOutputs),
-          globalOutputs: outputs.flatMap((result) => result.globalOutputs),
+          composed: output.outputs,
+          repositoryOutputs: output.repositoryOutputs,
+          globalOutputs: output.globalOutputs,
+          rules: output.rules,
           dryRun: !!args.dryRun,
-          budget: outputs[0].budgetResult
+          budget: output.budgetResult,
+          ...formatBackupsJson(output)
         },
         null,
         2
       ) + "\n"
     );
   } else if (!args.quiet) {
-    process.stdout.write(
-      formatComposedOutputs({
-        output: outputs[0].output,
-        outputs: outputs.flatMap((result) => result.outputs),
-        repositoryOutputs: outputs.flatMap((result) => result.repositoryOutputs),
-        globalOutputs: outputs.flatMap((result) => result.globalOutputs),
-        repositoryFiles: outputs.flatMap((result) => result.repositoryFiles),
-        outputDiffs: [],
-        budgetResult: outputs[0].budgetResult
-      })
-    );
-    for (const result of outputs) {
-      printOutputDiffs(result);
-    }
-    for (const result of outputs) {
-      emitBudgetReport(args, result.budgetResult);
-    }
+    process.stdout.write(formatComposedOutputs(output, rootDir));
+    printOutputDiffs(output);
+    emitBudgetReport(args, output.budgetResult);
   }
+  enforceBudget(args, output.budgetResult);
 };
 
 const run = async (): Promise<void> => {
@@ -1614,7 +1513,13 @@ const run = async (): Promise<void> => {
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
     process.stderr.write(`${message}\n`);
-    process.stderr.write(`${usage}\n`);
+    if (error instanceof UsageError) {
+      process.stderr.write(`\n${usage}\n`);
+    } else {
+      process.stderr.write(
+        "Run compose-agentsmd doctor to check git, the ruleset and its sources.\n"
+      );
+    }
     process.exit(1);
   }
 };
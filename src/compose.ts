@@ -0,0 +1,1249 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createTwoFilesPatch } from "diff";
+import { writeFilesAtomically } from "./atomic-write.js";
+import { formatLockfile, getLockfilePath, readLockfile } from "./lockfile.js";
+import type { DomainCondition } from "./conditions.js";
+import { appliesToAgent, parseFrontMatter, type RuleMetadata } from "./front-matter.js";
+import {
+  buildCursorRuleFiles,
+  DEFAULT_CURSOR_OUTPUT_DIR,
+  DEFAULT_WINDSURF_OUTPUT,
+  findObsoleteCursorFiles,
+  GENERATED_MARKER,
+  type DomainRules
+} from "./native-outputs.js";
+import { applyOverlays, isTombstone, resolveOverlayMode, type LayeredPart } from "./overlay.js";
+import { applyManagedBlock, MANAGED_BLOCK_BEGIN } from "./managed-block.js";
+import {
+  createBackup,
+  findOutputOwner,
+  readOutputState,
+  recordOutputs,
+  type OutputBackup,
+  type OutputState
+} from "./ownership.js";
+import { readProfileManifest, resolveProfileSelections } from "./profiles.js";
+import {
+  DEFAULT_CLAUDE_OUTPUT,
+  DEFAULT_OUTPUT,
+  getRulesetProfiles,
+  readProjectRuleset,
+  type ProjectRuleset
+} from "./ruleset.js";
+import {
+  buildLockfile,
+  formatRuleSourcePath,
+  resolveSourceContexts,
+  withSourceRef,
+  type SourceCache,
+  type SourceContext
+} from "./sources.js";
+import {
+  countTokensWith,
+  DEFAULT_TOKENIZER,
+  describeTokenizer,
+  type TokenizerSpec
+} from "./tokenizers.js";
+import { readUserConfig, resolveGlobalTargets, type GlobalTarget } from "./user-config.js";
+import {
+  ensureDirectoryExists,
+  isExistingDirectory,
+  isExistingFile,
+  isSubPath,
+  normalizePath,
+  normalizeTrailingWhitespace,
+  resolveFrom,
+  toDisplayPath
+} from "./utils.js";
+
+const TOOL_RULES_PATH = new URL("../tools/tool-rules.md", import.meta.url);
+
+// Token budgets for the composed global rules.
+// - DEFAULT_TOTAL_BUDGET: hard budget for the always-loaded global rules.
+//   Sized to accommodate realistic invariant density (~80–120 invariants ×
+//   ~30–50 tokens each ≈ 5–6k tokens) plus structural margin and growth
+//   headroom, while staying a small fraction of the smallest target model's
+//   effective system-prompt window. Total exceedance is a budget violation.
+// - DEFAULT_MODULE_BUDGET: per-module advisory threshold, NOT a violation.
+//   Crossing it triggers a review prompt to check whether the module is
+//   leaking procedural content (procedures belong in skills, not rules).
+const DEFAULT_TOTAL_BUDGET = 8000;
+const DEFAULT_MODULE_BUDGET = 800;
+// The repository output adds the tool rules and every selected domain to what
+// agents load, so it gets a budget of its own (same sizing as the global one).
+const DEFAULT_REPOSITORY_TOTAL_BUDGET = 8000;
+// Tokenizer key of the primary output, which every agent reads.
+const PRIMARY_TOKENIZER_TARGET = "agents";
+const LINT_HEADER = "<!-- markdownlint-disable MD025 -->";
+
+const TOOL_RULES = normalizeTrailingWhitespace(fs.readFileSync(TOOL_RULES_PATH, "utf8"));
+
+// The Markdown files under rootDir, sorted by relative path. Symbolic links
+// are skipped.
+export const collectMarkdownFiles = (rootDir: string): string[] => {
+  ensureDirectoryExists(rootDir);
+
+  const results: string[] = [];
+  const pending = [rootDir];
+
+  while (pending.length > 0) {
+    const currentDir = pending.pop();
+    if (!currentDir) {
+      continue;
+    }
+
+    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      // Skip symbolic links (including Windows junctions). Following them would
+      // let a malicious source compose files outside its declared rules/domains
+      // boundary through the markdown collector.
+      if (entry.isSymbolicLink()) {
+        continue;
+      }
+
+      const entryPath = path.join(currentDir, entry.name);
+
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+        continue;
+      }
+
+      if (entry.isFile() && path.extname(entry.name).toLowerCase() === ".md") {
+        results.push(entryPath);
+      }
+    }
+  }
+
+  return results.sort((a, b) => {
+    const relA = normalizePath(path.relative(rootDir, a));
+    const relB = normalizePath(path.relative(rootDir, b));
+    return relA.localeCompare(relB);
+  });
+};
+
+export type ComposeOptions = {
+  refresh?: boolean;
+  // Resolve remote sources from the local cache only; never touch the network.
+  offline?: boolean;
+  // Ignore the existing lockfile and re-resolve every remote source.
+  updateLock?: boolean;
+  dryRun?: boolean;
+  emitDiffs?: boolean;
+  emitGlobalDiffs?: boolean;
+  // Shared across rulesets composed in one run so each remote source is
+  // resolved once.
+  sourceCache?: SourceCache;
+  // Compose remote sources at other refs (`source -> ref`), for diff.
+  sourceRefs?: Record<string, string>;
+  // Leave out the user-global outputs even when the ruleset enables them, for
+  // every ruleset but the one that writes them.
+  skipGlobal?: boolean;
+  // Compose the user-global outputs (for budgets and diffs) without writing
+  // them. Repository outputs are still written unless `dryRun`.
+  writeGlobal?: boolean;
+  // Read remote sources from their edit-rules workspace when one exists.
+  preferWorkspace?: boolean;
+  // Compose these profiles instead of the ruleset's, for describe-profile.
+  profiles?: string[];
+};
+
+export type OutputScope = "repository" | "global";
+
+export type OutputGroupDiff = {
+  scope: OutputScope;
+  targets: string[];
+  status: "unchanged" | "updated";
+  patch?: string;
+};
+
+export type ScopeBudgetResult = {
+  tokenizer: string;
+  totalTokens: number;
+  totalBudget: number;
+  moduleBudget: number;
+  overBudgetModules: Array<{ name: string; tokens: number }>;
+  totalExceeded: boolean;
+  moduleReviewTriggered: boolean;
+  // `budget.enforce`: exceeding `totalBudget` fails compose and check.
+  enforced: boolean;
+};
+
+// The budget of a ruleset's primary output; modules are named by provenance.
+export type RepositoryBudgetResult = ScopeBudgetResult & { output: string };
+
+// A composed file's size with its target's tokenizer.
+export type TargetTokenCount = {
+  scope: OutputScope;
+  target: string;
+  output: string;
+  tokenizer: string;
+  tokens: number;
+};
+
+// The top-level fields budget the global rules.
+export type BudgetCheckResult = ScopeBudgetResult & {
+  // One per composed ruleset.
+  repositories: RepositoryBudgetResult[];
+  targets: TargetTokenCount[];
+};
+
+export type RepositoryComposedFile = {
+  absolutePath: string;
+  displayPath: string;
+  content: string;
+};
+
+export type GlobalComposedFile = RepositoryComposedFile & {
+  // The global target name, such as `codex` or `claude`.
+  target: string;
+};
+
+export type ComposeResult = {
+  output: string;
+  outputs: string[];
+  repositoryOutputs: string[];
+  globalOutputs: string[];
+  repositoryFiles: RepositoryComposedFile[];
+  // Generated Cursor rules that are no longer produced; compose removes them.
+  obsoleteOutputs: string[];
+  // Every composed rule module with its front-matter metadata.
+  rules: ComposedRule[];
+  modules: ComposedModule[];
+  // The user-global files with their composed content, one per target.
+  globalFiles: GlobalComposedFile[];
+  outputDiffs: OutputGroupDiff[];
+  budgetResult: BudgetCheckResult;
+  // Present when the ruleset has remote sources or an existing lockfile.
+  lockfile?: { path: string; updated: boolean };
+  // Where each section of the instruction files came from, for explain.
+  sourceMaps: OutputSourceMap[];
+  // Files compose did not write, saved before it overwrote them.
+  backups: OutputBackup[];
+};
+
+// Where a composed rule came from. `profile` is the ruleset profile that
+// selected its domain; `inheritedFrom` names the profile it extends that
+// actually lists the domain, and `condition` the `conditionalDomains` entry
+// that matched.
+export type RuleOrigin = {
+  source: string;
+  ref?: string;
+  provenance: string;
+  filePath: string;
+  domain?: string;
+  profile?: string;
+  inheritedFrom?: string;
+  condition?: DomainCondition;
+};
+
+// A run of lines in a composed file (1-based, inclusive): the lint header, the
+// bundled tool rules, the companion's import of the primary output or a rule.
+export type SourceMapSection = {
+  kind: "header" | "tool-rules" | "import" | "rule";
+  startLine: number;
+  endLine: number;
+  rule?: RuleOrigin;
+};
+
+// Cursor rule files are not mapped; each one already holds a single domain.
+export type OutputSourceMap = {
+  scope: OutputScope;
+  absolutePath: string;
+  displayPath: string;
+  sections: SourceMapSection[];
+};
+
+// User-global output files, as configured by `~/.agentsmd/config.json`.
+export const getGlobalOutputPaths = (): string[] =>
+  resolveGlobalTargets(readUserConfig()).map((target) => target.path);
+
+export type OutputPaths = {
+  primaryOutputPath: string;
+  companionOutputPath?: string;
+  // Present only when the matching ruleset key is enabled.
+  cursorOutputDir?: string;
+  windsurfOutputPath?: string;
+  globalOutputPaths: string[];
+  // The configured user-global targets behind `globalOutputPaths`.
+  globalTargets: GlobalTarget[];
+};
+
+export const resolveOutputPaths = (
+  rulesetDir: string,
+  projectRuleset: ProjectRuleset
+): OutputPaths => {
+  const primaryOutputPath = resolveFrom(rulesetDir, projectRuleset.output ?? DEFAULT_OUTPUT);
+  const claude = projectRuleset.claude ?? {};
+  const companionEnabled = claude.enabled !== false;
+  const configuredCompanionPath = resolveFrom(rulesetDir, claude.output ?? DEFAULT_CLAUDE_OUTPUT);
+  const globalTargets =
+    projectRuleset.global === false ? [] : resolveGlobalTargets(readUserConfig());
+  const outputPaths: OutputPaths = {
+    primaryOutputPath,
+    globalOutputPaths: globalTargets.map((target) => target.path),
+    globalTargets
+  };
+
+  if (
+    companionEnabled &&
+    path.resolve(primaryOutputPath) !== path.resolve(configuredCompanionPath)
+  ) {
+    outputPaths.companionOutputPath = configuredCompanionPath;
+  }
+  if (projectRuleset.cursor?.enabled) {
+    outputPaths.cursorOutputDir = resolveFrom(
+      rulesetDir,
+      projectRuleset.cursor.outputDir ?? DEFAULT_CURSOR_OUTPUT_DIR
+    );
+  }
+  if (projectRuleset.windsurf?.enabled) {
+    outputPaths.windsurfOutputPath = resolveFrom(
+      rulesetDir,
+      projectRuleset.windsurf.output ?? DEFAULT_WINDSURF_OUTPUT
+    );
+  }
+
+  return outputPaths;
+};
+
+// The companion imports the primary output, then adds rules restricted to
+// Claude (which the shared primary output leaves out).
+const buildClaudeCompanionContent = (
+  primaryOutputPath: string,
+  companionOutputPath: string,
+  claudeOnlyParts: string[]
+): string => {
+  const relativeImportPath = normalizePath(
+    path.relative(path.dirname(companionOutputPath), primaryOutputPath)
+  );
+  const importLine = `@${relativeImportPath}\n`;
+  return claudeOnlyParts.length > 0
+    ? `${importLine}\n${claudeOnlyParts.join("\n\n")}\n`
+    : importLine;
+};
+
+const buildInstructionContent = (parts: string[], includeToolRules: boolean): string => {
+  const sections = includeToolRules ? [normalizeTrailingWhitespace(TOOL_RULES), ...parts] : parts;
+  if (sections.length === 0) {
+    return "";
+  }
+
+  return `${LINT_HEADER}\n${sections.join("\n\n")}\n`;
+};
+
+type MappedContent = { content: string; sections: SourceMapSection[] };
+
+type ContentSection = { kind: SourceMapSection["kind"]; text: string; rule?: RuleOrigin };
+
+// Maps sections joined by blank lines, the first starting at `firstLine`.
+const mapSections = (firstLine: number, sections: ContentSection[]): SourceMapSection[] => {
+  let line = firstLine;
+  return sections.map((section) => {
+    const endLine = line + section.text.split("\n").length - 1;
+    const mapped: SourceMapSection = {
+      kind: section.kind,
+      startLine: line,
+      endLine,
+      ...(section.rule ? { rule: section.rule } : {})
+    };
+    line = endLine + 2;
+    return mapped;
+  });
+};
+
+const toRuleSection = (part: RulePart): ContentSection => ({
+  kind: "rule",
+  text: part.content,
+  rule: toRuleOrigin(part)
+});
+
+const buildMappedInstructionContent = (
+  parts: RulePart[],
+  includeToolRules: boolean
+): MappedContent => {
+  const sections: ContentSection[] = [
+    ...(includeToolRules
+      ? [{ kind: "tool-rules" as const, text: normalizeTrailingWhitespace(TOOL_RULES) }]
+      : []),
+    ...parts.map(toRuleSection)
+  ];
+  return {
+    content: buildInstructionContent(
+      parts.map((part) => part.content),
+      includeToolRules
+    ),
+    sections:
+      sections.length > 0
+        ? [{ kind: "header", startLine: 1, endLine: 1 }, ...mapSections(2, sections)]
+        : []
+  };
+};
+
+const buildMappedCompanionContent = (
+  primaryOutputPath: string,
+  companionOutputPath: string,
+  claudeOnlyParts: RulePart[]
+): MappedContent => ({
+  content: buildClaudeCompanionContent(
+    primaryOutputPath,
+    companionOutputPath,
+    claudeOnlyParts.map((part) => part.content)
+  ),
+  sections: [
+    { kind: "import", startLine: 1, endLine: 1 },
+    ...mapSections(3, claudeOnlyParts.map(toRuleSection))
+  ]
+});
+
+// Whether overwriting `existing` loses nothing compose did not write: it is
+// empty or kept above a new managed block, has a managed block, starts with the
+// header compose writes, is a generated Cursor rule, or starts with the
+// companion's import line.
+const isComposedOutput = (existing: string, desired: string): boolean =>
+  desired.startsWith(existing.trimEnd()) ||
+  existing.includes(MANAGED_BLOCK_BEGIN) ||
+  existing.startsWith(`${LINT_HEADER}\n`) ||
+  existing.includes(GENERATED_MARKER) ||
+  (desired.startsWith("@") && existing.split("\n")[0] === desired.split("\n")[0]);
+
+// Existing files that writing would replace although compose did not write them.
+// A file recorded in the output state is compose's own only while its content
+// hash matches; the content checks decide for files without a record.
+const findUnownedFiles = (
+  files: Array<{ absolutePath: string; content: string }>,
+  outputState: OutputState
+): string[] =>
+  files.flatMap((file) => {
+    if (!isExistingFile(file.absolutePath)) {
+      return [];
+    }
+    const existing = fs.readFileSync(file.absolutePath, "utf8");
+    const owned = Object.hasOwn(outputState.files, file.absolutePath)
+      ? findOutputOwner(outputState, file.absolutePath, existing) !== null
+      : isComposedOutput(existing, file.content);
+    return existing === file.content || owned ? [] : [file.absolutePath];
+  });
+
+const checkScopeBudget = (
+  tokenizer: TokenizerSpec,
+  content: string,
+  modules: Array<{ name: string; content: string }>,
+  totalBudget: number,
+  moduleBudget: number,
+  enforced: boolean
+): ScopeBudgetResult => {
+  const totalTokens = countTokensWith(tokenizer, content);
+  const overBudgetModules = modules
+    .map((module) => ({ name: module.name, tokens: countTokensWith(tokenizer, module.content) }))
+    .filter((module) => module.tokens > moduleBudget);
+  return {
+    tokenizer: describeTokenizer(tokenizer),
+    totalTokens,
+    totalBudget,
+    moduleBudget,
+    overBudgetModules,
+    totalExceeded: totalTokens > totalBudget,
+    moduleReviewTriggered: overBudgetModules.length > 0,
+    enforced
+  };
+};
+
+export const buildScopeDiff = (
+  scope: OutputScope,
+  targetPaths: string[],
+  desiredContent: string,
+  rootDir: string
+): OutputGroupDiff | undefined => {
+  if (targetPaths.length === 0) {
+    return undefined;
+  }
+
+  const displayTargets = targetPaths.map((filePath) => toDisplayPath(rootDir, filePath));
+  const changedTargetPath = targetPaths.find((filePath) => {
+    if (!fs.existsSync(filePath)) {
+      return true;
+    }
+
+    return fs.readFileSync(filePath, "utf8") !== desiredContent;
+  });
+
+  if (!changedTargetPath) {
+    return {
+      scope,
+      targets: displayTargets,
+      status: "unchanged"
+    };
+  }
+
+  const before = fs.existsSync(changedTargetPath) ? fs.readFileSync(changedTargetPath, "utf8") : "";
+  const displayPath = toDisplayPath(rootDir, changedTargetPath);
+
+  return {
+    scope,
+    targets: displayTargets,
+    status: "updated",
+    patch: createTwoFilesPatch(
+      `a/${displayPath}`,
+      `b/${displayPath}`,
+      before,
+      desiredContent,
+      "",
+      "",
+      { context: 3 }
+    )
+  };
+};
+
+// A composed rule module. `domain` and `profile` are set for repository rules
+// and name the domain they came from and the ruleset profile that selected it;
+// `metadata` is the file's parsed front-matter. `sourceIndex`, `relativePath`
+// and `tombstone` drive overlay shadowing.
+export type RulePart = LayeredPart & {
+  name: string;
+  sourcePath: string;
+  // `sourcePath` without the source ref.
+  sourceId: string;
+  content: string;
+  // `content` without the provenance line.
+  body: string;
+  metadata: RuleMetadata;
+  profile?: string;
+  // The rule file on disk and the ruleset source (with its resolved ref) it
+  // was read from.
+  filePath: string;
+  source: string;
+  ref?: string;
+  inheritedFrom?: string;
+  condition?: DomainCondition;
+};
+
+// A rule as reported in `--json` output.
+export type ComposedRule = RuleMetadata & {
+  scope: OutputScope;
+  source: string;
+  domain?: string;
+  profile?: string;
+};
+
+// A composed rule module's size. `id` is its provenance without the source
+// ref, so the same rule file can be matched across versions of its source.
+export type ComposedModule = {
+  scope: OutputScope;
+  id: string;
+  source: string;
+  domain?: string;
+  // Tokens in the rule body, without the provenance line.
+  tokens: number;
+};
+
+const buildRulePart = (
+  rulePath: string,
+  rootDir: string,
+  context: SourceContext,
+  sourceIndex: number,
+  rulesetDir: string
+): RulePart => {
+  const { metadata, body } = parseFrontMatter(fs.readFileSync(rulePath, "utf8"), rulePath);
+  const sourcePath = formatRuleSourcePath(rulePath, context, rulesetDir);
+  const ruleBody = normalizeTrailingWhitespace(body);
+  return {
+    name: path.basename(rulePath),
+    sourcePath,
+    sourceId: formatRuleSourcePath(rulePath, context, rulesetDir, false),
+    content: `Source: ${sourcePath}\n\n${ruleBody}`,
+    body: ruleBody,
+    metadata,
+    filePath: rulePath,
+    source: context.source,
+    ...(context.resolvedRef ? { ref: context.resolvedRef } : {}),
+    sourceIndex,
+    relativePath: normalizePath(path.relative(rootDir, rulePath)),
+    tombstone: isTombstone(body)
+  };
+};
+
+// Builds the parts for one rules directory, ordered by front-matter `order`
+// (default 0). The sort is stable, so ties keep file name order.
+const buildDirectoryParts = (
+  rootDir: string,
+  context: SourceContext,
+  sourceIndex: number,
+  rulesetDir: string
+): RulePart[] =>
+  collectMarkdownFiles(rootDir)
+    .map((rulePath) => buildRulePart(rulePath, rootDir, context, sourceIndex, rulesetDir))
+    .sort((a, b) => (a.metadata.order ?? 0) - (b.metadata.order ?? 0));
+
+// Applies each source's overlay mode (from its profile manifest) to the parts.
+const applySourceOverlays = (parts: RulePart[], sourceContexts: SourceContext[]): RulePart[] => {
+  const manifests = sourceContexts.map((context) => readProfileManifest(context.sourceRoot));
+  return applyOverlays(parts, (sourceIndex, domain) =>
+    resolveOverlayMode(manifests[sourceIndex], domain)
+  );
+};
+
+const selectAgentParts = (parts: RulePart[], agent: string): RulePart[] =>
+  parts.filter((part) => appliesToAgent(part.metadata, agent));
+
+// Collects global rule parts across every source, in source order. Sources
+// without a `rules/global` directory are skipped.
+const collectGlobalParts = (sourceContexts: SourceContext[], rulesetDir: string): RulePart[] => {
+  const parts: RulePart[] = [];
+  sourceContexts.forEach((context, index) => {
+    const globalRoot = path.join(context.rulesRoot, "global");
+    if (isExistingDirectory(globalRoot)) {
+      parts.push(...buildDirectoryParts(globalRoot, context, index, rulesetDir));
+    }
+  });
+  return applySourceOverlays(parts, sourceContexts);
+};
+
+const groupPartsByDomain = (parts: RulePart[]): DomainRules[] => {
+  const groups = new Map<string, string[]>();
+  for (const part of parts) {
+    const domain = part.domain ?? "";
+    groups.set(domain, [...(groups.get(domain) ?? []), part.content]);
+  }
+  return [...groups].map(([domain, contents]) => ({ domain, parts: contents }));
+};
+
+// Collects repository (domain) rule parts. Domains are chosen by the profile
+// manifest of each source. By default overlays are preserved: the same domain
+// in multiple sources contributes each source's content in source order (no
+// de-duplication). Sources in shadow overlay mode replace files instead.
+const collectRepositoryParts = (
+  sourceContexts: SourceContext[],
+  profiles: string[],
+  rulesetDir: string
+): RulePart[] => {
+  const sourceRoots = sourceContexts.map((context) => context.sourceRoot);
+  const parts: RulePart[] = [];
+  // Several profiles may select the same domain; the first one pulls it in.
+  const selectedDomains = new Set<string>();
+
+  for (const profile of profiles) {
+    const selections = resolveProfileSelections(sourceRoots, profile, rulesetDir);
+    if (selections.length === 0) {
+      throw new Error(
+        `Profile "${profile}" is not defined by any source ` +
+          `(checked: ${sourceContexts.map((context) => context.source).join(", ")}). ` +
+          `Define it under "profiles" in an agent-profiles.json at a source root.`
+      );
+    }
+
+    for (const selection of selections) {
+      const context = sourceContexts[selection.index];
+      const domainsRoot = path.join(context.rulesRoot, "domains");
+      for (const domain of selection.domains) {
+        const domainKey = `${selection.index}\0${domain}`;
+        if (selectedDomains.has(domainKey)) {
+          continue;
+        }
+        selectedDomains.add(domainKey);
+
+        const domainRoot = path.resolve(domainsRoot, domain);
+        if (!isSubPath(domainsRoot, domainRoot)) {
+          throw new Error(
+            `Domain "${domain}" for profile "${profile}" resolves outside rules/domains in ` +
+              `source ${context.source}. Use a safe domain directory name.`
+          );
+        }
+        // Refuse symlinked/junction domain directories: a malicious source could
+        // point rules/domains/<domain> at any location on disk and bypass the
+        // declared rules boundary even though the path resolves under it.
+        let domainLstat: fs.Stats | null = null;
+        try {
+          domainLstat = fs.lstatSync(domainRoot);
+        } catch {
+          domainLstat = null;
+        }
+        if (domainLstat?.isSymbolicLink()) {
+          throw new Error(
+            `Domain directory "${domain}" for profile "${profile}" is a symbolic link: ` +
+              `${normalizePath(domainRoot)}. ` +
+              `Use a real directory under rules/domains/${domain} in source ${context.source}.`
+          );
+        }
+        if (!isExistingDirectory(domainRoot)) {
+          throw new Error(
+            `Domain directory "${domain}" for profile "${profile}" not found: ` +
+              `${normalizePath(domainRoot)}. ` +
+              `Ensure rules/domains/${domain} exists in source ${context.source}.`
+          );
+        }
+        const condition = selection.conditions?.[domain];
+        for (const part of buildDirectoryParts(domainRoot, context, selection.index, rulesetDir)) {
+          parts.push({
+            ...part,
+            domain,
+            profile,
+            ...(selection.profile !== profile ? { inheritedFrom: selection.profile } : {}),
+            ...(condition ? { condition } : {})
+          });
+        }
+      }
+    }
+  }
+
+  return applySourceOverlays(parts, sourceContexts);
+};
+
+const toComposedModule = (
+  part: RulePart,
+  scope: OutputScope,
+  tokenizer: TokenizerSpec
+): ComposedModule => ({
+  scope,
+  id: part.sourceId,
+  source: part.sourcePath,
+  ...(part.domain !== undefined ? { domain: part.domain } : {}),
+  tokens: countTokensWith(tokenizer, part.body)
+});
+
+const toRuleOrigin = (part: RulePart): RuleOrigin => ({
+  source: part.source,
+  ...(part.ref !== undefined ? { ref: part.ref } : {}),
+  provenance: part.sourcePath,
+  filePath: part.filePath,
+  ...(part.domain !== undefined ? { domain: part.domain } : {}),
+  ...(part.profile !== undefined ? { profile: part.profile } : {}),
+  ...(part.inheritedFrom !== undefined ? { inheritedFrom: part.inheritedFrom } : {}),
+  ...(part.condition !== undefined ? { condition: part.condition } : {})
+});
+
+const toComposedRule = (part: RulePart, scope: OutputScope): ComposedRule => ({
+  scope,
+  source: part.sourcePath,
+  ...(part.domain !== undefined ? { domain: part.domain } : {}),
+  ...(part.profile !== undefined ? { profile: part.profile } : {}),
+  ...part.metadata
+});
+
+export const composeRuleset = (
+  rulesetPath: string,
+  rootDir: string,
+  options: ComposeOptions
+): ComposeResult => {
+  const rulesetDir = path.dirname(rulesetPath);
+  const projectRuleset = readProjectRuleset(rulesetPath);
+  if (options.skipGlobal) {
+    projectRuleset.global = false;
+  }
+  const {
+    primaryOutputPath,
+    companionOutputPath,
+    cursorOutputDir,
+    windsurfOutputPath,
+    globalOutputPaths,
+    globalTargets
+  } = resolveOutputPaths(rulesetDir, projectRuleset);
+  const composedOutputPath = toDisplayPath(rootDir, primaryOutputPath);
+  const lockfilePath = getLockfilePath(rulesetPath);
+  const existingLockfile = options.updateLock ? null : readLockfile(lockfilePath);
+
+  if (options.offline && (options.refresh || options.updateLock)) {
+    throw new Error("Offline mode cannot refresh or re-resolve remote sources.");
+  }
+
+  const sourceContexts = resolveSourceContexts(
+    rulesetDir,
+    projectRuleset.sources.map((source) =>
+      options.sourceRefs?.[source] !== undefined
+        ? withSourceRef(source, options.sourceRefs[source])
+        : source
+    ),
+    {
+      refresh: options.refresh ?? false,
+      offline: options.offline ?? false,
+      cache: options.sourceCache,
+      preferWorkspace: options.preferWorkspace
+    },
+    existingLockfile
+  );
+
+  const globalParts =
+    projectRuleset.global !== false ? collectGlobalParts(sourceContexts, rulesetDir) : [];
+  const repositoryParts = collectRepositoryParts(
+    sourceContexts,
+    options.profiles ?? getRulesetProfiles(projectRuleset),
+    rulesetDir
+  );
+
+  // Fits composed content into the file's managed block, when the file has
+  // one or the ruleset asks for one, and shifts its source map to match.
+  const toFileContent = (absolutePath: string, composed: MappedContent): MappedContent => {
+    const managed = applyManagedBlock(
+      isExistingFile(absolutePath) ? fs.readFileSync(absolutePath, "utf8") : null,
+      composed.content,
+      {
+        create: projectRuleset.managedBlock === true,
+        filePath: toDisplayPath(rootDir, absolutePath)
+      }
+    );
+    return {
+      content: managed.content,
+      sections: composed.sections.map((section) => ({
+        ...section,
+        startLine: section.startLine + managed.lineOffset,
+        endLine: section.endLine + managed.lineOffset
+      }))
+    };
+  };
+
+  const budget = projectRuleset.budget ?? {};
+  const defaultTokenizer = budget.tokenizer ?? DEFAULT_TOKENIZER;
+  const tokenizerFor = (target: string): TokenizerSpec =>
+    budget.tokenizers?.[target] ?? defaultTokenizer;
+
+  // The primary output is shared by every agent. A restricted rule goes there
+  // too unless every agent it names reads its own repository output, so rules
+  // for Codex, Gemini or a custom target are not dropped.
+  const dedicatedAgents = new Set([
+    ...(companionOutputPath ? ["claude"] : []),
+    ...(cursorOutputDir ? ["cursor"] : []),
+    ...(windsurfOutputPath ? ["windsurf"] : [])
+  ]);
+  const isPrimaryPart = (part: RulePart): boolean =>
+    !part.metadata.agents || part.metadata.agents.some((agent) => !dedicatedAgents.has(agent));
+  const primaryParts = repositoryParts.filter(isPrimaryPart);
+  const primaryOutput = buildMappedInstructionContent(primaryParts, true);
+  const primaryOutputContent = primaryOutput.content;
+  const primaryFile = toFileContent(primaryOutputPath, primaryOutput);
+  const repositoryOutputs: string[] = [toDisplayPath(rootDir, primaryOutputPath)];
+  const sourceMaps: OutputSourceMap[] = [
+    {
+      scope: "repository",
+      absolutePath: primaryOutputPath,
+      displayPath: toDisplayPath(rootDir, primaryOutputPath),
+      sections: primaryFile.sections
+    }
+  ];
+  const globalOutputs = globalOutputPaths.map((filePath) => toDisplayPath(rootDir, filePath));
+  const repositoryFiles: RepositoryComposedFile[] = [
+    {
+      absolutePath: primaryOutputPath,
+      displayPath: toDisplayPath(rootDir, primaryOutputPath),
+      content: primaryFile.content
+    }
+  ];
+  const composedFiles: Array<{
+    absolutePath: string;
+    relativePath: string;
+    content: string;
+    scope: OutputScope;
+    // Picks the tokenizer for the file's token count.
+    target: string;
+  }> = [
+    {
+      absolutePath: primaryOutputPath,
+      relativePath: toDisplayPath(rootDir, primaryOutputPath),
+      content: primaryFile.content,
+      scope: "repository",
+      target: PRIMARY_TOKENIZER_TARGET
+    }
+  ];
+
+  if (companionOutputPath) {
+    const companionDisplayPath = toDisplayPath(rootDir, companionOutputPath);
+    const companion = toFileContent(
+      companionOutputPath,
+      buildMappedCompanionContent(
+        primaryOutputPath,
+        companionOutputPath,
+        // Claude reads the primary output through the import line.
+        repositoryParts.filter(
+          (part) => !isPrimaryPart(part) && part.metadata.agents?.includes("claude")
+        )
+      )
+    );
+    const companionContent = companion.content;
+    repositoryOutputs.push(companionDisplayPath);
+    sourceMaps.push({
+      scope: "repository",
+      absolutePath: companionOutputPath,
+      displayPath: companionDisplayPath,
+      sections: companion.sections
+    });
+    repositoryFiles.push({
+      absolutePath: companionOutputPath,
+      displayPath: companionDisplayPath,
+      content: companionContent
+    });
+    composedFiles.push({
+      absolutePath: companionOutputPath,
+      relativePath: companionDisplayPath,
+      content: companionContent,
+      scope: "repository",
+      target: "claude"
+    });
+  }
+
+  const addRepositoryFile = (absolutePath: string, content: string, target: string): void => {
+    const displayPath = toDisplayPath(rootDir, absolutePath);
+    repositoryOutputs.push(displayPath);
+    repositoryFiles.push({ absolutePath, displayPath, content });
+    composedFiles.push({
+      absolutePath,
+      relativePath: displayPath,
+      content,
+      scope: "repository",
+      target
+    });
+  };
+
+  let obsoletePaths: string[] = [];
+  if (cursorOutputDir) {
+    const cursorFiles = buildCursorRuleFiles(
+      normalizeTrailingWhitespace(TOOL_RULES),
+      groupPartsByDomain(repositoryParts.filter((part) => appliesToAgent(part.metadata, "cursor")))
+    );
+    const cursorPaths = cursorFiles.map((file) => path.join(cursorOutputDir, file.fileName));
+    cursorFiles.forEach((file, index) =>
+      addRepositoryFile(cursorPaths[index], file.content, "cursor")
+    );
+    obsoletePaths = findObsoleteCursorFiles(cursorOutputDir, cursorPaths);
+  }
+  if (windsurfOutputPath) {
+    const windsurf = toFileContent(
+      windsurfOutputPath,
+      buildMappedInstructionContent(selectAgentParts(repositoryParts, "windsurf"), true)
+    );
+    addRepositoryFile(windsurfOutputPath, windsurf.content, "windsurf");
+    sourceMaps.push({
+      scope: "repository",
+      absolutePath: windsurfOutputPath,
+      displayPath: toDisplayPath(rootDir, windsurfOutputPath),
+      sections: windsurf.sections
+    });
+  }
+
+  // Targets whose agent filters select the same rules share one content group.
+  const globalGroups = new Map<string, string[]>();
+  for (const target of globalTargets) {
+    const { content, sections } = toFileContent(
+      target.path,
+      buildMappedInstructionContent(selectAgentParts(globalParts, target.name), false)
+    );
+    sourceMaps.push({
+      scope: "global",
+      absolutePath: target.path,
+      displayPath: toDisplayPath(rootDir, target.path),
+      sections
+    });
+    globalGroups.set(content, [...(globalGroups.get(content) ?? []), target.path]);
+    composedFiles.push({
+      absolutePath: target.path,
+      relativePath: toDisplayPath(rootDir, target.path),
+      content,
+      scope: "global",
+      target: target.name
+    });
+  }
+
+  // Budgets cover every global rule, whichever targets it is written to.
+  const budgetResult: BudgetCheckResult = {
+    ...checkScopeBudget(
+      defaultTokenizer,
+      buildInstructionContent(
+        globalParts.map((part) => part.content),
+        false
+      ),
+      globalParts,
+      budget.totalTokens ?? DEFAULT_TOTAL_BUDGET,
+      budget.moduleTokens ?? DEFAULT_MODULE_BUDGET,
+      budget.enforce === true
+    ),
+    repositories: [
+      {
+        output: composedOutputPath,
+        ...checkScopeBudget(
+          tokenizerFor(PRIMARY_TOKENIZER_TARGET),
+          primaryOutputContent,
+          primaryParts.map((part) => ({ name: part.sourcePath, content: part.content })),
+          budget.repository?.totalTokens ?? DEFAULT_REPOSITORY_TOTAL_BUDGET,
+          budget.repository?.moduleTokens ?? DEFAULT_MODULE_BUDGET,
+          budget.enforce === true
+        )
+      }
+    ],
+    targets: composedFiles.map((file) => {
+      const tokenizer = tokenizerFor(file.target);
+      return {
+        scope: file.scope,
+        target: file.target,
+        output: file.relativePath,
+        tokenizer: describeTokenizer(tokenizer),
+        tokens: countTokensWith(tokenizer, file.content)
+      };
+    })
+  };
+
+  const outputDiffs: OutputGroupDiff[] = [];
+  if (options.emitDiffs) {
+    const repositoryDiff = buildScopeDiff(
+      "repository",
+      [primaryOutputPath],
+      primaryFile.content,
+      rootDir
+    );
+    if (repositoryDiff) {
+      repositoryDiff.targets = repositoryOutputs;
+      outputDiffs.push(repositoryDiff);
+    }
+
+    if (options.emitGlobalDiffs !== false) {
+      for (const [content, targetPaths] of globalGroups) {
+        const globalDiff = buildScopeDiff("global", targetPaths, content, rootDir);
+        if (globalDiff) {
+          outputDiffs.push(globalDiff);
+        }
+      }
+    }
+  }
+
+  const lockfile = buildLockfile(sourceContexts);
+  const hasLockfile = Object.keys(lockfile.sources).length > 0 || fs.existsSync(lockfilePath);
+  const lockfileContent = formatLockfile(lockfile);
+  const lockfileUpdated =
+    hasLockfile &&
+    (!fs.existsSync(lockfilePath) || fs.readFileSync(lockfilePath, "utf8") !== lockfileContent);
+
+  const backups: OutputBackup[] = [];
+  if (!options.dryRun) {
+    const filesToWrite = composedFiles.filter(
+      (file) => file.scope !== "global" || options.writeGlobal !== false
+    );
+    const unowned = findUnownedFiles(filesToWrite, readOutputState());
+    if (unowned.length > 0) {
+      if (readUserConfig().overwrite === "refuse") {
+        throw new Error(
+          `Refusing to overwrite files compose did not write: ${unowned
+            .map((filePath) => toDisplayPath(rootDir, filePath))
+            .join(", ")}. Move them away, add managed-block markers, or set ` +
+            '"overwrite": "backup" in ~/.agentsmd/config.json.'
+        );
+      }
+      backups.push(createBackup(unowned));
+    }
+
+    const globalFilesWritten = filesToWrite.filter((file) => file.scope === "global");
+    writeFilesAtomically(
+      [
+        ...filesToWrite,
+        ...(lockfileUpdated ? [{ absolutePath: lockfilePath, content: lockfileContent }] : []),
+        ...(globalFilesWritten.length > 0
+          ? [recordOutputs(globalFilesWritten, path.resolve(rulesetPath))]
+          : [])
+      ],
+      obsoletePaths
+    );
+  }
+
+  return {
+    output: composedOutputPath,
+    outputs: [...repositoryOutputs, ...globalOutputs],
+    repositoryOutputs,
+    globalOutputs,
+    repositoryFiles,
+    obsoleteOutputs: obsoletePaths.map((filePath) => toDisplayPath(rootDir, filePath)),
+    rules: [
+      ...globalParts.map((part) => toComposedRule(part, "global")),
+      ...repositoryParts.map((part) => toComposedRule(part, "repository"))
+    ],
+    modules: [
+      ...globalParts.map((part) => toComposedModule(part, "global", defaultTokenizer)),
+      ...repositoryParts.map((part) => toComposedModule(part, "repository", defaultTokenizer))
+    ],
+    globalFiles: composedFiles
+      .filter((file) => file.scope === "global")
+      .map((file) => ({
+        absolutePath: file.absolutePath,
+        displayPath: file.relativePath,
+        content: file.content,
+        target: file.target
+      })),
+    outputDiffs,
+    budgetResult,
+    ...(hasLockfile
+      ? { lockfile: { path: toDisplayPath(rootDir, lockfilePath), updated: lockfileUpdated } }
+      : {}),
+    sourceMaps,
+    backups
+  };
+};
+
+// Composes several rulesets in one run, such as a monorepo root and its
+// workspace packages. Remote sources are resolved once for all of them, and
+// only the first ruleset with user-global outputs writes them.
+export const composeRulesets = (
+  rulesetPaths: string[],
+  rootDir: string,
+  options: ComposeOptions
+): ComposeResult[] => {
+  const sourceCache = options.sourceCache ?? new Map();
+  let globalWritten = options.skipGlobal ?? false;
+  return rulesetPaths.map((rulesetPath) => {
+    const result = composeRuleset(rulesetPath, rootDir, {
+      ...options,
+      sourceCache,
+      skipGlobal: globalWritten
+    });
+    globalWritten = globalWritten || result.globalOutputs.length > 0;
+    return result;
+  });
+};
+
+export type CheckResult = {
+  upToDate: boolean;
+  repositoryOutputs: string[];
+  stale: RepositoryComposedFile[];
+  // Generated Cursor rules that compose would remove.
+  obsolete: string[];
+  outputDiffs: OutputGroupDiff[];
+  budgetResult: BudgetCheckResult;
+};
+
+// Verifies that the generated repository outputs (AGENTS.md and, when enabled,
+// the Claude companion and Cursor/Windsurf rules) match what compose would
+// produce. Never writes files and never inspects the user-global outputs.
+export const checkRuleset = (
+  rulesetPath: string,
+  rootDir: string,
+  options: Pick<ComposeOptions, "refresh" | "offline" | "sourceCache" | "skipGlobal"> = {}
+): CheckResult => {
+  const result = composeRuleset(rulesetPath, rootDir, {
+    refresh: options.refresh ?? false,
+    offline: options.offline,
+    sourceCache: options.sourceCache,
+    skipGlobal: options.skipGlobal,
+    dryRun: true,
+    emitDiffs: true,
+    emitGlobalDiffs: false
+  });
+
+  const stale = result.repositoryFiles.filter((file) => {
+    const current = fs.existsSync(file.absolutePath)
+      ? fs.readFileSync(file.absolutePath, "utf8")
+      : null;
+    return current !== file.content;
+  });
+
+  return {
+    upToDate: stale.length === 0 && result.obsoleteOutputs.length === 0,
+    repositoryOutputs: result.repositoryOutputs,
+    stale,
+    obsolete: result.obsoleteOutputs,
+    outputDiffs: result.outputDiffs.filter((diff) => diff.scope === "repository"),
+    budgetResult: result.budgetResult
+  };
+};
+
+export type GlobalOutputStatus = "current" | "stale" | "missing" | "foreign";
+
+export type GlobalOutputCheck = {
+  target: string;
+  output: string;
+  // `foreign`: another ruleset (or a person) wrote it, as recorded when it was
+  // written or because none of its rules come from this ruleset.
+  status: GlobalOutputStatus;
+  // The ruleset recorded as having written a foreign file.
+  owner?: string;
+  // What compose would change; absent when current.
+  patch?: string;
+};
+
+export type GlobalCheckResult = {
+  upToDate: boolean;
+  // Empty when the ruleset writes no user-global outputs.
+  targets: GlobalOutputCheck[];
+};
+
+const SOURCE_LINE_PATTERN = /^Source: (.+)$/gmu;
+
+const readSourceLines = (content: string): Set<string> =>
+  new Set([...content.matchAll(SOURCE_LINE_PATTERN)].map((match) => match[1]));
+
+// Maps a provenance line to its module id, so the same rule file matches at
+// any ref of its source. A module's source is its id with `@<ref>` inserted
+// after the label; lines of other sources are kept as they are.
+const toSourceId = (line: string, modules: ComposedModule[]): string => {
+  for (const module of modules) {
+    let labelLength = 0;
+    while (
+      labelLength < module.id.length &&
+      module.id[labelLength] === module.source[labelLength]
+    ) {
+      labelLength += 1;
+    }
+    if (
+      labelLength < module.id.length &&
+      line.startsWith(`${module.source.slice(0, labelLength)}@`) &&
+      line.endsWith(module.id.slice(labelLength))
+    ) {
+      return module.id;
+    }
+  }
+  return line;
+};
+
+const isForeignOutput = (existing: string, desired: string, modules: ComposedModule[]): boolean => {
+  const desiredSources = new Set(
+    [...readSourceLines(desired)].map((line) => toSourceId(line, modules))
+  );
+  return (
+    desiredSources.size > 0 &&
+    ![...readSourceLines(existing)].some((line) => desiredSources.has(toSourceId(line, modules)))
+  );
+};
+
+// Compares each user-global target on disk with what the ruleset composes for
+// it. Never writes files.
+export const checkGlobalOutputs = (
+  rulesetPath: string,
+  rootDir: string,
+  options: Pick<ComposeOptions, "refresh" | "offline" | "sourceCache"> = {}
+): GlobalCheckResult => {
+  const result = composeRuleset(rulesetPath, rootDir, {
+    refresh: options.refresh ?? false,
+    offline: options.offline,
+    sourceCache: options.sourceCache,
+    dryRun: true
+  });
+
+  const outputState = readOutputState();
+  const globalModules = result.modules.filter((module) => module.scope === "global");
+  const targets = result.globalFiles.map((file): GlobalOutputCheck => {
+    const existing = fs.existsSync(file.absolutePath)
+      ? fs.readFileSync(file.absolutePath, "utf8")
+      : null;
+    const check = { target: file.target, output: file.displayPath };
+    if (existing === file.content) {
+      return { ...check, status: "current" };
+    }
+    const recorded =
+      existing !== null ? findOutputOwner(outputState, file.absolutePath, existing) : null;
+    const owner =
+      recorded && recorded.ruleset !== path.resolve(rulesetPath) ? recorded.ruleset : undefined;
+    const status =
+      existing === null
+        ? "missing"
+        : owner !== undefined ||
+            (!recorded && isForeignOutput(existing, file.content, globalModules))
+          ? "foreign"
+          : "stale";
+    const diff = buildScopeDiff("global", [file.absolutePath], file.content, rootDir);
+    return {
+      ...check,
+      status,
+      ...(owner !== undefined ? { owner: toDisplayPath(rootDir, owner) } : {}),
+      ...(diff?.patch ? { patch: diff.patch } : {})
+    };
+  });
+
+  return {
+    upToDate: targets.every((target) => target.status === "current"),
+    targets
+  };
+};
@@ -0,0 +1,158 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// A condition on the consuming repository, evaluated against the ruleset
+// directory. Each list matches when any entry matches; when both lists are
+// given, both must match.
+export type DomainCondition = {
+  // Glob patterns relative to the ruleset directory (`*`, `?`, `**`).
+  files?: string[];
+  // Package names looked up in the ruleset directory's package.json.
+  dependencies?: string[];
+};
+
+const PACKAGE_JSON_NAME = "package.json";
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies"
+];
+// Never descended into by `**`: large, and never what a condition is about.
+const SKIPPED_DIRECTORIES = new Set([".git", "node_modules"]);
+
+const escapeRegExp = (value: string): string => value.replace(/[.+^${}()|[\]\\]/gu, "\\$&");
+
+const segmentToRegExp = (segment: string): RegExp =>
+  new RegExp(
+    `^${segment
+      .split("")
+      .map((char) => (char === "*" ? "[^/]*" : char === "?" ? "[^/]" : escapeRegExp(char)))
+      .join("")}$`,
+    "u"
+  );
+
+const listDirectory = (dirPath: string): fs.Dirent[] => {
+  try {
+    return fs.readdirSync(dirPath, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+};
+
+const isDirectory = (entryPath: string): boolean => {
+  try {
+    return fs.statSync(entryPath).isDirectory();
+  } catch {
+    return false;
+  }
+};
+
+// Walks the directory tree segment by segment, so patterns without `**` only
+// read the directories they name. `onMatch` returns true to stop the walk.
+const walkSegments = (
+  baseDir: string,
+  segments: string[],
+  onMatch: (matchPath: string) => boolean
+): boolean => {
+  if (segments.length === 0) {
+    return onMatch(baseDir);
+  }
+
+  const [segment, ...rest] = segments;
+  if (segment === "**") {
+    if (walkSegments(baseDir, rest, onMatch)) {
+      return true;
+    }
+    return listDirectory(baseDir).some(
+      (entry) =>
+        entry.isDirectory() &&
+        !SKIPPED_DIRECTORIES.has(entry.name) &&
+        walkSegments(path.join(baseDir, entry.name), segments, onMatch)
+    );
+  }
+
+  if (!/[*?]/u.test(segment)) {
+    const entryPath = path.join(baseDir, segment);
+    if (!fs.existsSync(entryPath)) {
+      return false;
+    }
+    return (rest.length === 0 || isDirectory(entryPath)) && walkSegments(entryPath, rest, onMatch);
+  }
+
+  const pattern = segmentToRegExp(segment);
+  return listDirectory(baseDir).some(
+    (entry) =>
+      pattern.test(entry.name) &&
+      (rest.length === 0 || entry.isDirectory()) &&
+      walkSegments(path.join(baseDir, entry.name), rest, onMatch)
+  );
+};
+
+// Patterns stay inside the directory they are matched against: a manifest from
+// a remote source must not probe other files on the machine.
+const toGlobSegments = (pattern: string): string[] => {
+  const normalized = pattern.replace(/\\/gu, "/");
+  const segments = normalized.split("/").filter((segment) => segment !== "" && segment !== ".");
+  if (normalized.startsWith("/") || path.isAbsolute(pattern) || segments.includes("..")) {
+    throw new Error(`Invalid file glob (expected a relative path without ..): ${pattern}`);
+  }
+  return segments;
+};
+
+export const matchesFileGlob = (projectDir: string, pattern: string): boolean =>
+  walkSegments(projectDir, toGlobSegments(pattern), () => true);
+
+// Every path under `baseDir` that matches `pattern`, sorted.
+export const expandFileGlob = (baseDir: string, pattern: string): string[] => {
+  const matches = new Set<string>();
+  walkSegments(baseDir, toGlobSegments(pattern), (matchPath) => {
+    matches.add(matchPath);
+    return false;
+  });
+  return [...matches].sort();
+};
+
+const readDependencyNames = (projectDir: string): Set<string> => {
+  const packageJsonPath = path.join(projectDir, PACKAGE_JSON_NAME);
+  if (!fs.existsSync(packageJsonPath)) {
+    return new Set();
+  }
+
+  let parsed: Record<string, unknown>;
+  try {
+    parsed = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Unable to read ${packageJsonPath} for domain conditions: ${message}`);
+  }
+
+  const names = new Set<string>();
+  for (const field of DEPENDENCY_FIELDS) {
+    const value = parsed[field];
+    if (value && typeof value === "object") {
+      for (const name of Object.keys(value)) {
+        names.add(name);
+      }
+    }
+  }
+  return names;
+};
+
+export const evaluateDomainCondition = (
+  projectDir: string,
+  condition: DomainCondition
+): boolean => {
+  if (condition.files && !condition.files.some((pattern) => matchesFileGlob(projectDir, pattern))) {
+    return false;
+  }
+
+  if (condition.dependencies) {
+    const installed = readDependencyNames(projectDir);
+    if (!condition.dependencies.some((name) => installed.has(name))) {
+      return false;
+    }
+  }
+
+  return true;
+};
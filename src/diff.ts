@@ -0,0 +1,223 @@
+import path from "node:path";
+import { createTwoFilesPatch } from "diff";
+import {
+  composeRuleset,
+  type ComposeResult,
+  type OutputGroupDiff,
+  type OutputScope,
+  type RepositoryComposedFile
+} from "./compose.js";
+import { getLockfilePath, readLockfile } from "./lockfile.js";
+import { readProjectRuleset, type ProjectRuleset } from "./ruleset.js";
+import {
+  isRemoteSource,
+  parseRemoteSource,
+  resolveRulesRoot,
+  withSourceRef,
+  type SourceCache
+} from "./sources.js";
+
+// The ref that stands for the version pinned in the lockfile (or, for an
+// unlocked source, the ref the ruleset names).
+export const LOCKED_REF = "lock";
+
+export type DiffOptions = {
+  // The remote source to compare; required when the ruleset has several.
+  source?: string;
+  // Defaults: the locked version against the latest release.
+  from?: string;
+  to?: string;
+  offline?: boolean;
+};
+
+export type SourceVersion = {
+  ref: string;
+  resolvedRef: string;
+  commit?: string;
+};
+
+export type RuleTokenChange = {
+  scope: OutputScope;
+  rule: string;
+  before: number;
+  after: number;
+};
+
+export type VersionDiffResult = {
+  source: string;
+  from: SourceVersion;
+  to: SourceVersion;
+  // One entry per changed output file; global targets with the same change
+  // share an entry.
+  outputDiffs: OutputGroupDiff[];
+  addedRules: string[];
+  removedRules: string[];
+  tokenChanges: RuleTokenChange[];
+  totalTokens: Record<OutputScope, { before: number; after: number }>;
+};
+
+const selectDiffSource = (ruleset: ProjectRuleset, requested?: string): string => {
+  const remoteSources = ruleset.sources.filter(isRemoteSource);
+  if (requested) {
+    const match = remoteSources.find(
+      (source) => source === requested || parseRemoteSource(source).label === requested
+    );
+    if (!match) {
+      throw new Error(`The ruleset has no remote source ${requested}.`);
+    }
+    return match;
+  }
+
+  if (remoteSources.length === 0) {
+    throw new Error("The ruleset has no remote sources to diff.");
+  }
+  if (remoteSources.length > 1) {
+    throw new Error(
+      `The ruleset has several remote sources; pick one with --diff-source: ${remoteSources.join(", ")}`
+    );
+  }
+  return remoteSources[0];
+};
+
+const buildFileDiffs = (
+  scope: OutputScope,
+  beforeFiles: RepositoryComposedFile[],
+  afterFiles: RepositoryComposedFile[],
+  from: SourceVersion,
+  to: SourceVersion
+): OutputGroupDiff[] => {
+  const before = new Map(beforeFiles.map((file) => [file.displayPath, file.content]));
+  const after = new Map(afterFiles.map((file) => [file.displayPath, file.content]));
+  const groups = new Map<string, OutputGroupDiff>();
+
+  for (const displayPath of new Set([...after.keys(), ...before.keys()])) {
+    const beforeContent = before.get(displayPath) ?? "";
+    const afterContent = after.get(displayPath) ?? "";
+    if (beforeContent === afterContent) {
+      continue;
+    }
+
+    // Targets with the same change (such as several global targets) share one patch.
+    const groupKey = `${beforeContent}\0${afterContent}`;
+    const group = groups.get(groupKey);
+    if (group) {
+      group.targets.push(displayPath);
+      continue;
+    }
+    groups.set(groupKey, {
+      scope,
+      targets: [displayPath],
+      status: "updated",
+      patch: createTwoFilesPatch(
+        `a/${displayPath}`,
+        `b/${displayPath}`,
+        beforeContent,
+        afterContent,
+        from.resolvedRef,
+        to.resolvedRef,
+        { context: 3 }
+      )
+    });
+  }
+
+  return [...groups.values()];
+};
+
+const sumTokens = (result: ComposeResult, scope: OutputScope): number =>
+  result.modules
+    .filter((module) => module.scope === scope)
+    .reduce((total, module) => total + module.tokens, 0);
+
+// Composes the ruleset (without writing anything) at two versions of one remote
+// source and compares the outputs, the rule files and their token counts.
+export const diffSourceVersions = (
+  rulesetPath: string,
+  rootDir: string,
+  options: DiffOptions = {}
+): VersionDiffResult => {
+  const rulesetDir = path.dirname(rulesetPath);
+  const source = selectDiffSource(readProjectRuleset(rulesetPath), options.source);
+  const locked = readLockfile(getLockfilePath(rulesetPath))?.sources[source];
+  const sourceCache: SourceCache = new Map();
+
+  const composeAt = (ref: string): { version: SourceVersion; result: ComposeResult } => {
+    const isLocked = ref === LOCKED_REF;
+    // Resolving through the shared cache first lets compose reuse the checkout.
+    const resolved = resolveRulesRoot(
+      rulesetDir,
+      isLocked ? source : withSourceRef(source, ref),
+      { refresh: false, offline: options.offline ?? false, cache: sourceCache },
+      isLocked ? locked : undefined
+    );
+    const result = composeRuleset(rulesetPath, rootDir, {
+      offline: options.offline,
+      dryRun: true,
+      sourceCache,
+      ...(isLocked ? {} : { sourceRefs: { [source]: ref } })
+    });
+    return {
+      version: {
+        ref,
+        resolvedRef: resolved.resolvedRef ?? ref,
+        ...(resolved.lock ? { commit: resolved.lock.commit } : {})
+      },
+      result
+    };
+  };
+
+  const from = composeAt(options.from ?? LOCKED_REF);
+  const to = composeAt(options.to ?? "latest");
+
+  const beforeModules = new Map(
+    from.result.modules.map((module) => [`${module.scope}\0${module.id}`, module])
+  );
+  const afterModules = new Map(
+    to.result.modules.map((module) => [`${module.scope}\0${module.id}`, module])
+  );
+  const beforeIds = new Set(from.result.modules.map((module) => module.id));
+  const afterIds = new Set(to.result.modules.map((module) => module.id));
+  const tokenChanges: RuleTokenChange[] = [];
+  for (const [key, afterModule] of afterModules) {
+    const beforeModule = beforeModules.get(key);
+    if (beforeModule && beforeModule.tokens !== afterModule.tokens) {
+      tokenChanges.push({
+        scope: afterModule.scope,
+        rule: afterModule.id,
+        before: beforeModule.tokens,
+        after: afterModule.tokens
+      });
+    }
+  }
+
+  return {
+    source,
+    from: from.version,
+    to: to.version,
+    outputDiffs: [
+      ...buildFileDiffs(
+        "repository",
+        from.result.repositoryFiles,
+        to.result.repositoryFiles,
+        from.version,
+        to.version
+      ),
+      ...buildFileDiffs(
+        "global",
+        from.result.globalFiles,
+        to.result.globalFiles,
+        from.version,
+        to.version
+      )
+    ],
+    addedRules: [...afterIds].filter((id) => !beforeIds.has(id)),
+    removedRules: [...beforeIds].filter((id) => !afterIds.has(id)),
+    tokenChanges,
+    totalTokens: {
+      repository: {
+        before: sumTokens(from.result, "repository"),
+        after: sumTokens(to.result, "repository")
+      },
+      global: { before: sumTokens(from.result, "global"), after: sumTokens(to.result, "global") }
+    }
+  };
+};
@@ -0,0 +1,423 @@
+import path from "node:path";
+import { checkGlobalOutputs, type GlobalOutputStatus } from "./compose.js";
+import { getLockfilePath, readLockfile, type Lockfile } from "./lockfile.js";
+import { readProfileManifest, resolveProfileSelections } from "./profiles.js";
+import { getRulesetProfiles, readProjectRuleset, type ProjectRuleset } from "./ruleset.js";
+import {
+  execGit,
+  findIncompleteCacheEntries,
+  isRemoteSource,
+  parseRemoteSource,
+  readWorkspaceState,
+  resolveRulesRoot,
+  stripUrlCredentials,
+  type SourceCache,
+  type SourceContext
+} from "./sources.js";
+import { isExistingDirectory, normalizePath, toDisplayPath } from "./utils.js";
+
+export type DoctorStatus = "ok" | "warning" | "error";
+
+export type DoctorCheck = {
+  check:
+    | "git"
+    | "ruleset"
+    | "lockfile"
+    | "source"
+    | "manifest"
+    | "profile"
+    | "cache"
+    | "workspace"
+    | "global";
+  // What was checked, such as a source or a file; absent for `git`.
+  subject?: string;
+  status: DoctorStatus;
+  message: string;
+  // What to do about a warning or error.
+  fix?: string;
+};
+
+export type DoctorReport = {
+  // False when any check is an error; warnings do not count.
+  ok: boolean;
+  checks: DoctorCheck[];
+};
+
+export type DoctorOptions = {
+  // Skip the network reachability checks and resolve sources from the cache.
+  offline?: boolean;
+};
+
+// The first line git printed to stderr, which is more useful than the
+// `Command failed` message of the thrown error.
+const describeError = (error: unknown): string => {
+  const stderr = (error as { stderr?: unknown }).stderr;
+  const gitMessage =
+    typeof stderr === "string"
+      ? stderr
+          .split("\n")
+          .map((line) => line.trim())
+          .find(Boolean)
+      : undefined;
+  return gitMessage ?? (error instanceof Error ? error.message : String(error));
+};
+
+const checkGit = (): DoctorCheck => {
+  try {
+    return { check: "git", status: "ok", message: execGit(["--version"]) };
+  } catch (error) {
+    return {
+      check: "git",
+      status: "error",
+      message: `git could not be run: ${describeError(error)}`,
+      fix: "Install git and make sure it is on PATH."
+    };
+  }
+};
+
+const checkRemoteSource = (source: string, checks: DoctorCheck[]): boolean => {
+  const { url } = parseRemoteSource(source);
+  const displayUrl = stripUrlCredentials(url);
+  try {
+    execGit(["ls-remote", url, "HEAD"]);
+    checks.push({
+      check: "source",
+      subject: source,
+      status: "ok",
+      message: `${displayUrl} is reachable`
+    });
+    return true;
+  } catch (error) {
+    checks.push({
+      check: "source",
+      subject: source,
+      status: "error",
+      message: `Cannot reach ${displayUrl}: ${describeError(error)}`,
+      fix: "Check the source URL, your network and your git credentials, or run with --offline to use the cache."
+    });
+    return false;
+  }
+};
+
+const checkCache = (source: string, checks: DoctorCheck[]): void => {
+  const incomplete = findIncompleteCacheEntries(source);
+  checks.push(
+    incomplete.length === 0
+      ? { check: "cache", subject: source, status: "ok", message: "Cached checkouts are complete" }
+      : {
+          check: "cache",
+          subject: source,
+          status: "warning",
+          message: `Incomplete cached checkouts (for example from an interrupted clone): ${incomplete
+            .map(normalizePath)
+            .join(", ")}`,
+          fix: "Delete those directories, or run compose-agentsmd --clear-cache."
+        }
+  );
+};
+
+const checkWorkspace = (source: string, checks: DoctorCheck[]): void => {
+  let state;
+  try {
+    state = readWorkspaceState(source);
+  } catch (error) {
+    checks.push({
+      check: "workspace",
+      subject: source,
+      status: "warning",
+      message: `Cannot read the workspace state: ${describeError(error)}`,
+      fix: "Remove the workspace and run compose-agentsmd edit-rules to clone it again."
+    });
+    return;
+  }
+  if (!state) {
+    return;
+  }
+
+  const workspacePath = normalizePath(state.path);
+  const problems = [
+    ...(state.dirty ? ["has uncommitted changes"] : []),
+    ...(state.detached ? ["is in detached HEAD state"] : []),
+    ...(state.ahead ? [`is ${state.ahead} commit(s) ahead of its upstream`] : []),
+    ...(state.behind ? [`is ${state.behind} commit(s) behind its upstream`] : [])
+  ];
+  checks.push(
+    problems.length === 0
+      ? { check: "workspace", subject: source, status: "ok", message: `${workspacePath} is clean` }
+      : {
+          check: "workspace",
+          subject: source,
+          status: "warning",
+          message: `${workspacePath} ${problems.join(", ")}`,
+          fix:
+            "Commit and push finished edits with compose-agentsmd apply-rules, check out a " +
+            "branch, or pull upstream changes in the workspace."
+        }
+  );
+};
+
+const checkManifest = (context: SourceContext, checks: DoctorCheck[]): void => {
+  try {
+    const manifest = readProfileManifest(context.sourceRoot);
+    checks.push(
+      manifest
+        ? {
+            check: "manifest",
+            subject: context.source,
+            status: "ok",
+            message: `Defines ${Object.keys(manifest.profiles).length} profile(s)`
+          }
+        : {
+            check: "manifest",
+            subject: context.source,
+            status: "warning",
+            message: "No agent-profiles.json; the source only contributes global rules",
+            fix: "Add an agent-profiles.json at the source root to provide repository rules."
+          }
+    );
+  } catch (error) {
+    checks.push({
+      check: "manifest",
+      subject: context.source,
+      status: "error",
+      message: describeError(error),
+      fix: "Fix agent-profiles.json in the source so it matches the profile manifest format."
+    });
+  }
+};
+
+const checkProfiles = (
+  ruleset: ProjectRuleset,
+  rulesetDir: string,
+  sourceContexts: SourceContext[],
+  checks: DoctorCheck[]
+): void => {
+  for (const profile of getRulesetProfiles(ruleset)) {
+    let selections;
+    try {
+      selections = resolveProfileSelections(
+        sourceContexts.map((context) => context.sourceRoot),
+        profile,
+        rulesetDir
+      );
+    } catch (error) {
+      checks.push({
+        check: "profile",
+        subject: profile,
+        status: "error",
+        message: describeError(error),
+        fix: "Fix the profile's extends in the sources' agent-profiles.json."
+      });
+      continue;
+    }
+    if (selections.length === 0) {
+      checks.push({
+        check: "profile",
+        subject: profile,
+        status: "error",
+        message: "No source defines this profile",
+        fix: "Pick a profile from compose-agentsmd list-profiles, or add it to a source's agent-profiles.json."
+      });
+      continue;
+    }
+
+    const missing = selections.flatMap((selection) => {
+      const context = sourceContexts[selection.index];
+      return selection.domains
+        .filter((domain) => !isExistingDirectory(path.join(context.rulesRoot, "domains", domain)))
+        .map((domain) => `${domain} (${context.source})`);
+    });
+    const domainCount = selections.reduce(
+      (total, selection) => total + selection.domains.length,
+      0
+    );
+    checks.push(
+      missing.length === 0
+        ? {
+            check: "profile",
+            subject: profile,
+            status: "ok",
+            message: `All ${domainCount} domain directories exist`
+          }
+        : {
+            check: "profile",
+            subject: profile,
+            status: "error",
+            message: `Missing domain directories: ${missing.join(", ")}`,
+            fix: "Create rules/domains/<domain> in the source, or remove the domain from the profile."
+          }
+    );
+  }
+};
+
+const GLOBAL_STATUS_MESSAGES: Record<GlobalOutputStatus, string> = {
+  current: "Matches this ruleset",
+  missing: "Not written yet",
+  stale: "Out of date with this ruleset",
+  foreign: "Written by another ruleset (none of its rules come from this one)"
+};
+
+// Compares the user-global files on disk with what this ruleset composes.
+const checkGlobalFiles = (
+  rulesetPath: string,
+  rootDir: string,
+  options: DoctorOptions,
+  sourceCache: SourceCache,
+  checks: DoctorCheck[]
+): void => {
+  const result = checkGlobalOutputs(rulesetPath, rootDir, {
+    offline: options.offline,
+    sourceCache
+  });
+  for (const target of result.targets) {
+    checks.push({
+      check: "global",
+      subject: target.output,
+      status: target.status === "current" ? "ok" : "warning",
+      message: target.owner
+        ? `Written by another ruleset (${target.owner})`
+        : GLOBAL_STATUS_MESSAGES[target.status],
+      ...(target.status !== "current"
+        ? { fix: "Run compose-agentsmd from this ruleset to write it." }
+        : {})
+    });
+  }
+};
+
+// Checks the environment and the ruleset's configuration: git, the ruleset,
+// each source (reachability, cache, workspace, profile manifest), the
+// ruleset's profiles and the user-global outputs. Without a ruleset only git
+// and the ruleset's absence are reported.
+export const runDoctor = (
+  rulesetPath: string | null,
+  rootDir: string,
+  options: DoctorOptions = {}
+): DoctorReport => {
+  const checks: DoctorCheck[] = [checkGit()];
+  const report = (): DoctorReport => ({
+    ok: checks.every((check) => check.status !== "error"),
+    checks
+  });
+  if (checks[0].status === "error") {
+    return report();
+  }
+
+  if (!rulesetPath) {
+    checks.push({
+      check: "ruleset",
+      status: "error",
+      message: "No ruleset found",
+      fix: "Run compose-agentsmd init, or pass --ruleset <path>."
+    });
+    return report();
+  }
+
+  const rulesetDir = path.dirname(rulesetPath);
+  const rulesetLabel = toDisplayPath(rootDir, rulesetPath);
+  let ruleset: ProjectRuleset;
+  try {
+    ruleset = readProjectRuleset(rulesetPath);
+    checks.push({ check: "ruleset", subject: rulesetLabel, status: "ok", message: "Valid" });
+  } catch (error) {
+    checks.push({
+      check: "ruleset",
+      subject: rulesetLabel,
+      status: "error",
+      message: describeError(error),
+      fix: "Fix the ruleset so it matches agent-ruleset.schema.json."
+    });
+    return report();
+  }
+
+  const lockfilePath = getLockfilePath(rulesetPath);
+  let lockfile: Lockfile | null = null;
+  try {
+    lockfile = readLockfile(lockfilePath);
+  } catch (error) {
+    checks.push({
+      check: "lockfile",
+      subject: toDisplayPath(rootDir, lockfilePath),
+      status: "error",
+      message: describeError(error),
+      fix: "Delete the lockfile and run compose-agentsmd update to write it again."
+    });
+  }
+  const sourceCache: SourceCache = new Map();
+  const sourceContexts: SourceContext[] = [];
+  for (const source of ruleset.sources) {
+    const remote = isRemoteSource(source);
+    if (remote) {
+      try {
+        parseRemoteSource(source);
+      } catch (error) {
+        checks.push({
+          check: "source",
+          subject: source,
+          status: "error",
+          message: describeError(error),
+          fix: "Fix the source in the ruleset, for example github:owner/repo@ref."
+        });
+        continue;
+      }
+    }
+    const reachable = remote && !options.offline ? checkRemoteSource(source, checks) : true;
+    try {
+      const resolved = resolveRulesRoot(
+        rulesetDir,
+        source,
+        { refresh: false, offline: options.offline || !reachable, cache: sourceCache },
+        lockfile?.sources[source]
+      );
+      const context = {
+        source,
+        rulesRoot: resolved.rulesRoot,
+        sourceRoot: path.dirname(resolved.rulesRoot)
+      };
+      sourceContexts.push(context);
+      if (!remote) {
+        checks.push({
+          check: "source",
+          subject: source,
+          status: "ok",
+          message: `${normalizePath(context.sourceRoot)} exists`
+        });
+      }
+      checkManifest(context, checks);
+    } catch (error) {
+      // An unreachable source was already reported; only a cache miss remains.
+      if (reachable) {
+        checks.push({
+          check: "source",
+          subject: source,
+          status: "error",
+          message: describeError(error),
+          fix: remote
+            ? "Check the source's ref, or run compose-agentsmd update to re-lock it."
+            : "Fix the source path in the ruleset."
+        });
+      }
+    }
+    if (remote) {
+      checkCache(source, checks);
+      checkWorkspace(source, checks);
+    }
+  }
+
+  // Profile and output checks need every source and profile manifest.
+  if (report().ok) {
+    checkProfiles(ruleset, rulesetDir, sourceContexts, checks);
+  }
+  if (report().ok && ruleset.global !== false) {
+    try {
+      checkGlobalFiles(rulesetPath, rootDir, options, sourceCache, checks);
+    } catch (error) {
+      checks.push({
+        check: "global",
+        status: "error",
+        message: `The ruleset does not compose: ${describeError(error)}`
+      });
+    }
+  }
+
+  return report();
+};
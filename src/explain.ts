@@ -0,0 +1,102 @@
+import fs from "node:fs";
+import {
+  composeRuleset,
+  type OutputScope,
+  type OutputSourceMap,
+  type SourceMapSection
+} from "./compose.js";
+import { resolveFrom } from "./utils.js";
+
+export type ExplainOptions = {
+  // A composed instruction file, by display path or path from the root
+  // directory. Defaults to the primary output.
+  output?: string;
+  // Only the section holding this line (1-based).
+  line?: number;
+  // Only sections with a line matching this regular expression.
+  grep?: string;
+  offline?: boolean;
+};
+
+export type ExplainedSection = SourceMapSection & {
+  // With `grep`, the matching lines.
+  matches?: Array<{ line: number; text: string }>;
+};
+
+export type ExplainResult = {
+  output: string;
+  scope: OutputScope;
+  // True when the file on disk differs from what compose would write now, so
+  // its line numbers may not match the sections.
+  stale: boolean;
+  sections: ExplainedSection[];
+};
+
+const selectSourceMap = (
+  sourceMaps: OutputSourceMap[],
+  rootDir: string,
+  output?: string
+): OutputSourceMap => {
+  if (!output) {
+    return sourceMaps[0];
+  }
+  const outputPath = resolveFrom(rootDir, output);
+  const match = sourceMaps.find(
+    (sourceMap) => sourceMap.displayPath === output || sourceMap.absolutePath === outputPath
+  );
+  if (!match) {
+    throw new Error(
+      `${output} is not an instruction file composed by this ruleset. ` +
+        `Choose one of: ${sourceMaps.map((sourceMap) => sourceMap.displayPath).join(", ")}`
+    );
+  }
+  return match;
+};
+
+// Composes the ruleset without writing anything and reports which rule file,
+// source, domain and profile produced each section of one output file.
+export const explainOutput = (
+  rulesetPath: string,
+  rootDir: string,
+  options: ExplainOptions = {}
+): ExplainResult => {
+  const result = composeRuleset(rulesetPath, rootDir, {
+    offline: options.offline,
+    dryRun: true
+  });
+  const sourceMap = selectSourceMap(result.sourceMaps, rootDir, options.output);
+  const content =
+    [...result.repositoryFiles, ...result.globalFiles].find(
+      (file) => file.absolutePath === sourceMap.absolutePath
+    )?.content ?? "";
+  const existingContent = fs.existsSync(sourceMap.absolutePath)
+    ? fs.readFileSync(sourceMap.absolutePath, "utf8")
+    : null;
+  const lines = content.replace(/\n$/u, "").split("\n");
+
+  let sections: ExplainedSection[] = sourceMap.sections;
+  if (options.line !== undefined) {
+    const line = options.line;
+    if (!Number.isInteger(line) || line < 1 || line > lines.length) {
+      throw new Error(`Line ${line} is outside ${sourceMap.displayPath} (${lines.length} lines).`);
+    }
+    sections = sections.filter((section) => section.startLine <= line && line <= section.endLine);
+  }
+  if (options.grep !== undefined) {
+    const pattern = new RegExp(options.grep, "u");
+    sections = sections.flatMap((section) => {
+      const matches = lines
+        .slice(section.startLine - 1, section.endLine)
+        .map((text, index) => ({ line: section.startLine + index, text }))
+        .filter((entry) => pattern.test(entry.text));
+      return matches.length > 0 ? [{ ...section, matches }] : [];
+    });
+  }
+
+  return {
+    output: sourceMap.displayPath,
+    scope: sourceMap.scope,
+    stale: existingContent !== content,
+    sections
+  };
+};
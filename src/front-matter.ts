@@ -0,0 +1,148 @@
+import { compileSchema, formatSchemaErrors } from "./utils.js";
+
+// Optional YAML front-matter at the top of a rule file. It is stripped from the
+// composed body. `order` sorts rules within their directory (default 0, ties by
+// file name) and `agents` limits a rule to the named agents' outputs.
+export type RuleMetadata = {
+  title?: string;
+  tags?: string[];
+  agents?: string[];
+  order?: number;
+  since?: string;
+};
+
+type FrontMatterValue = string | number | boolean | FrontMatterValue[];
+
+const ruleMetadataSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "Rule file front-matter",
+  type: "object",
+  // Other keys (for example Cursor's `globs`) are allowed and ignored.
+  additionalProperties: true,
+  properties: {
+    title: { type: "string", minLength: 1 },
+    tags: { type: "array", items: { type: "string", minLength: 1 } },
+    agents: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+    order: { type: "number" },
+    since: { type: "string", minLength: 1 }
+  }
+} as const;
+
+const validateRuleMetadataSchema = compileSchema(ruleMetadataSchema);
+
+const FRONT_MATTER_OPEN = /^\uFEFF?---[ \t]*\r?\n/u;
+const FRONT_MATTER_CLOSE = /^---[ \t]*$/mu;
+// Only these keys read numbers; elsewhere `1.10` stays the string it was written as.
+const NUMBER_KEYS = new Set(["order"]);
+
+const parseScalar = (raw: string, numeric = false): FrontMatterValue => {
+  const value = raw.trim();
+  if (
+    value.length >= 2 &&
+    ((value.startsWith('"') && value.endsWith('"')) ||
+      (value.startsWith("'") && value.endsWith("'")))
+  ) {
+    return value.slice(1, -1);
+  }
+  if (numeric && /^-?\d+(\.\d+)?$/u.test(value)) {
+    return Number(value);
+  }
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  return value;
+};
+
+const parseValue = (raw: string, numeric: boolean): FrontMatterValue => {
+  const value = raw.trim();
+  if (value.startsWith("[") && value.endsWith("]")) {
+    const inner = value.slice(1, -1).trim();
+    return inner === "" ? [] : inner.split(",").map((item) => parseScalar(item));
+  }
+  return parseScalar(value, numeric);
+};
+
+// Parses the small YAML subset rule front-matter needs: `key: value` scalars,
+// inline `[a, b]` lists, and block lists of `- item` lines.
+const parseFrontMatterBlock = (block: string, filePath: string): Record<string, unknown> => {
+  const result: Record<string, FrontMatterValue> = {};
+  let listKey: string | null = null;
+
+  for (const line of block.split(/\r?\n/u)) {
+    const trimmed = line.trim();
+    if (trimmed === "" || trimmed.startsWith("#")) {
+      continue;
+    }
+
+    const listItem = /^-\s*(.*)$/u.exec(trimmed);
+    if (listItem && listKey) {
+      (result[listKey] as FrontMatterValue[]).push(parseScalar(listItem[1]));
+      continue;
+    }
+
+    const entry = /^([A-Za-z_][\w-]*)\s*:(.*)$/u.exec(trimmed);
+    if (!entry || line !== line.trimStart()) {
+      throw new Error(`Invalid front-matter in ${filePath}: cannot parse line "${trimmed}"`);
+    }
+
+    const [, key, rawValue] = entry;
+    if (rawValue.trim() === "") {
+      result[key] = [];
+      listKey = key;
+    } else {
+      result[key] = parseValue(rawValue, NUMBER_KEYS.has(key));
+      listKey = null;
+    }
+  }
+
+  return result;
+};
+
+// Splits a rule file into its validated metadata and the body without the
+// front-matter. Files without front-matter get empty metadata.
+export const parseFrontMatter = (
+  content: string,
+  filePath: string
+): { metadata: RuleMetadata; body: string } => {
+  const open = FRONT_MATTER_OPEN.exec(content);
+  if (!open) {
+    return { metadata: {}, body: content };
+  }
+
+  const rest = content.slice(open[0].length);
+  const close = FRONT_MATTER_CLOSE.exec(rest);
+  if (!close) {
+    throw new Error(`Invalid front-matter in ${filePath}: missing closing "---" line`);
+  }
+
+  const parsed = parseFrontMatterBlock(rest.slice(0, close.index), filePath);
+  if (!validateRuleMetadataSchema(parsed)) {
+    const message = formatSchemaErrors(validateRuleMetadataSchema.errors, "front-matter");
+    throw new Error(`Invalid front-matter in ${filePath}: ${message}`);
+  }
+
+  const metadata: RuleMetadata = {};
+  if (typeof parsed.title === "string") {
+    metadata.title = parsed.title;
+  }
+  if (Array.isArray(parsed.tags)) {
+    metadata.tags = parsed.tags as string[];
+  }
+  if (Array.isArray(parsed.agents)) {
+    metadata.agents = parsed.agents as string[];
+  }
+  if (typeof parsed.order === "number") {
+    metadata.order = parsed.order;
+  }
+  if (typeof parsed.since === "string") {
+    metadata.since = parsed.since;
+  }
+
+  const body = rest.slice(close.index + close[0].length).replace(/^\r?\n/u, "");
+  return { metadata, body };
+};
+
+// Whether a rule belongs in the output for `agent`. Rules without `agents`
+// apply to every agent.
+export const appliesToAgent = (metadata: RuleMetadata, agent: string): boolean =>
+  !metadata.agents || metadata.agents.includes(agent);
@@ -0,0 +1,140 @@
+// Public library entry point. Everything here returns data and never writes to
+// stdout or sets `process.exitCode`; the `compose-agentsmd` CLI is a thin
+// formatting layer over these functions.
+export {
+  checkGlobalOutputs,
+  checkRuleset,
+  composeRuleset,
+  composeRulesets,
+  getGlobalOutputPaths,
+  resolveOutputPaths,
+  type BudgetCheckResult,
+  type CheckResult,
+  type ComposedModule,
+  type ComposedRule,
+  type ComposeOptions,
+  type ComposeResult,
+  type GlobalCheckResult,
+  type GlobalComposedFile,
+  type GlobalOutputCheck,
+  type GlobalOutputStatus,
+  type OutputGroupDiff,
+  type OutputPaths,
+  type OutputScope,
+  type OutputSourceMap,
+  type RepositoryBudgetResult,
+  type RepositoryComposedFile,
+  type RuleOrigin,
+  type ScopeBudgetResult,
+  type SourceMapSection,
+  type TargetTokenCount
+} from "./compose.js";
+export {
+  diffSourceVersions,
+  LOCKED_REF,
+  type DiffOptions,
+  type RuleTokenChange,
+  type SourceVersion,
+  type VersionDiffResult
+} from "./diff.js";
+export {
+  runDoctor,
+  type DoctorCheck,
+  type DoctorOptions,
+  type DoctorReport,
+  type DoctorStatus
+} from "./doctor.js";
+export {
+  explainOutput,
+  type ExplainedSection,
+  type ExplainOptions,
+  type ExplainResult
+} from "./explain.js";
+export {
+  lintRulesSource,
+  type RuleLintCode,
+  type RuleLintIssue,
+  type RuleLintResult
+} from "./lint-rules.js";
+export {
+  describeProfiles,
+  listProfiles,
+  type ProfileCatalogOptions,
+  type ProfileDescription,
+  type ProfileDomain,
+  type ProfileRuleFile,
+  type ProfileSummary
+} from "./profile-catalog.js";
+export { appliesToAgent, parseFrontMatter, type RuleMetadata } from "./front-matter.js";
+export {
+  computeSourceContentHash,
+  getLockfilePath,
+  readLockfile,
+  type LockedSource,
+  type Lockfile
+} from "./lockfile.js";
+export {
+  evaluateDomainCondition,
+  expandFileGlob,
+  matchesFileGlob,
+  type DomainCondition
+} from "./conditions.js";
+export { MANAGED_BLOCK_BEGIN, MANAGED_BLOCK_END } from "./managed-block.js";
+export { TOMBSTONE_MARKER, type OverlayMode } from "./overlay.js";
+export {
+  getBackupRoot,
+  getOutputStatePath,
+  listBackups,
+  readOutputState,
+  restoreBackup,
+  type BackedUpFile,
+  type OutputBackup,
+  type OutputRecord,
+  type OutputState
+} from "./ownership.js";
+export {
+  PROFILE_MANIFEST_NAME,
+  readProfileManifest,
+  resolveProfileSelections,
+  type ConditionalDomain,
+  type ProfileEntry,
+  type ProfileManifest,
+  type ProfileSelection
+} from "./profiles.js";
+export {
+  DEFAULT_CLAUDE_OUTPUT,
+  DEFAULT_OUTPUT,
+  DEFAULT_RULESET_NAME,
+  getRulesetProfiles,
+  readProjectRuleset,
+  resolveWorkspaceRulesets,
+  type ProjectRuleset
+} from "./ruleset.js";
+export {
+  isRemoteSource,
+  parseRemoteSource,
+  resolveRulesRoot,
+  resolveSourceContexts,
+  withSourceRef,
+  type RemoteSource,
+  type ResolvedRulesRoot,
+  type SourceCache,
+  type SourceContext,
+  type SourceResolveOptions
+} from "./sources.js";
+export {
+  countTokensWith,
+  DEFAULT_TOKENIZER,
+  TOKENIZER_ENCODINGS,
+  type TokenizerEncoding,
+  type TokenizerSpec
+} from "./tokenizers.js";
+export {
+  BUILTIN_TARGET_NAMES,
+  readUserConfig,
+  getUserConfigPath,
+  resolveGlobalTargets,
+  type GlobalTarget,
+  type UserConfig,
+  type UserTargetConfig
+} from "./user-config.js";
@@ -0,0 +1,322 @@
+import fs from "node:fs";
+import path from "node:path";
+import { collectMarkdownFiles } from "./compose.js";
+import { parseFrontMatter } from "./front-matter.js";
+import { isTombstone } from "./overlay.js";
+import { PROFILE_MANIFEST_NAME, readProfileManifest, type ProfileManifest } from "./profiles.js";
+import { isExistingDirectory, normalizePath } from "./utils.js";
+
+export type RuleLintCode =
+  | "invalid-front-matter"
+  | "invalid-manifest"
+  | "empty-rule"
+  | "heading-level"
+  | "duplicate-paragraph"
+  | "relative-link"
+  | "missing-domain"
+  | "unreferenced-domain";
+
+export type RuleLintIssue = {
+  code: RuleLintCode;
+  severity: "error" | "warning";
+  // Relative to the source root.
+  file: string;
+  line?: number;
+  message: string;
+};
+
+export type RuleLintResult = {
+  // False when any issue is an error.
+  ok: boolean;
+  // Rule files checked.
+  files: number;
+  issues: RuleLintIssue[];
+};
+
+// Paragraphs shorter than this are too generic to compare.
+const MIN_PARAGRAPH_WORDS = 6;
+// Word-set overlap (Jaccard index) at which two paragraphs count as near
+// duplicates.
+const NEAR_DUPLICATE_SIMILARITY = 0.85;
+
+const HEADING_PATTERN = /^(#{1,6})\s/u;
+const FENCE_PATTERN = /^\s*(```|~~~)/u;
+const INLINE_LINK_PATTERN = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?[^)]*\)/gu;
+const REFERENCE_LINK_PATTERN = /^\s{0,3}\[[^\]]+\]:\s*<?([^\s>]+)>?/u;
+const INLINE_CODE_PATTERN = /`[^`]*`/gu;
+// URL schemes, protocol-relative URLs and in-page anchors survive composing.
+const PORTABLE_LINK_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/iu;
+
+type RuleFile = {
+  file: string;
+  body: string;
+  // Line of the body's first line in the file (after any front-matter).
+  firstLine: number;
+};
+
+type BodyLine = { line: number; text: string };
+
+// The body's lines outside fenced code blocks, with their line numbers.
+const readProseLines = (rule: RuleFile): BodyLine[] => {
+  const lines: BodyLine[] = [];
+  let inFence = false;
+  rule.body.split("\n").forEach((text, index) => {
+    if (FENCE_PATTERN.test(text)) {
+      inFence = !inFence;
+      return;
+    }
+    if (!inFence) {
+      lines.push({ line: rule.firstLine + index, text });
+    }
+  });
+  return lines;
+};
+
+// Each module is composed as its own section, so it starts at level 1 and,
+// as markdownlint's MD001 requires, never skips a level.
+const lintHeadings = (rule: RuleFile, issues: RuleLintIssue[]): void => {
+  let previousLevel = 0;
+  for (const { line, text } of readProseLines(rule)) {
+    const level = HEADING_PATTERN.exec(text)?.[1].length;
+    if (level === undefined) {
+      continue;
+    }
+    if (previousLevel === 0 && level !== 1) {
+      issues.push({
+        code: "heading-level",
+        severity: "warning",
+        file: rule.file,
+        line,
+        message: `The first heading is level ${level}; composed modules start with a level-1 heading.`
+      });
+    } else if (previousLevel > 0 && level > previousLevel + 1) {
+      issues.push({
+        code: "heading-level",
+        severity: "warning",
+        file: rule.file,
+        line,
+        message: `Heading jumps from level ${previousLevel} to level ${level}.`
+      });
+    }
+    previousLevel = level;
+  }
+};
+
+const lintLinks = (rule: RuleFile, issues: RuleLintIssue[]): void => {
+  for (const { line, text } of readProseLines(rule)) {
+    const prose = text.replace(INLINE_CODE_PATTERN, "");
+    const targets = [
+      ...[...prose.matchAll(INLINE_LINK_PATTERN)].map((match) => match[1]),
+      ...(REFERENCE_LINK_PATTERN.exec(prose)?.slice(1, 2) ?? [])
+    ];
+    for (const target of targets) {
+      if (!PORTABLE_LINK_PATTERN.test(target)) {
+        issues.push({
+          code: "relative-link",
+          severity: "error",
+          file: rule.file,
+          line,
+          message:
+            `Relative link "${target}" breaks once the rule is composed into another ` +
+            "repository; use an absolute URL."
+        });
+      }
+    }
+  }
+};
+
+type Paragraph = { file: string; line: number; words: Set<string>; normalized: string };
+
+const collectParagraphs = (rule: RuleFile): Paragraph[] => {
+  const paragraphs: Paragraph[] = [];
+  let current: BodyLine[] = [];
+  const flush = (): void => {
+    const text = current.map((entry) => entry.text).join(" ");
+    const words = text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+    if (words.length >= MIN_PARAGRAPH_WORDS) {
+      paragraphs.push({
+        file: rule.file,
+        line: current[0].line,
+        words: new Set(words),
+        normalized: words.join(" ")
+      });
+    }
+    current = [];
+  };
+
+  for (const entry of readProseLines(rule)) {
+    if (entry.text.trim() === "" || HEADING_PATTERN.test(entry.text)) {
+      flush();
+    } else {
+      current.push(entry);
+    }
+  }
+  flush();
+  return paragraphs;
+};
+
+const similarity = (a: Set<string>, b: Set<string>): number => {
+  const shared = [...a].filter((word) => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+// Flags paragraphs that repeat one in an earlier rule file, exactly or nearly.
+// Repeats inside one file are left alone.
+const lintDuplicates = (rules: RuleFile[], issues: RuleLintIssue[]): void => {
+  const seen: Paragraph[] = [];
+  for (const paragraph of rules.flatMap(collectParagraphs)) {
+    const original = seen.find(
+      (earlier) =>
+        earlier.file !== paragraph.file &&
+        (earlier.normalized === paragraph.normalized ||
+          similarity(earlier.words, paragraph.words) >= NEAR_DUPLICATE_SIMILARITY)
+    );
+    if (original) {
+      const kind =
+        original.normalized === paragraph.normalized ? "Duplicates" : "Nearly duplicates";
+      issues.push({
+        code: "duplicate-paragraph",
+        severity: "warning",
+        file: paragraph.file,
+        line: paragraph.line,
+        message: `${kind} the paragraph at ${original.file}:${original.line}.`
+      });
+    }
+    seen.push(paragraph);
+  }
+};
+
+const readRuleFiles = (
+  sourceRoot: string,
+  filePaths: string[],
+  issues: RuleLintIssue[]
+): RuleFile[] =>
+  filePaths.flatMap((filePath) => {
+    const file = normalizePath(path.relative(sourceRoot, filePath));
+    const content = fs.readFileSync(filePath, "utf8");
+    let body: string;
+    try {
+      ({ body } = parseFrontMatter(content, file));
+    } catch (error) {
+      issues.push({
+        code: "invalid-front-matter",
+        severity: "error",
+        file,
+        message: error instanceof Error ? error.message : String(error)
+      });
+      return [];
+    }
+
+    // Tombstones are empty on purpose.
+    if (isTombstone(body)) {
+      return [];
+    }
+    if (body.trim() === "") {
+      issues.push({
+        code: "empty-rule",
+        severity: "error",
+        file,
+        message: "The rule file has no content; it would compose as a bare Source line."
+      });
+      return [];
+    }
+    return [
+      {
+        file,
+        body,
+        firstLine: content.slice(0, content.length - body.length).split("\n").length
+      }
+    ];
+  });
+
+const lintDomains = (
+  sourceRoot: string,
+  manifest: ProfileManifest | null,
+  issues: RuleLintIssue[]
+): void => {
+  const domainsRoot = path.join(sourceRoot, "rules", "domains");
+  const referenced = new Map<string, string[]>();
+  for (const [profile, entry] of Object.entries(manifest?.profiles ?? {})) {
+    const domains = [
+      ...(entry.domains ?? []),
+      ...(entry.conditionalDomains ?? []).map((conditional) => conditional.domain)
+    ];
+    for (const domain of domains) {
+      referenced.set(domain, [...(referenced.get(domain) ?? []), profile]);
+    }
+  }
+
+  for (const [domain, profiles] of referenced) {
+    if (!isExistingDirectory(path.join(domainsRoot, domain))) {
+      issues.push({
+        code: "missing-domain",
+        severity: "error",
+        file: PROFILE_MANIFEST_NAME,
+        message:
+          `Domain "${domain}" (profile ${profiles.map((name) => `"${name}"`).join(", ")}) ` +
+          `has no rules/domains/${domain} directory.`
+      });
+    }
+  }
+
+  const onDisk = isExistingDirectory(domainsRoot)
+    ? fs
+        .readdirSync(domainsRoot, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort()
+    : [];
+  for (const domain of onDisk.filter((name) => !referenced.has(name))) {
+    issues.push({
+      code: "unreferenced-domain",
+      severity: "warning",
+      file: `rules/domains/${domain}`,
+      message: `No profile in ${PROFILE_MANIFEST_NAME} references this domain.`
+    });
+  }
+};
+
+// Lints a rules source (the directory holding `rules/` and
+// `agent-profiles.json`, such as an edit-rules workspace) for problems that
+// otherwise only show up once a consumer composes it.
+export const lintRulesSource = (sourceRoot: string): RuleLintResult => {
+  const rulesRoot = path.join(sourceRoot, "rules");
+  if (!isExistingDirectory(rulesRoot)) {
+    throw new Error(`Not a rules source (no rules directory): ${normalizePath(sourceRoot)}`);
+  }
+
+  const issues: RuleLintIssue[] = [];
+  let manifest: ProfileManifest | null = null;
+  let manifestValid = true;
+  try {
+    manifest = readProfileManifest(sourceRoot);
+  } catch (error) {
+    manifestValid = false;
+    issues.push({
+      code: "invalid-manifest",
+      severity: "error",
+      file: PROFILE_MANIFEST_NAME,
+      message: error instanceof Error ? error.message : String(error)
+    });
+  }
+
+  const filePaths = collectMarkdownFiles(rulesRoot);
+  const rules = readRuleFiles(sourceRoot, filePaths, issues);
+  for (const rule of rules) {
+    lintHeadings(rule, issues);
+    lintLinks(rule, issues);
+  }
+  lintDuplicates(rules, issues);
+  if (manifestValid) {
+    lintDomains(sourceRoot, manifest, issues);
+  }
+
+  return {
+    ok: issues.every((issue) => issue.severity !== "error"),
+    files: filePaths.length,
+    issues: issues.sort((a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0))
+  };
+};
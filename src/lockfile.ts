@@ -0,0 +1,137 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { PROFILE_MANIFEST_NAME } from "./profiles.js";
+import { compileSchema, formatSchemaErrors, readJsonFile } from "./utils.js";
+
+// A lockfile lives next to the ruleset (`agent-ruleset.lock.json` for
+// `agent-ruleset.json`) and pins every remote source to the exact commit and
+// content it resolved to, so moving refs such as `@latest` or branches cannot
+// change composed output until the lock is deliberately updated.
+export type LockedSource = {
+  url: string;
+  // Resolved tag or branch name, or "HEAD" when the source has no release tags.
+  ref: string;
+  commit: string;
+  contentHash: string;
+};
+
+export type Lockfile = {
+  lockfileVersion: 1;
+  sources: Record<string, LockedSource>;
+};
+
+export const LOCKFILE_VERSION = 1;
+
+const lockfileSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "Agent ruleset lockfile",
+  type: "object",
+  additionalProperties: false,
+  required: ["lockfileVersion", "sources"],
+  properties: {
+    lockfileVersion: {
+      const: LOCKFILE_VERSION
+    },
+    sources: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        additionalProperties: false,
+        required: ["url", "ref", "commit", "contentHash"],
+        properties: {
+          url: { type: "string", minLength: 1 },
+          ref: { type: "string", minLength: 1 },
+          commit: { type: "string", pattern: "^[a-f0-9]{7,64}$" },
+          contentHash: { type: "string", pattern: "^sha256-[a-f0-9]{64}$" }
+        }
+      }
+    }
+  }
+} as const;
+
+const validateLockfileSchema = compileSchema(lockfileSchema);
+
+// Derives the lockfile path from the ruleset path: `<name>.json` becomes
+// `<name>.lock.json` in the same directory.
+export const getLockfilePath = (rulesetPath: string): string => {
+  const extension = path.extname(rulesetPath);
+  const baseName = path.basename(rulesetPath, extension);
+  return path.join(path.dirname(rulesetPath), `${baseName}.lock.json`);
+};
+
+// Reads and validates a lockfile. Returns null when no lockfile exists yet.
+export const readLockfile = (lockfilePath: string): Lockfile | null => {
+  if (!fs.existsSync(lockfilePath)) {
+    return null;
+  }
+
+  const parsed = readJsonFile(lockfilePath);
+  if (!validateLockfileSchema(parsed)) {
+    const message = formatSchemaErrors(validateLockfileSchema.errors, "lockfile");
+    throw new Error(`Invalid lockfile ${lockfilePath}: ${message}`);
+  }
+
+  return parsed as Lockfile;
+};
+
+export const formatLockfile = (lockfile: Lockfile): string =>
+  `${JSON.stringify(lockfile, null, 2)}\n`;
+
+const collectFiles = (rootDir: string): string[] => {
+  const results: string[] = [];
+  const pending = [rootDir];
+
+  while (pending.length > 0) {
+    const currentDir = pending.pop();
+    if (!currentDir) {
+      continue;
+    }
+
+    for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      if (entry.isSymbolicLink()) {
+        continue;
+      }
+
+      const entryPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else if (entry.isFile()) {
+        results.push(entryPath);
+      }
+    }
+  }
+
+  return results;
+};
+
+// Hashes everything compose reads from a source root: every file under
+// `rules/` plus the profile manifest. Paths are normalized and sorted so the
+// hash is stable across platforms and checkout methods.
+export const computeSourceContentHash = (sourceRoot: string): string => {
+  const rulesRoot = path.join(sourceRoot, "rules");
+  const files = fs.existsSync(rulesRoot) ? collectFiles(rulesRoot) : [];
+  const manifestPath = path.join(sourceRoot, PROFILE_MANIFEST_NAME);
+  if (fs.existsSync(manifestPath)) {
+    files.push(manifestPath);
+  }
+
+  const entries = files
+    .map((filePath) => ({
+      relativePath: path.relative(sourceRoot, filePath).replace(/\\/g, "/"),
+      filePath
+    }))
+    .sort((a, b) =>
+      a.relativePath < b.relativePath ? -1 : a.relativePath > b.relativePath ? 1 : 0
+    );
+
+  const hash = crypto.createHash("sha256");
+  for (const entry of entries) {
+    hash.update(entry.relativePath);
+    hash.update("\0");
+    hash.update(fs.readFileSync(entry.filePath));
+    hash.update("\0");
+  }
+
+  return `sha256-${hash.digest("hex")}`;
+};
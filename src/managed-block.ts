@@ -0,0 +1,53 @@
+// Managed blocks let compose own only part of an instruction file: the
+// composed rules go between the markers and everything around them is kept.
+export const MANAGED_BLOCK_BEGIN = "<!-- compose-agentsmd:begin -->";
+export const MANAGED_BLOCK_END = "<!-- compose-agentsmd:end -->";
+
+export type ManagedFileContent = {
+  content: string;
+  // Lines above the composed content, for shifting source maps.
+  lineOffset: number;
+};
+
+const countLines = (text: string): number => text.split("\n").length - 1;
+
+const formatBlock = (composed: string): string => {
+  const body = composed === "" || composed.endsWith("\n") ? composed : `${composed}\n`;
+  return `${MANAGED_BLOCK_BEGIN}\n${body}${MANAGED_BLOCK_END}`;
+};
+
+// Fits composed content into a file. A file with markers gets only its block
+// replaced. Otherwise, with `create`, the block is added: it replaces a file
+// compose wrote whole (one starting like the composed content) and goes below
+// hand-written content. Without `create` the whole file is composed content.
+export const applyManagedBlock = (
+  existing: string | null,
+  composed: string,
+  options: { create: boolean; filePath: string }
+): ManagedFileContent => {
+  const begin = existing?.indexOf(MANAGED_BLOCK_BEGIN) ?? -1;
+  const end = existing?.indexOf(MANAGED_BLOCK_END) ?? -1;
+  if (existing !== null && (begin !== -1 || end !== -1)) {
+    if (begin === -1 || end < begin) {
+      throw new Error(
+        `${options.filePath} has unbalanced compose-agentsmd markers; ` +
+          `put ${MANAGED_BLOCK_BEGIN} before ${MANAGED_BLOCK_END}.`
+      );
+    }
+    const before = existing.slice(0, begin);
+    return {
+      content: `${before}${formatBlock(composed)}${existing.slice(end + MANAGED_BLOCK_END.length)}`,
+      lineOffset: countLines(before) + 1
+    };
+  }
+  if (!options.create) {
+    return { content: composed, lineOffset: 0 };
+  }
+
+  const firstLine = composed.split("\n")[0];
+  if (existing === null || existing.trim() === "" || existing.split("\n")[0] === firstLine) {
+    return { content: `${formatBlock(composed)}\n`, lineOffset: 1 };
+  }
+  const before = `${existing.trimEnd()}\n\n`;
+  return { content: `${before}${formatBlock(composed)}\n`, lineOffset: countLines(before) + 1 };
+};
@@ -0,0 +1,82 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Native rule formats for agents that do not read AGENTS.md: Cursor project
+// rules (`.cursor/rules/*.mdc`) and Windsurf (`.windsurfrules`). Both are
+// opt-in through the ruleset `cursor` and `windsurf` keys.
+export const DEFAULT_CURSOR_OUTPUT_DIR = ".cursor/rules";
+export const DEFAULT_WINDSURF_OUTPUT = ".windsurfrules";
+
+// Marks a `.mdc` file as generated, so compose can remove it once its domain
+// is no longer selected without touching hand-written Cursor rules.
+export const GENERATED_MARKER =
+  "<!-- Generated by compose-agentsmd. Do not edit; update the source rules and regenerate. -->";
+
+const CURSOR_RULE_EXTENSION = ".mdc";
+const TOOL_RULES_FILE_NAME = `compose-agentsmd${CURSOR_RULE_EXTENSION}`;
+
+export type CursorRuleFile = {
+  fileName: string;
+  content: string;
+};
+
+// Domain rule content grouped by domain, in first-selected order.
+export type DomainRules = {
+  domain: string;
+  parts: string[];
+};
+
+const formatMdcFile = (description: string, body: string): string =>
+  [
+    "---",
+    `description: ${description}`,
+    "globs:",
+    "alwaysApply: true",
+    "---",
+    "",
+    GENERATED_MARKER,
+    "",
+    body,
+    ""
+  ].join("\n");
+
+const toCursorFileName = (domain: string): string =>
+  `${domain.replace(/[\\/]+/gu, "-")}${CURSOR_RULE_EXTENSION}`;
+
+// Builds one always-applied Cursor rule per domain, plus one for the tool
+// rules. Overlays of a domain from several sources share that domain's file.
+export const buildCursorRuleFiles = (
+  toolRules: string,
+  domains: DomainRules[]
+): CursorRuleFile[] => [
+  {
+    fileName: TOOL_RULES_FILE_NAME,
+    content: formatMdcFile("How to regenerate these rules with compose-agentsmd", toolRules)
+  },
+  ...domains
+    .filter((entry) => entry.parts.length > 0)
+    .map((entry) => ({
+      fileName: toCursorFileName(entry.domain),
+      content: formatMdcFile(`Rules for the ${entry.domain} domain`, entry.parts.join("\n\n"))
+    }))
+];
+
+// Lists generated `.mdc` files in the output directory that compose no longer
+// produces. Files without the generated marker are never reported.
+export const findObsoleteCursorFiles = (outputDir: string, keepPaths: string[]): string[] => {
+  if (!fs.existsSync(outputDir)) {
+    return [];
+  }
+
+  const keep = new Set(keepPaths.map((filePath) => path.resolve(filePath)));
+  return fs
+    .readdirSync(outputDir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && entry.name.endsWith(CURSOR_RULE_EXTENSION))
+    .map((entry) => path.join(outputDir, entry.name))
+    .filter(
+      (filePath) =>
+        !keep.has(path.resolve(filePath)) &&
+        fs.readFileSync(filePath, "utf8").includes(GENERATED_MARKER)
+    )
+    .sort();
+};
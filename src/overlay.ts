@@ -0,0 +1,79 @@
+import type { ProfileManifest } from "./profiles.js";
+
+// How a source layers over earlier sources. In `append` mode (the default) its
+// rules are added after theirs. In `shadow` mode a rule file with the same
+// relative path under `rules/global/` or `rules/domains/<domain>/` replaces the
+// earlier source's file in place, and a tombstone file deletes it.
+export type OverlayMode = "append" | "shadow";
+
+// A rule file whose body is only this marker is never composed. In shadow mode
+// it removes the earlier sources' file at the same relative path.
+export const TOMBSTONE_MARKER = "<!-- compose-agentsmd:tombstone -->";
+
+export const isTombstone = (body: string): boolean => body.trim() === TOMBSTONE_MARKER;
+
+// Reads a source's overlay mode for one domain, or for its global rules when
+// `domain` is undefined. Per-domain settings win over the source-wide mode.
+export const resolveOverlayMode = (
+  manifest: ProfileManifest | null,
+  domain?: string
+): OverlayMode => {
+  const overlay = manifest?.overlay;
+  if (domain !== undefined && overlay?.domains?.[domain]) {
+    return overlay.domains[domain];
+  }
+  return overlay?.mode ?? "append";
+};
+
+export type LayeredPart = {
+  sourceIndex: number;
+  // Path relative to `rules/global/` or `rules/domains/<domain>/`.
+  relativePath: string;
+  domain?: string;
+  tombstone: boolean;
+};
+
+// Applies shadow-mode replacements and tombstones, then drops every tombstone.
+// Sources are processed in source order, so a third source can shadow a file
+// that a second source already replaced.
+export const applyOverlays = <T extends LayeredPart>(
+  parts: T[],
+  getMode: (sourceIndex: number, domain?: string) => OverlayMode
+): T[] => {
+  const result: Array<T | null> = [...parts];
+  const sourceIndexes = [...new Set(parts.map((part) => part.sourceIndex))].sort((a, b) => a - b);
+
+  for (const sourceIndex of sourceIndexes) {
+    result.forEach((part, position) => {
+      if (!part || part.sourceIndex !== sourceIndex) {
+        return;
+      }
+      if (getMode(sourceIndex, part.domain) !== "shadow") {
+        return;
+      }
+
+      const shadowed = result.flatMap((candidate, candidatePosition) =>
+        candidate !== null &&
+        candidate.sourceIndex < sourceIndex &&
+        candidate.domain === part.domain &&
+        candidate.relativePath === part.relativePath
+          ? [candidatePosition]
+          : []
+      );
+      if (shadowed.length === 0) {
+        return;
+      }
+
+      // The first shadowed copy keeps its position; any other earlier copies go.
+      for (const shadowedPosition of shadowed) {
+        result[shadowedPosition] = null;
+      }
+      result[position] = null;
+      if (!part.tombstone) {
+        result[shadowed[0]] = part;
+      }
+    });
+  }
+
+  return result.filter((part): part is T => part !== null && !part.tombstone);
+};
@@ -0,0 +1,220 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import type { FileWrite } from "./atomic-write.js";
+import {
+  compileSchema,
+  formatSchemaErrors,
+  getAgentsmdPath,
+  isExistingDirectory,
+  readJsonFile
+} from "./utils.js";
+
+// Compose records which ruleset last wrote each user-global file, and backs up
+// any file it did not write before overwriting it, so a hand-written
+// `~/.gemini/GEMINI.md` can be restored with `compose-agentsmd restore`.
+export const getOutputStatePath = (): string => getAgentsmdPath("outputs.json");
+export const getBackupRoot = (): string => getAgentsmdPath("backups");
+const BACKUP_MANIFEST_NAME = "backup.json";
+
+export type OutputRecord = {
+  // Absolute path of the ruleset that wrote the file.
+  ruleset: string;
+  contentHash: string;
+  writtenAt: string;
+};
+
+// Keyed by absolute file path.
+export type OutputState = {
+  files: Record<string, OutputRecord>;
+};
+
+export type BackedUpFile = {
+  // Absolute path of the original file.
+  path: string;
+  // File name inside the backup directory.
+  file: string;
+};
+
+export type OutputBackup = {
+  // Timestamp-based directory name under the backup root.
+  id: string;
+  createdAt: string;
+  files: BackedUpFile[];
+};
+
+const outputStateSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "compose-agentsmd output state",
+  type: "object",
+  additionalProperties: false,
+  required: ["files"],
+  properties: {
+    files: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ruleset", "contentHash", "writtenAt"],
+        properties: {
+          ruleset: { type: "string", minLength: 1 },
+          contentHash: { type: "string", pattern: "^sha256-[a-f0-9]{64}$" },
+          writtenAt: { type: "string", minLength: 1 }
+        }
+      }
+    }
+  }
+} as const;
+
+const backupManifestSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "compose-agentsmd backup",
+  type: "object",
+  additionalProperties: false,
+  required: ["id", "createdAt", "files"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    createdAt: { type: "string", minLength: 1 },
+    files: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["path", "file"],
+        properties: {
+          path: { type: "string", minLength: 1 },
+          file: { type: "string", minLength: 1 }
+        }
+      }
+    }
+  }
+} as const;
+
+const validateOutputStateSchema = compileSchema(outputStateSchema);
+const validateBackupManifestSchema = compileSchema(backupManifestSchema);
+
+export const hashOutputContent = (content: string): string =>
+  `sha256-${crypto.createHash("sha256").update(content).digest("hex")}`;
+
+// Returns an empty state when nothing has been recorded yet.
+export const readOutputState = (statePath: string = getOutputStatePath()): OutputState => {
+  if (!fs.existsSync(statePath)) {
+    return { files: {} };
+  }
+
+  const parsed = readJsonFile(statePath);
+  if (!validateOutputStateSchema(parsed)) {
+    const message = formatSchemaErrors(validateOutputStateSchema.errors, "output state");
+    throw new Error(`Invalid output state ${statePath}: ${message}`);
+  }
+  return parsed as OutputState;
+};
+
+// The recorded writer of a file, when the file is still as it wrote it.
+export const findOutputOwner = (
+  state: OutputState,
+  filePath: string,
+  content: string
+): OutputRecord | null => {
+  const record = state.files[filePath];
+  return record && record.contentHash === hashOutputContent(content) ? record : null;
+};
+
+// The output state file with the files recorded as written by the ruleset. The
+// caller writes it together with the files, so the two never disagree.
+export const recordOutputs = (
+  files: FileWrite[],
+  rulesetPath: string,
+  statePath: string = getOutputStatePath()
+): FileWrite => {
+  const state = readOutputState(statePath);
+  const writtenAt = new Date().toISOString();
+  for (const file of files) {
+    state.files[file.absolutePath] = {
+      ruleset: rulesetPath,
+      contentHash: hashOutputContent(file.content),
+      writtenAt
+    };
+  }
+  return { absolutePath: statePath, content: `${JSON.stringify(state, null, 2)}\n` };
+};
+
+// Copies files into a new timestamped directory under the backup root.
+export const createBackup = (
+  filePaths: string[],
+  backupRoot: string = getBackupRoot()
+): OutputBackup => {
+  const createdAt = new Date().toISOString();
+  const baseId = createdAt.replace(/[:.]/gu, "-");
+  let id = baseId;
+  for (let suffix = 2; fs.existsSync(path.join(backupRoot, id)); suffix += 1) {
+    id = `${baseId}-${suffix}`;
+  }
+
+  const backupDir = path.join(backupRoot, id);
+  fs.mkdirSync(backupDir, { recursive: true });
+  const files = filePaths.map((filePath, index) => {
+    const file = `${index + 1}-${path.basename(filePath)}`;
+    fs.copyFileSync(filePath, path.join(backupDir, file));
+    return { path: filePath, file };
+  });
+  const backup: OutputBackup = { id, createdAt, files };
+  fs.writeFileSync(
+    path.join(backupDir, BACKUP_MANIFEST_NAME),
+    `${JSON.stringify(backup, null, 2)}\n`,
+    "utf8"
+  );
+  return backup;
+};
+
+// Backups, newest first by their recorded time. Directories without a
+// readable, valid manifest are skipped.
+export const listBackups = (backupRoot: string = getBackupRoot()): OutputBackup[] => {
+  if (!isExistingDirectory(backupRoot)) {
+    return [];
+  }
+  return fs
+    .readdirSync(backupRoot, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .flatMap((entry) => {
+      const manifestPath = path.join(backupRoot, entry.name, BACKUP_MANIFEST_NAME);
+      if (!fs.existsSync(manifestPath)) {
+        return [];
+      }
+      let parsed: unknown;
+      try {
+        parsed = readJsonFile(manifestPath);
+      } catch {
+        return [];
+      }
+      return validateBackupManifestSchema(parsed) ? [parsed as OutputBackup] : [];
+    })
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt) || b.id.localeCompare(a.id));
+};
+
+// Copies a backup's files back to their original paths. Without an id the
+// newest backup is restored.
+export const restoreBackup = (
+  id: string | undefined,
+  options: { dryRun?: boolean } = {},
+  backupRoot: string = getBackupRoot()
+): OutputBackup => {
+  const backups = listBackups(backupRoot);
+  if (backups.length === 0) {
+    throw new Error(`No backups in ${backupRoot}.`);
+  }
+  const backup = id === undefined ? backups[0] : backups.find((entry) => entry.id === id);
+  if (!backup) {
+    throw new Error(
+      `Unknown backup: ${id}. Choose one of: ${backups.map((entry) => entry.id).join(", ")}`
+    );
+  }
+
+  if (!options.dryRun) {
+    for (const file of backup.files) {
+      fs.mkdirSync(path.dirname(file.path), { recursive: true });
+      fs.copyFileSync(path.join(backupRoot, backup.id, file.file), file.path);
+    }
+  }
+  return backup;
+};
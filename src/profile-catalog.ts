@@ -0,0 +1,211 @@
+import path from "node:path";
+import type { DomainCondition } from "./conditions.js";
+import { composeRuleset } from "./compose.js";
+import { getLockfilePath, readLockfile } from "./lockfile.js";
+import { readProfileManifest, resolveProfileSelections } from "./profiles.js";
+import { getRulesetProfiles, readProjectRuleset } from "./ruleset.js";
+import { resolveSourceContexts, type SourceCache, type SourceContext } from "./sources.js";
+
+export type ProfileCatalogOptions = {
+  refresh?: boolean;
+  offline?: boolean;
+};
+
+export type ProfileRuleFile = {
+  // The rule's provenance, as in the composed `Source:` line.
+  rule: string;
+  tokens: number;
+};
+
+export type ProfileDomain = {
+  domain: string;
+  // The extended profile that lists the domain, or the condition that added it.
+  inheritedFrom?: string;
+  condition?: DomainCondition;
+  rules: ProfileRuleFile[];
+  tokens: number;
+};
+
+export type ProfileDescription = {
+  name: string;
+  // The ruleset sources whose profile manifest defines the profile.
+  sources: string[];
+  extends: string[];
+  // The domains the profile resolves to for this ruleset, in compose order.
+  // Conditional domains are only included when their condition holds.
+  domains: ProfileDomain[];
+  ruleCount: number;
+  // Tokens in the repository rule bodies the profile composes.
+  tokens: number;
+};
+
+export type ProfileSummary = {
+  name: string;
+  sources: string[];
+  // Whether the ruleset uses the profile.
+  selected: boolean;
+  domains?: string[];
+  ruleCount?: number;
+  tokens?: number;
+  // Why the profile cannot be composed, such as a missing domain directory.
+  error?: string;
+};
+
+type ProfileDefinition = { sources: string[]; extends: string[] };
+
+type ProfileCatalog = {
+  rulesetPath: string;
+  selected: string[];
+  sourceContexts: SourceContext[];
+  sourceCache: SourceCache;
+  definitions: Map<string, ProfileDefinition>;
+  options: ProfileCatalogOptions;
+};
+
+// Reads the profile manifest of every source. Profiles are ordered by name.
+const readProfileDefinitions = (
+  sourceContexts: SourceContext[]
+): Map<string, ProfileDefinition> => {
+  const definitions = new Map<string, ProfileDefinition>();
+  for (const context of sourceContexts) {
+    const manifest = readProfileManifest(context.sourceRoot);
+    for (const [name, entry] of Object.entries(manifest?.profiles ?? {})) {
+      const definition = definitions.get(name) ?? { sources: [], extends: [] };
+      definition.sources.push(context.source);
+      definition.extends.push(
+        ...(entry.extends ?? []).filter((parent) => !definition.extends.includes(parent))
+      );
+      definitions.set(name, definition);
+    }
+  }
+  return new Map([...definitions].sort(([a], [b]) => a.localeCompare(b)));
+};
+
+// Resolves the ruleset's sources once and reads every profile manifest.
+const readProfileCatalog = (
+  rulesetPath: string,
+  options: ProfileCatalogOptions
+): ProfileCatalog => {
+  const ruleset = readProjectRuleset(rulesetPath);
+  const sourceCache: SourceCache = new Map();
+  const sourceContexts = resolveSourceContexts(
+    path.dirname(rulesetPath),
+    ruleset.sources,
+    { refresh: options.refresh ?? false, offline: options.offline ?? false, cache: sourceCache },
+    readLockfile(getLockfilePath(rulesetPath))
+  );
+
+  return {
+    rulesetPath,
+    selected: getRulesetProfiles(ruleset),
+    sourceContexts,
+    sourceCache,
+    definitions: readProfileDefinitions(sourceContexts),
+    options
+  };
+};
+
+const describeCatalogProfile = (catalog: ProfileCatalog, name: string): ProfileDescription => {
+  const rulesetDir = path.dirname(catalog.rulesetPath);
+  // Composing (without writing) applies overlays and front-matter exactly as
+  // compose would.
+  const result = composeRuleset(catalog.rulesetPath, rulesetDir, {
+    refresh: catalog.options.refresh,
+    offline: catalog.options.offline,
+    dryRun: true,
+    skipGlobal: true,
+    sourceCache: catalog.sourceCache,
+    profiles: [name]
+  });
+
+  const domains = new Map<string, ProfileDomain>();
+  const selections = resolveProfileSelections(
+    catalog.sourceContexts.map((context) => context.sourceRoot),
+    name,
+    rulesetDir
+  );
+  for (const selection of selections) {
+    for (const domain of selection.domains) {
+      const condition = selection.conditions?.[domain];
+      if (!domains.has(domain)) {
+        domains.set(domain, {
+          domain,
+          ...(selection.profile !== name ? { inheritedFrom: selection.profile } : {}),
+          ...(condition ? { condition } : {}),
+          rules: [],
+          tokens: 0
+        });
+      }
+    }
+  }
+  for (const module of result.modules) {
+    const domain = module.domain !== undefined ? domains.get(module.domain) : undefined;
+    if (domain) {
+      domain.rules.push({ rule: module.source, tokens: module.tokens });
+      domain.tokens += module.tokens;
+    }
+  }
+
+  const definition = catalog.definitions.get(name) ?? { sources: [], extends: [] };
+  const profileDomains = [...domains.values()];
+  return {
+    name,
+    sources: definition.sources,
+    extends: definition.extends,
+    domains: profileDomains,
+    ruleCount: profileDomains.reduce((total, domain) => total + domain.rules.length, 0),
+    tokens: profileDomains.reduce((total, domain) => total + domain.tokens, 0)
+  };
+};
+
+// Lists every profile defined by the ruleset's sources, with the domains each
+// resolves to for this ruleset and its rule count and size. A profile that
+// cannot be composed is listed with its error.
+export const listProfiles = (
+  rulesetPath: string,
+  options: ProfileCatalogOptions = {}
+): ProfileSummary[] => {
+  const catalog = readProfileCatalog(rulesetPath, options);
+  return [...catalog.definitions].map(([name, definition]) => {
+    const summary = {
+      name,
+      sources: definition.sources,
+      selected: catalog.selected.includes(name)
+    };
+    try {
+      const description = describeCatalogProfile(catalog, name);
+      return {
+        ...summary,
+        domains: description.domains.map((domain) => domain.domain),
+        ruleCount: description.ruleCount,
+        tokens: description.tokens
+      };
+    } catch (error) {
+      return { ...summary, error: error instanceof Error ? error.message : String(error) };
+    }
+  });
+};
+
+// The names of the profiles the sources define, for a ruleset that does not
+// exist yet. Sources are resolved without a lockfile.
+export const listSourceProfileNames = (
+  rulesetDir: string,
+  sources: string[],
+  options: ProfileCatalogOptions = {}
+): string[] => {
+  const sourceContexts = resolveSourceContexts(rulesetDir, sources, {
+    refresh: options.refresh ?? false,
+    offline: options.offline ?? false
+  });
+  return [...readProfileDefinitions(sourceContexts).keys()];
+};
+
+// Describes profiles (by default the ruleset's own) down to their rule files.
+export const describeProfiles = (
+  rulesetPath: string,
+  profiles?: string[],
+  options: ProfileCatalogOptions = {}
+): ProfileDescription[] => {
+  const catalog = readProfileCatalog(rulesetPath, options);
+  return (profiles ?? catalog.selected).map((name) => describeCatalogProfile(catalog, name));
+};
@@ -1,16 +1,34 @@
 import fs from "node:fs";
 import path from "node:path";
-import { Ajv, type ErrorObject } from "ajv";
+import { evaluateDomainCondition, type DomainCondition } from "./conditions.js";
+import type { OverlayMode } from "./overlay.js";
+import { compileSchema, formatSchemaErrors } from "./utils.js";
 
 // A profile manifest lives at the root of a rules source (next to `rules/`)
 // as `agent-profiles.json`. It maps profile names to the rule domains that a
 // consuming repository selects by naming the profile in its ruleset.
+// `conditionalDomains` are added after `domains`, in declared order, when
+// their condition holds in the consuming repository.
 export type ProfileEntry = {
-  domains: string[];
+  // Parent profiles whose domains come first; they may be defined by any source.
+  extends?: string[];
+  // Optional when `extends` is given.
+  domains?: string[];
+  conditionalDomains?: ConditionalDomain[];
+};
+
+export type ConditionalDomain = {
+  domain: string;
+  when: DomainCondition;
 };
 
 export type ProfileManifest = {
   profiles: Record<string, ProfileEntry>;
+  // How this source layers over earlier sources; see overlay.ts.
+  overlay?: {
+    mode?: OverlayMode;
+    domains?: Record<string, OverlayMode>;
+  };
 };
 
 export const PROFILE_MANIFEST_NAME = "agent-profiles.json";
@@ -23,6 +41,18 @@ const profileManifestSchema = {
   additionalProperties: false,
   required: ["profiles"],
   properties: {
+    overlay: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        mode: { enum: ["append", "shadow"] },
+        domains: {
+          type: "object",
+          propertyNames: { pattern: DOMAIN_NAME_PATTERN },
+          additionalProperties: { enum: ["append", "shadow"] }
+        }
+      }
+    },
     profiles: {
       type: "object",
       propertyNames: {
@@ -31,8 +61,15 @@ const profileManifestSchema = {
       additionalProperties: {
         type: "object",
         additionalProperties: false,
-        required: ["domains"],
+        anyOf: [{ required: ["domains"] }, { required: ["extends"] }],
         properties: {
+          extends: {
+            type: "array",
+            items: {
+              type: "string",
+              minLength: 1
+            }
+          },
           domains: {
             type: "array",
             items: {
@@ -40,6 +77,38 @@ const profileManifestSchema = {
               minLength: 1,
               pattern: DOMAIN_NAME_PATTERN
             }
+          },
+          conditionalDomains: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              required: ["domain", "when"],
+              properties: {
+                domain: {
+                  type: "string",
+                  minLength: 1,
+                  pattern: DOMAIN_NAME_PATTERN
+                },
+                when: {
+                  type: "object",
+                  additionalProperties: false,
+                  minProperties: 1,
+                  properties: {
+                    files: {
+                      type: "array",
+                      minItems: 1,
+                      items: { type: "string", minLength: 1 }
+                    },
+                    dependencies: {
+                      type: "array",
+                      minItems: 1,
+                      items: { type: "string", minLength: 1 }
+                    }
+                  }
+                }
+              }
+            }
           }
         }
       }
@@ -47,21 +116,7 @@ const profileManifestSchema = {
   }
 } as const;
 
-const ajv = new Ajv({ allErrors: true, strict: false });
-const validateProfileManifestSchema = ajv.compile(profileManifestSchema);
-
-const formatManifestErrors = (errors: ErrorObject[] | null | undefined): string => {
-  if (!errors || errors.length === 0) {
-    return "Unknown profile manifest validation error";
-  }
-
-  return errors
-    .map((error) => {
-      const pathLabel = error.instancePath ? error.instancePath : "(root)";
-      return `${pathLabel} ${error.message ?? "is invalid"}`;
-    })
-    .join("; ");
-};
+const validateProfileManifestSchema = compileSchema(profileManifestSchema);
 
 // Reads and validates the profile manifest at a source root. Returns null when
 // the source does not define a manifest (a legitimate, skippable state).
@@ -73,7 +128,7 @@ export const readProfileManifest = (sourceRoot: string): ProfileManifest | null
 
   const parsed = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
   if (!validateProfileManifestSchema(parsed)) {
-    const message = formatManifestErrors(validateProfileManifestSchema.errors);
+    const message = formatSchemaErrors(validateProfileManifestSchema.errors, "profile manifest");
     throw new Error(`Invalid profile manifest in ${manifestPath}: ${message}`);
   }
 
@@ -83,30 +138,94 @@ export const readProfileManifest = (sourceRoot: string): ProfileManifest | null
 export type ProfileSelection = {
   // Index into the original ordered `sourceRoots` array.
   index: number;
+  // The profile whose manifest entry contributed these domains: the requested
+  // profile or one it extends.
+  profile: string;
   domains: string[];
+  // For domains included by `conditionalDomains`, the condition that matched.
+  conditions?: Record<string, DomainCondition>;
+};
+
+const selectEntryDomains = (
+  entry: ProfileEntry,
+  projectDir: string
+): { domains: string[]; conditions: Record<string, DomainCondition> } => {
+  const domains = [...(entry.domains ?? [])];
+  const conditions: Record<string, DomainCondition> = {};
+  for (const conditional of entry.conditionalDomains ?? []) {
+    if (
+      !domains.includes(conditional.domain) &&
+      evaluateDomainCondition(projectDir, conditional.when)
+    ) {
+      domains.push(conditional.domain);
+      conditions[conditional.domain] = conditional.when;
+    }
+  }
+  return { domains, conditions };
 };
 
 // Resolves which sources define the requested profile, preserving source order.
 // Sources without a manifest, or whose manifest lacks the profile, are skipped.
+// Conditional domains are evaluated against `projectDir` (the ruleset directory).
+//
+// A profile's `extends` parents are resolved first, across every source, then
+// its own domains follow. A domain from the same source is selected only once.
 export const resolveProfileSelections = (
   sourceRoots: string[],
-  profile: string
+  profile: string,
+  projectDir: string = process.cwd()
 ): ProfileSelection[] => {
+  const manifests = sourceRoots.map((sourceRoot) => readProfileManifest(sourceRoot));
   const selections: ProfileSelection[] = [];
+  const selected = new Set<string>();
+  const resolved = new Set<string>();
 
-  sourceRoots.forEach((sourceRoot, index) => {
-    const manifest = readProfileManifest(sourceRoot);
-    if (!manifest) {
-      return;
+  const resolve = (name: string, chain: string[]): void => {
+    if (chain.includes(name)) {
+      throw new Error(`Profile inheritance cycle: ${[...chain, name].join(" -> ")}`);
     }
-
-    const entry = manifest.profiles[profile];
-    if (!entry) {
+    // A parent shared by several profiles (a diamond) contributes only once.
+    if (resolved.has(name)) {
       return;
     }
+    resolved.add(name);
 
-    selections.push({ index, domains: entry.domains });
-  });
+    manifests.forEach((manifest, index) => {
+      const entry = manifest?.profiles[name];
+      if (!entry) {
+        return;
+      }
 
+      for (const parent of entry.extends ?? []) {
+        if (!manifests.some((candidate) => candidate?.profiles[parent])) {
+          throw new Error(
+            `Profile "${name}" extends "${parent}", which is not defined by any source.`
+          );
+        }
+        resolve(parent, [...chain, name]);
+      }
+
+      const entryDomains = selectEntryDomains(entry, projectDir);
+      const domains = entryDomains.domains.filter((domain) => {
+        const key = `${index}\0${domain}`;
+        if (selected.has(key)) {
+          return false;
+        }
+        selected.add(key);
+        return true;
+      });
+      const conditions = Object.fromEntries(
+        Object.entries(entryDomains.conditions).filter(([domain]) => domains.includes(domain))
+      );
+      selections.push({
+        index,
+        profile: name,
+        domains,
+        ...(Object.keys(conditions).length > 0 ? { conditions } : {})
+      });
+    });
+  };
+
+  resolve(profile, []);
   return selections;
 };
@@ -0,0 +1,109 @@
+import fs from "node:fs";
+import path from "node:path";
+import { expandFileGlob } from "./conditions.js";
+import type { TokenizerSpec } from "./tokenizers.js";
+import { compileSchema, formatSchemaErrors, readJsonFile } from "./utils.js";
+
+export const DEFAULT_RULESET_NAME = "agent-ruleset.json";
+export const DEFAULT_OUTPUT = "AGENTS.md";
+export const DEFAULT_CLAUDE_OUTPUT = "CLAUDE.md";
+const RULESET_SCHEMA_PATH = new URL("../agent-ruleset.schema.json", import.meta.url);
+
+const rulesetSchema = JSON.parse(fs.readFileSync(RULESET_SCHEMA_PATH, "utf8"));
+const validateRulesetSchema = compileSchema(rulesetSchema);
+
+export type ProjectRuleset = {
+  sources: string[];
+  // At least one of `profile` and `profiles` is required; see getRulesetProfiles.
+  profile?: string;
+  profiles?: string[];
+  global?: boolean;
+  output?: string;
+  claude?: {
+    enabled?: boolean;
+    output?: string;
+  };
+  // Cursor and Windsurf outputs are opt-in; see native-outputs.ts.
+  cursor?: {
+    enabled?: boolean;
+    outputDir?: string;
+  };
+  windsurf?: {
+    enabled?: boolean;
+    output?: string;
+  };
+  // Compose only between the managed-block markers of each instruction file.
+  managedBlock?: boolean;
+  // `totalTokens` and `moduleTokens` budget the global rules.
+  budget?: {
+    totalTokens?: number;
+    moduleTokens?: number;
+    repository?: {
+      totalTokens?: number;
+      moduleTokens?: number;
+    };
+    tokenizer?: TokenizerSpec;
+    // Keyed by target: `agents` (the shared AGENTS.md), `claude`, `cursor`,
+    // `windsurf` or a global target name.
+    tokenizers?: Record<string, TokenizerSpec>;
+    // Fail compose and check when a total budget is exceeded.
+    enforce?: boolean;
+  };
+  // Globs for package directories whose own rulesets are composed alongside
+  // this one. Only read from the root ruleset.
+  workspaces?: string[];
+};
+
+export const readProjectRuleset = (rulesetPath: string): ProjectRuleset => {
+  const parsed = readJsonFile(rulesetPath);
+  const isValid = validateRulesetSchema(parsed);
+  if (!isValid) {
+    const message = formatSchemaErrors(validateRulesetSchema.errors, "schema");
+    throw new Error(`Invalid ruleset schema in ${rulesetPath}: ${message}`);
+  }
+
+  const ruleset = parsed as ProjectRuleset;
+  if (ruleset.output === undefined) {
+    ruleset.output = DEFAULT_OUTPUT;
+  }
+  if (ruleset.claude === undefined) {
+    ruleset.claude = {};
+  }
+  if (ruleset.claude.enabled === undefined) {
+    ruleset.claude.enabled = true;
+  }
+  if (ruleset.claude.output === undefined) {
+    ruleset.claude.output = DEFAULT_CLAUDE_OUTPUT;
+  }
+  if (ruleset.global === undefined) {
+    ruleset.global = true;
+  }
+
+  return ruleset;
+};
+
+// The profiles a ruleset selects, in order: `profile` first, then `profiles`,
+// each named once.
+export const getRulesetProfiles = (ruleset: ProjectRuleset): string[] => [
+  ...new Set([...(ruleset.profile ? [ruleset.profile] : []), ...(ruleset.profiles ?? [])])
+];
+
+// The rulesets of the packages matched by a root ruleset's `workspaces` globs.
+// Matched directories without a ruleset file are skipped.
+export const resolveWorkspaceRulesets = (
+  rulesetPath: string,
+  ruleset: ProjectRuleset,
+  rulesetName: string = DEFAULT_RULESET_NAME
+): string[] => {
+  const rulesetDir = path.dirname(rulesetPath);
+  const rulesetFiles = (ruleset.workspaces ?? [])
+    .flatMap((pattern) => expandFileGlob(rulesetDir, pattern))
+    .map((packageDir) => path.join(packageDir, rulesetName))
+    .filter(
+      (filePath) =>
+        path.resolve(filePath) !== path.resolve(rulesetPath) &&
+        fs.existsSync(filePath) &&
+        fs.statSync(filePath).isFile()
+    );
+  return [...new Set(rulesetFiles)].sort();
+};
@@ -0,0 +1,720 @@
+import fs from "node:fs";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { prepareGitFallbackDestination } from "./git-fallback.js";
+import {
+  computeSourceContentHash,
+  LOCKFILE_VERSION,
+  type LockedSource,
+  type Lockfile
+} from "./lockfile.js";
+import {
+  ensureDir,
+  ensureDirectoryExists,
+  getAgentsmdPath,
+  isExistingDirectory,
+  isNonEmptyString,
+  normalizePath,
+  resolveFrom
+} from "./utils.js";
+
+export const getCacheRoot = (): string => getAgentsmdPath("cache");
+export const getWorkspaceRoot = (): string => getAgentsmdPath("workspace");
+// The provenance ref of a remote source read from its edit-rules workspace.
+export const WORKSPACE_REF = "workspace";
+
+export const clearCache = (): void => {
+  const cacheRoot = getCacheRoot();
+  if (fs.existsSync(cacheRoot)) {
+    fs.rmSync(cacheRoot, { recursive: true, force: true });
+  }
+};
+
+// A parsed remote (git) source. `label` is the source without its ref or
+// credentials and is used for rule provenance; only `url` keeps credentials.
+// `cacheKey` is the path under the cache and workspace roots (`<owner>/<repo>`
+// for GitHub, `gitlab.com/<path...>` for GitLab, `git/<host>/<path...>` for URLs).
+// `subpath` is the optional `#dir` fragment naming the directory inside the
+// repository that holds `rules/` and `agent-profiles.json`.
+export type RemoteSource = {
+  kind: "github" | "gitlab" | "git";
+  label: string;
+  cacheKey: string[];
+  ref: string;
+  url: string;
+  subpath?: string;
+};
+
+const GITLAB_HOST = "gitlab.com";
+const URL_SOURCE_PREFIXES = ["git+https://", "git+ssh://", "file://"];
+
+const sanitizeCacheSegment = (value: string): string => value.replace(/[\\/]/gu, "__");
+const looksLikeCommitHash = (value: string): boolean => /^[a-f0-9]{7,40}$/iu.test(value);
+
+export const execGit = (args: string[], cwd?: string): string =>
+  execFileSync("git", args, { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+
+const sanitizeCacheKeySegment = (value: string): string => value.replace(/[\\/:]/gu, "_");
+
+// Drops credentials from a URL's user info: the password, and for https the
+// user name too, since that is often a token. The `git@` of ssh URLs stays.
+export const stripUrlCredentials = (url: string): string =>
+  url.replace(/^([a-z+]+:\/\/)([^/@]*)@/u, (_match, scheme: string, userInfo: string) => {
+    const user = userInfo.split(":")[0];
+    return scheme.endsWith("https://") || user === "" ? scheme : `${scheme}${user}@`;
+  });
+
+// Splits `<location>@<ref>` at the first `@` after `searchFrom`, so user info
+// such as `git@host` in an ssh URL is not mistaken for the ref separator.
+const splitRef = (value: string, searchFrom: number): { location: string; ref: string } => {
+  const atIndex = value.indexOf("@", searchFrom);
+  if (atIndex === -1) {
+    return { location: value, ref: "latest" };
+  }
+
+  const ref = value.slice(atIndex + 1);
+  return { location: value.slice(0, atIndex), ref: isNonEmptyString(ref) ? ref : "latest" };
+};
+
+export const isRemoteSource = (source: string): boolean => {
+  const trimmed = source.trim();
+  return (
+    trimmed.startsWith("github:") ||
+    trimmed.startsWith("gitlab:") ||
+    URL_SOURCE_PREFIXES.some((prefix) => trimmed.startsWith(prefix))
+  );
+};
+
+const parseShorthandSource = (source: string, kind: "github" | "gitlab"): RemoteSource => {
+  const trimmed = source.trim();
+  const { location, ref } = splitRef(trimmed, kind.length + 1);
+  const segments = location.slice(kind.length + 1).split("/");
+
+  if (kind === "github") {
+    const [owner, repo] = segments;
+    if (!isNonEmptyString(owner) || !isNonEmptyString(repo)) {
+      throw new Error(`Invalid GitHub source (expected github:owner/repo@ref): ${source}`);
+    }
+    return {
+      kind,
+      label: `github:${owner}/${repo}`,
+      cacheKey: [owner, repo],
+      ref,
+      url: `https://github.com/${owner}/${repo}.git`
+    };
+  }
+
+  if (segments.length < 2 || !segments.every(isNonEmptyString)) {
+    throw new Error(`Invalid GitLab source (expected gitlab:group/repo@ref): ${source}`);
+  }
+  const repoPath = segments.join("/");
+  return {
+    kind,
+    label: `gitlab:${repoPath}`,
+    cacheKey: [GITLAB_HOST, ...segments],
+    ref,
+    url: `https://${GITLAB_HOST}/${repoPath}.git`
+  };
+};
+
+const parseUrlSource = (source: string): RemoteSource => {
+  const trimmed = source.trim();
+  const schemeEnd = trimmed.indexOf("://") + "://".length;
+  // The ref separator is searched for in the path only; file URLs have an
+  // empty authority, so their path starts right after the scheme.
+  const pathStart = trimmed.indexOf("/", schemeEnd);
+  if (pathStart === -1) {
+    throw new Error(`Invalid git source (expected <scheme>://host/path@ref): ${source}`);
+  }
+
+  const { location, ref } = splitRef(trimmed, pathStart);
+  const url = location.startsWith("git+") ? location.slice("git+".length) : location;
+  const authority = trimmed.slice(schemeEnd, pathStart);
+  const host = authority.slice(authority.lastIndexOf("@") + 1);
+  const pathSegments = location
+    .slice(pathStart)
+    .split("/")
+    .filter(isNonEmptyString)
+    .map((segment, index, all) =>
+      index === all.length - 1 ? segment.replace(/\.git$/u, "") : segment
+    );
+
+  if (pathSegments.length === 0) {
+    throw new Error(`Invalid git source (missing repository path): ${source}`);
+  }
+
+  return {
+    kind: "git",
+    label: stripUrlCredentials(location),
+    // The `git` prefix keeps URL sources apart from `github:<owner>/<repo>`.
+    cacheKey: ["git", host || "file", ...pathSegments].map(sanitizeCacheKeySegment),
+    ref,
+    url
+  };
+};
+
+// Splits off a `#sub/dir` fragment. The subpath must stay inside the
+// repository, so absolute paths and `..` segments are rejected.
+const splitSubpath = (source: string): { location: string; subpath?: string } => {
+  const hashIndex = source.indexOf("#");
+  if (hashIndex === -1) {
+    return { location: source };
+  }
+
+  const segments = source
+    .slice(hashIndex + 1)
+    .replace(/\\/gu, "/")
+    .split("/")
+    .filter((segment) => segment !== "" && segment !== ".");
+  if (segments.length === 0 || segments.includes("..")) {
+    throw new Error(`Invalid source subpath (expected #relative/dir): ${source}`);
+  }
+
+  return { location: source.slice(0, hashIndex), subpath: segments.join("/") };
+};
+
+const parseRemoteLocation = (location: string): RemoteSource => {
+  if (location.startsWith("github:")) {
+    return parseShorthandSource(location, "github");
+  }
+  if (location.startsWith("gitlab:")) {
+    return parseShorthandSource(location, "gitlab");
+  }
+  if (URL_SOURCE_PREFIXES.some((prefix) => location.startsWith(prefix))) {
+    return parseUrlSource(location);
+  }
+
+  throw new Error(`Unsupported source: ${location}`);
+};
+
+// Parses any supported remote source: `github:owner/repo@ref`,
+// `gitlab:group/sub/repo@ref`, `git+https://…@ref`, `git+ssh://…@ref` or
+// `file:///path/to/repo.git@ref`, each optionally followed by `#sub/dir`. A
+// missing ref means `latest`.
+export const parseRemoteSource = (source: string): RemoteSource => {
+  const { location, subpath } = splitSubpath(source.trim());
+  const parsed = parseRemoteLocation(location);
+  return subpath ? { ...parsed, subpath } : parsed;
+};
+
+// The same remote source pinned to another ref, keeping any subpath.
+export const withSourceRef = (source: string, ref: string): string => {
+  const parsed = parseRemoteSource(source);
+  // The label has no credentials, so URL sources are rebuilt from `url`.
+  const location =
+    parsed.kind !== "git"
+      ? parsed.label
+      : `${parsed.label.startsWith("git+") ? "git+" : ""}${parsed.url}`;
+  return `${location}@${ref}${parsed.subpath ? `#${parsed.subpath}` : ""}`;
+};
+
+// Joins a source's subpath (if any) onto a checkout or workspace root.
+export const resolveSourceSubpath = (repoRoot: string, parsed: RemoteSource): string =>
+  parsed.subpath ? path.join(repoRoot, ...parsed.subpath.split("/")) : repoRoot;
+
+const parseSemver = (tag: string): number[] | null => {
+  const cleaned = tag.startsWith("v") ? tag.slice(1) : tag;
+  const parts = cleaned.split(".");
+  if (parts.length < 2 || parts.length > 3) {
+    return null;
+  }
+
+  const numbers = parts.map((part) => Number(part));
+  if (numbers.some((value) => Number.isNaN(value))) {
+    return null;
+  }
+
+  return numbers;
+};
+
+const compareSemver = (a: number[], b: number[]): number => {
+  const maxLength = Math.max(a.length, b.length);
+  for (let i = 0; i < maxLength; i += 1) {
+    const left = a[i] ?? 0;
+    const right = b[i] ?? 0;
+    if (left !== right) {
+      return left - right;
+    }
+  }
+  return 0;
+};
+
+const resolveLatestTag = (repoUrl: string): { tag?: string; hash?: string } => {
+  const raw = execGit(["ls-remote", "--tags", "--refs", repoUrl]);
+  if (!raw) {
+    return {};
+  }
+
+  const candidates = raw
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, ref] = line.split(/\s+/u);
+      const tag = ref?.replace("refs/tags/", "");
+      if (!hash || !tag) {
+        return null;
+      }
+      const semver = parseSemver(tag);
+      if (!semver) {
+        return null;
+      }
+      return { hash, tag, semver };
+    })
+    .filter((item): item is { hash: string; tag: string; semver: number[] } => Boolean(item));
+
+  if (candidates.length === 0) {
+    return {};
+  }
+
+  candidates.sort((a, b) => compareSemver(a.semver, b.semver));
+  const latest = candidates[candidates.length - 1];
+  return { tag: latest.tag, hash: latest.hash };
+};
+
+const resolveHeadHash = (repoUrl: string): string => {
+  const raw = execGit(["ls-remote", repoUrl, "HEAD"]);
+  const [hash] = raw.split(/\s+/u);
+  if (!hash) {
+    throw new Error(`Unable to resolve HEAD for ${repoUrl}`);
+  }
+  return hash;
+};
+
+const resolveRefHash = (repoUrl: string, ref: string): string | null => {
+  const raw = execGit(["ls-remote", repoUrl, ref, `refs/tags/${ref}`, `refs/heads/${ref}`]);
+  if (!raw) {
+    return null;
+  }
+  const [hash] = raw.split(/\s+/u);
+  return hash ?? null;
+};
+
+const cloneAtRef = (repoUrl: string, ref: string, destination: string): void => {
+  execGit(["clone", "--depth", "1", "--branch", ref, repoUrl, destination]);
+};
+
+const fetchCommit = (repoUrl: string, commitHash: string, destination: string): void => {
+  prepareGitFallbackDestination(destination);
+  execGit(["init"], destination);
+  execGit(["remote", "add", "origin", repoUrl], destination);
+  execGit(["fetch", "--depth", "1", "origin", commitHash], destination);
+  execGit(["checkout", "FETCH_HEAD"], destination);
+};
+
+// Reads the commit checked out in a cached source. Guards on `.git` so a
+// corrupt cache never resolves to an enclosing repository's HEAD.
+const readCachedCommit = (cacheDir: string): string | null => {
+  if (!fs.existsSync(path.join(cacheDir, ".git"))) {
+    return null;
+  }
+
+  try {
+    return execGit(["rev-parse", "HEAD"], cacheDir);
+  } catch {
+    return null;
+  }
+};
+
+export type ResolvedRulesRoot = {
+  rulesRoot: string;
+  resolvedRef?: string;
+  lock?: LockedSource;
+};
+
+// Remote sources already resolved in this run, keyed by source and locked
+// commit. Rulesets that share a cache resolve (and refresh) each source once.
+export type SourceCache = Map<string, ResolvedRulesRoot>;
+
+export type SourceResolveOptions = {
+  refresh: boolean;
+  offline: boolean;
+  cache?: SourceCache;
+  // Read remote sources from their edit-rules workspace when one exists, so
+  // unpublished rule edits are composed (used by watch).
+  preferWorkspace?: boolean;
+};
+
+// Picks the highest semver tag already cached for a repository, mirroring
+// `resolveLatestTag` without a network lookup.
+const findLatestCachedTag = (repoCacheDir: string): string | null => {
+  if (!isExistingDirectory(repoCacheDir)) {
+    return null;
+  }
+
+  const candidates = fs
+    .readdirSync(repoCacheDir)
+    .map((name) => ({ name, semver: parseSemver(name) }))
+    .filter((item): item is { name: string; semver: number[] } => item.semver !== null)
+    .sort((a, b) => compareSemver(a.semver, b.semver));
+
+  return candidates.length > 0 ? candidates[candidates.length - 1].name : null;
+};
+
+// A source without tags is cached under its HEAD commit; the most recently
+// fetched one is the newest.
+const findLatestCachedCommit = (repoCacheDir: string): string | null => {
+  if (!isExistingDirectory(repoCacheDir)) {
+    return null;
+  }
+
+  const candidates = fs
+    .readdirSync(repoCacheDir)
+    .filter((name) => looksLikeCommitHash(name))
+    .map((name) => ({ name, mtimeMs: fs.statSync(path.join(repoCacheDir, name)).mtimeMs }))
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  return candidates.length > 0 ? candidates[candidates.length - 1].name : null;
+};
+
+// Resolves a source's ref and commit purely from the cache. A locked entry is
+// reused as-is; otherwise `latest` maps to the highest cached semver tag, or
+// for a source without tags to the newest cached HEAD commit.
+const resolveOfflineRef = (
+  source: string,
+  parsed: RemoteSource,
+  locked?: LockedSource
+): { resolvedRef: string; resolvedHash?: string } => {
+  if (locked) {
+    return { resolvedRef: locked.ref, resolvedHash: locked.commit };
+  }
+
+  if (parsed.ref !== "latest") {
+    return { resolvedRef: parsed.ref };
+  }
+
+  const repoCacheDir = path.join(getCacheRoot(), ...parsed.cacheKey);
+  const latestTag = findLatestCachedTag(repoCacheDir);
+  if (latestTag) {
+    return { resolvedRef: latestTag };
+  }
+  const latestCommit = findLatestCachedCommit(repoCacheDir);
+  if (latestCommit) {
+    return { resolvedRef: "HEAD", resolvedHash: latestCommit };
+  }
+  throw new Error(
+    `Offline mode: no cached release tag or commit for ${source} under ` +
+      `${normalizePath(repoCacheDir)}. ` +
+      `Run compose-agentsmd once with network access to populate the cache.`
+  );
+};
+
+// Resolves a remote source to its cached rules root. When a locked entry is
+// given, its ref and commit are reused and no `ls-remote` lookup is made. In
+// offline mode the cache must already hold the needed ref.
+const resolveRemoteRulesRoot = (
+  source: string,
+  options: SourceResolveOptions,
+  locked?: LockedSource
+): { rulesRoot: string; resolvedRef: string; lock: LockedSource } => {
+  const parsed = parseRemoteSource(source);
+  let resolvedRef: string;
+  let resolvedHash: string | null | undefined;
+
+  if (options.offline) {
+    ({ resolvedRef, resolvedHash } = resolveOfflineRef(source, parsed, locked));
+  } else if (locked) {
+    resolvedRef = locked.ref;
+    resolvedHash = locked.commit;
+  } else {
+    const resolved = parsed.ref === "latest" ? resolveLatestTag(parsed.url) : null;
+    resolvedRef = resolved?.tag ?? (parsed.ref === "latest" ? "HEAD" : parsed.ref);
+    resolvedHash =
+      resolved?.hash ??
+      (resolvedRef === "HEAD"
+        ? resolveHeadHash(parsed.url)
+        : resolveRefHash(parsed.url, resolvedRef));
+  }
+
+  if (!options.offline && !resolvedHash && !looksLikeCommitHash(resolvedRef)) {
+    throw new Error(`Unable to resolve ref ${resolvedRef} for ${parsed.label}`);
+  }
+
+  const cacheSegment =
+    resolvedRef === "HEAD"
+      ? sanitizeCacheSegment(resolvedHash ?? resolvedRef)
+      : sanitizeCacheSegment(resolvedRef);
+  const cacheDir = path.join(getCacheRoot(), ...parsed.cacheKey, cacheSegment);
+
+  if (options.offline) {
+    if (!fs.existsSync(cacheDir)) {
+      throw new Error(
+        `Offline mode: ${source} is not cached for ref ${resolvedRef} ` +
+          `(expected ${normalizePath(cacheDir)}). ` +
+          `Run compose-agentsmd once with network access to populate the cache.`
+      );
+    }
+    if (locked && readCachedCommit(cacheDir) !== locked.commit) {
+      throw new Error(
+        `Offline mode: the cache for ${source} at ${normalizePath(cacheDir)} is not at the ` +
+          `locked commit ${locked.commit}. ` +
+          `Run compose-agentsmd once with network access to re-fetch it.`
+      );
+    }
+  }
+
+  if (options.refresh && fs.existsSync(cacheDir)) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+
+  if (!fs.existsSync(cacheDir)) {
+    ensureDir(path.dirname(cacheDir));
+    try {
+      cloneAtRef(parsed.url, resolvedRef, cacheDir);
+    } catch (error) {
+      if (resolvedHash && looksLikeCommitHash(resolvedHash)) {
+        fetchCommit(parsed.url, resolvedHash, cacheDir);
+      } else if (looksLikeCommitHash(resolvedRef)) {
+        fetchCommit(parsed.url, resolvedRef, cacheDir);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  // A branch ref may have moved since the lock was written; pin the cache back
+  // to the locked commit.
+  if (locked && readCachedCommit(cacheDir) !== locked.commit) {
+    fetchCommit(parsed.url, locked.commit, cacheDir);
+  }
+
+  const commit = readCachedCommit(cacheDir) ?? resolvedHash;
+  if (!commit || !looksLikeCommitHash(commit)) {
+    throw new Error(
+      `Unable to determine the cached commit for ${source} in ${normalizePath(cacheDir)}. ` +
+        `Re-run with --refresh to re-fetch it.`
+    );
+  }
+
+  const sourceRoot = resolveSourceSubpath(cacheDir, parsed);
+  ensureDirectoryExists(sourceRoot);
+
+  const contentHash = computeSourceContentHash(sourceRoot);
+  if (locked && contentHash !== locked.contentHash) {
+    throw new Error(
+      `Cached content for ${source} at ${locked.commit} does not match the lockfile ` +
+        `(expected ${locked.contentHash}, found ${contentHash}). ` +
+        `Re-run with --refresh to re-fetch it, or run compose-agentsmd update to re-lock.`
+    );
+  }
+
+  const rulesRoot = path.join(sourceRoot, "rules");
+  ensureDirectoryExists(rulesRoot);
+
+  return {
+    rulesRoot,
+    resolvedRef,
+    lock: { url: stripUrlCredentials(parsed.url), ref: resolvedRef, commit, contentHash }
+  };
+};
+
+export const resolveLocalRulesRoot = (rulesetDir: string, source: string): string => {
+  const resolvedSource = resolveFrom(rulesetDir, source);
+  if (!fs.existsSync(resolvedSource)) {
+    throw new Error(`Missing source path: ${resolvedSource}`);
+  }
+
+  const candidate =
+    path.basename(resolvedSource) === "rules" ? resolvedSource : path.join(resolvedSource, "rules");
+  ensureDirectoryExists(candidate);
+  return candidate;
+};
+
+export const resolveWorkspaceRoot = (rulesetDir: string, source: string): string => {
+  if (isRemoteSource(source)) {
+    const parsed = parseRemoteSource(source);
+    return path.join(getWorkspaceRoot(), ...parsed.cacheKey);
+  }
+
+  return resolveFrom(rulesetDir, source);
+};
+
+export const ensureWorkspaceForRemoteSource = (source: string): string => {
+  const parsed = parseRemoteSource(source);
+  const workspaceRoot = path.join(getWorkspaceRoot(), ...parsed.cacheKey);
+
+  if (!fs.existsSync(workspaceRoot)) {
+    ensureDir(path.dirname(workspaceRoot));
+    execGit(["clone", parsed.url, workspaceRoot]);
+  }
+
+  if (parsed.ref !== "latest") {
+    execGit(["fetch", "--all"], workspaceRoot);
+    execGit(["checkout", parsed.ref], workspaceRoot);
+  }
+
+  return workspaceRoot;
+};
+
+// Cached checkouts of a remote source (one per ref) without a readable
+// commit, such as partial clones left behind by an interrupted clone.
+export const findIncompleteCacheEntries = (source: string): string[] => {
+  const repoCacheDir = path.join(getCacheRoot(), ...parseRemoteSource(source).cacheKey);
+  if (!isExistingDirectory(repoCacheDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(repoCacheDir)
+    .map((name) => path.join(repoCacheDir, name))
+    .filter((cacheDir) => isExistingDirectory(cacheDir) && readCachedCommit(cacheDir) === null)
+    .sort();
+};
+
+// The git state of an edit-rules workspace. `ahead` and `behind` count commits
+// against the upstream branch as last fetched; both are absent without one.
+export type WorkspaceState = {
+  path: string;
+  dirty: boolean;
+  detached: boolean;
+  ahead?: number;
+  behind?: number;
+};
+
+// Returns null when the remote source has no workspace yet.
+export const readWorkspaceState = (source: string): WorkspaceState | null => {
+  const workspaceRoot = path.join(getWorkspaceRoot(), ...parseRemoteSource(source).cacheKey);
+  if (!isExistingDirectory(workspaceRoot)) {
+    return null;
+  }
+
+  const state: WorkspaceState = {
+    path: workspaceRoot,
+    dirty: execGit(["status", "--porcelain"], workspaceRoot) !== "",
+    detached: execGit(["rev-parse", "--abbrev-ref", "HEAD"], workspaceRoot) === "HEAD"
+  };
+  try {
+    const [behind, ahead] = execGit(
+      ["rev-list", "--left-right", "--count", "@{upstream}...HEAD"],
+      workspaceRoot
+    )
+      .split(/\s+/u)
+      .map(Number);
+    return { ...state, ahead, behind };
+  } catch {
+    return state;
+  }
+};
+
+export const applyRulesFromWorkspace = (source: string): void => {
+  if (!isRemoteSource(source)) {
+    return;
+  }
+
+  const workspaceRoot = ensureWorkspaceForRemoteSource(source);
+  const status = execGit(["status", "--porcelain"], workspaceRoot);
+  if (status) {
+    throw new Error(`Workspace has uncommitted changes: ${workspaceRoot}`);
+  }
+
+  const branch = execGit(["rev-parse", "--abbrev-ref", "HEAD"], workspaceRoot);
+  if (branch === "HEAD") {
+    throw new Error(`Workspace is in detached HEAD state: ${workspaceRoot}`);
+  }
+
+  execGit(["push"], workspaceRoot);
+};
+
+// A resolved rules source: its on-disk rules root, the source root (which
+// holds `agent-profiles.json`; a subdirectory of the checkout for `#sub/dir`
+// sources), the ref label used for rule provenance, and,
+// for remote sources, the lock entry it resolved to.
+export type SourceContext = {
+  source: string;
+  rulesRoot: string;
+  sourceRoot: string;
+  resolvedRef?: string;
+  lock?: LockedSource;
+};
+
+export const resolveRulesRoot = (
+  rulesetDir: string,
+  source: string,
+  options: SourceResolveOptions,
+  locked?: LockedSource
+): ResolvedRulesRoot => {
+  if (isRemoteSource(source) && options.preferWorkspace) {
+    const workspaceRoot = resolveWorkspaceRoot(rulesetDir, source);
+    if (isExistingDirectory(workspaceRoot)) {
+      const rulesRoot = path.join(
+        resolveSourceSubpath(workspaceRoot, parseRemoteSource(source)),
+        "rules"
+      );
+      ensureDirectoryExists(rulesRoot);
+      // Workspace edits are unpublished, so the source keeps its existing lock,
+      // or locks what is published when it has none yet.
+      const lock =
+        locked ?? resolveRulesRoot(rulesetDir, source, { ...options, preferWorkspace: false }).lock;
+      return { rulesRoot, resolvedRef: WORKSPACE_REF, lock };
+    }
+  }
+
+  if (isRemoteSource(source)) {
+    const key = `${source}\n${locked?.commit ?? ""}`;
+    const cached = options.cache?.get(key);
+    if (cached) {
+      return cached;
+    }
+    const resolved = resolveRemoteRulesRoot(source, options, locked);
+    options.cache?.set(key, resolved);
+    return resolved;
+  }
+
+  return { rulesRoot: resolveLocalRulesRoot(rulesetDir, source) };
+};
+
+export const resolveSourceContexts = (
+  rulesetDir: string,
+  sources: string[],
+  options: SourceResolveOptions,
+  lockfile: Lockfile | null = null
+): SourceContext[] =>
+  sources.map((source) => {
+    const { rulesRoot, resolvedRef, lock } = resolveRulesRoot(
+      rulesetDir,
+      source,
+      options,
+      lockfile?.sources[source]
+    );
+    return {
+      source,
+      rulesRoot,
+      sourceRoot: path.dirname(rulesRoot),
+      resolvedRef,
+      lock
+    };
+  });
+
+// Builds the lockfile for the resolved sources. Local sources are not locked.
+export const buildLockfile = (sourceContexts: SourceContext[]): Lockfile => {
+  const sources: Record<string, LockedSource> = {};
+  for (const context of sourceContexts) {
+    if (context.lock) {
+      sources[context.source] = context.lock;
+    }
+  }
+  return { lockfileVersion: LOCKFILE_VERSION, sources };
+};
+
+// A rule's provenance line: the source label, ref and repository path for
+// remote sources, or the path relative to the ruleset for local ones. Without
+// the ref it identifies the same rule file across versions of its source.
+export const formatRuleSourcePath = (
+  rulePath: string,
+  context: SourceContext,
+  rulesetDir: string,
+  includeRef = true
+): string => {
+  const isFromSource = rulePath.startsWith(context.rulesRoot);
+
+  if (isFromSource && isRemoteSource(context.source)) {
+    const parsed = parseRemoteSource(context.source);
+    const relativePath = normalizePath(path.relative(context.sourceRoot, rulePath));
+    const refToUse = context.resolvedRef ?? parsed.ref;
+    // Paths are relative to the repository root, so a subpath stays visible.
+    const repoPath = parsed.subpath ? `${parsed.subpath}/${relativePath}` : relativePath;
+    return includeRef ? `${parsed.label}@${refToUse}/${repoPath}` : `${parsed.label}/${repoPath}`;
+  }
+
+  return normalizePath(path.relative(rulesetDir, rulePath));
+};
@@ -0,0 +1,54 @@
+import { createRequire } from "node:module";
+import { countTokens as countO200kTokens } from "gpt-tokenizer";
+
+// The gpt-tokenizer encodings a ruleset can budget with.
+export const TOKENIZER_ENCODINGS = [
+  "cl100k_base",
+  "o200k_base",
+  "o200k_harmony",
+  "p50k_base",
+  "p50k_edit",
+  "r50k_base"
+] as const;
+
+export type TokenizerEncoding = (typeof TOKENIZER_ENCODINGS)[number];
+
+// An encoding name, or an approximation for models without a published
+// tokenizer.
+export type TokenizerSpec = TokenizerEncoding | { charsPerToken: number };
+
+export const DEFAULT_TOKENIZER: TokenizerEncoding = "o200k_base";
+
+type TokenCounter = (content: string) => number;
+
+const requireEncoding = createRequire(import.meta.url);
+const encodingCounters = new Map<TokenizerEncoding, TokenCounter>([
+  [DEFAULT_TOKENIZER, countO200kTokens]
+]);
+
+// Each encoding's rank table is large, so the others load on first use.
+const getEncodingCounter = (encoding: TokenizerEncoding): TokenCounter => {
+  let counter = encodingCounters.get(encoding);
+  if (!counter) {
+    ({ countTokens: counter } = requireEncoding(`gpt-tokenizer/encoding/${encoding}`) as {
+      countTokens: TokenCounter;
+    });
+    encodingCounters.set(encoding, counter);
+  }
+  return counter;
+};
+
+// The tokenizer's name in budget reports, such as `o200k_base` or
+// `~3.5 chars/token`.
+export const describeTokenizer = (tokenizer: TokenizerSpec): string =>
+  typeof tokenizer === "string" ? tokenizer : `~${tokenizer.charsPerToken} chars/token`;
+
+export const countTokensWith = (tokenizer: TokenizerSpec, content: string): number => {
+  if (content.length === 0) {
+    return 0;
+  }
+  if (typeof tokenizer === "string") {
+    return getEncodingCounter(tokenizer)(content);
+  }
+  return Math.ceil([...content].length / tokenizer.charsPerToken);
+};
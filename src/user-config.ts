@@ -0,0 +1,150 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { compileSchema, formatSchemaErrors, getAgentsmdPath, readJsonFile } from "./utils.js";
+
+// The user config (`~/.agentsmd/config.json`) controls which user-global
+// instruction files compose writes. It is optional: without it, every built-in
+// target is written at its default location.
+export const getUserConfigPath = (): string => getAgentsmdPath("config.json");
+
+export type UserTargetConfig = {
+  enabled?: boolean;
+  // Replaces the target's whole file path.
+  path?: string;
+  // Replaces the target's base directory (like CODEX_HOME); the file name stays.
+  baseDir?: string;
+};
+
+export type UserConfig = {
+  targets?: Record<string, UserTargetConfig>;
+  // What compose does before overwriting a file it did not write: back it up
+  // under ~/.agentsmd/backups (the default) or refuse to compose.
+  overwrite?: "backup" | "refuse";
+};
+
+// A user-global output target: a built-in agent or one added in the user config.
+export type GlobalTarget = {
+  name: string;
+  path: string;
+};
+
+type BuiltinTarget = {
+  name: string;
+  baseDir: string[];
+  fileName: string;
+};
+
+// Built-in targets in write order, relative to the home directory.
+const BUILTIN_TARGETS: BuiltinTarget[] = [
+  { name: "codex", baseDir: [".codex"], fileName: "AGENTS.md" },
+  { name: "opencode", baseDir: [".config", "opencode"], fileName: "AGENTS.md" },
+  { name: "claude", baseDir: [".claude"], fileName: "CLAUDE.md" },
+  { name: "gemini", baseDir: [".gemini"], fileName: "GEMINI.md" },
+  { name: "copilot", baseDir: [".copilot"], fileName: "copilot-instructions.md" }
+];
+
+export const BUILTIN_TARGET_NAMES = BUILTIN_TARGETS.map((target) => target.name);
+
+const userConfigSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "compose-agentsmd user config",
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    overwrite: { enum: ["backup", "refuse"] },
+    targets: {
+      type: "object",
+      propertyNames: { pattern: "^[A-Za-z0-9][A-Za-z0-9._-]*$" },
+      additionalProperties: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          enabled: { type: "boolean" },
+          path: { type: "string", minLength: 1 },
+          baseDir: { type: "string", minLength: 1 }
+        }
+      }
+    }
+  }
+} as const;
+
+const validateUserConfigSchema = compileSchema(userConfigSchema);
+
+// Reads and validates the user config. Returns an empty config when the file
+// does not exist. Accepts JSON with comments, like rulesets.
+export const readUserConfig = (configPath: string = getUserConfigPath()): UserConfig => {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  const parsed = readJsonFile(configPath);
+  if (!validateUserConfigSchema(parsed)) {
+    const message = formatSchemaErrors(validateUserConfigSchema.errors, "user config");
+    throw new Error(`Invalid user config ${configPath}: ${message}`);
+  }
+
+  return parsed as UserConfig;
+};
+
+// Expands `~` and resolves relative paths against the config file directory.
+const resolveConfigPath = (configDir: string, value: string): string => {
+  if (value === "~" || value.startsWith("~/") || value.startsWith("~\\")) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+
+  return path.resolve(configDir, value);
+};
+
+// Resolves the user-global targets compose writes to: built-in targets that
+// are not disabled (with any path or base directory override applied), then
+// custom targets in config order. Targets that resolve to the same file are
+// written once, under the first name.
+export const resolveGlobalTargets = (
+  config: UserConfig,
+  configPath: string = getUserConfigPath()
+): GlobalTarget[] => {
+  const configDir = path.dirname(configPath);
+  const overrides = config.targets ?? {};
+  const targets: GlobalTarget[] = [];
+
+  for (const builtin of BUILTIN_TARGETS) {
+    const override = overrides[builtin.name] ?? {};
+    if (override.enabled === false) {
+      continue;
+    }
+
+    let targetPath: string;
+    if (override.path) {
+      targetPath = resolveConfigPath(configDir, override.path);
+    } else if (override.baseDir) {
+      targetPath = path.join(resolveConfigPath(configDir, override.baseDir), builtin.fileName);
+    } else {
+      targetPath = path.join(os.homedir(), ...builtin.baseDir, builtin.fileName);
+    }
+    targets.push({ name: builtin.name, path: targetPath });
+  }
+
+  for (const [name, override] of Object.entries(overrides)) {
+    if (BUILTIN_TARGET_NAMES.includes(name) || override.enabled === false) {
+      continue;
+    }
+    if (!override.path) {
+      throw new Error(
+        `Invalid user config ${configPath}: custom target "${name}" needs a "path" ` +
+          `(built-in targets are ${BUILTIN_TARGET_NAMES.join(", ")})`
+      );
+    }
+    targets.push({ name, path: resolveConfigPath(configDir, override.path) });
+  }
+
+  const seen = new Set<string>();
+  return targets.filter((target) => {
+    const key = path.resolve(target.path);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
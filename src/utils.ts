@@ -0,0 +1,174 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Ajv, type ErrorObject, type ValidateFunction } from "ajv";
+
+export const normalizeTrailingWhitespace = (content: string): string =>
+  content.replace(/\s+$/u, "");
+export const normalizePath = (filePath: string): string => filePath.replace(/\\/g, "/");
+export const isNonEmptyString = (value: unknown): value is string =>
+  typeof value === "string" && value.trim() !== "";
+
+export const resolveFrom = (baseDir: string, targetPath: string): string => {
+  if (path.isAbsolute(targetPath)) {
+    return targetPath;
+  }
+
+  return path.resolve(baseDir, targetPath);
+};
+
+export const isSubPath = (baseDir: string, targetPath: string): boolean => {
+  const relativePath = path.relative(path.resolve(baseDir), path.resolve(targetPath));
+  return relativePath === "" || (!relativePath.startsWith("..") && !path.isAbsolute(relativePath));
+};
+
+// A path under `~/.agentsmd`. The home directory is read on each call, so the
+// state, cache and config paths follow it.
+export const getAgentsmdPath = (...segments: string[]): string =>
+  path.join(os.homedir(), ".agentsmd", ...segments);
+
+export const toDisplayPath = (rootDir: string, filePath: string): string => {
+  if (isSubPath(rootDir, filePath)) {
+    const relativePath = path.relative(rootDir, filePath);
+    return normalizePath(relativePath || path.basename(filePath));
+  }
+
+  const homeDir = os.homedir();
+  if (isSubPath(homeDir, filePath)) {
+    const relativeToHome = normalizePath(path.relative(homeDir, filePath));
+    return relativeToHome ? `~/${relativeToHome}` : "~";
+  }
+
+  return normalizePath(path.resolve(filePath));
+};
+
+export const ensureDir = (dirPath: string): void => {
+  fs.mkdirSync(dirPath, { recursive: true });
+};
+
+export const ensureFileExists = (filePath: string): void => {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Missing file: ${filePath}`);
+  }
+};
+
+export const ensureDirectoryExists = (dirPath: string): void => {
+  if (!fs.existsSync(dirPath)) {
+    throw new Error(`Missing directory: ${dirPath}`);
+  }
+
+  const stat = fs.statSync(dirPath);
+  if (!stat.isDirectory()) {
+    throw new Error(`Not a directory: ${dirPath}`);
+  }
+};
+
+export const isExistingDirectory = (dirPath: string): boolean =>
+  fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory();
+
+export const isExistingFile = (filePath: string): boolean =>
+  fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+
+export const stripJsonComments = (input: string): string => {
+  let output = "";
+  let inString = false;
+  let stringChar = "";
+  let escaping = false;
+  let inLineComment = false;
+  let inBlockComment = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    const next = input[i + 1];
+
+    if (inLineComment) {
+      if (char === "\n") {
+        inLineComment = false;
+        output += char;
+      }
+      continue;
+    }
+
+    if (inBlockComment) {
+      if (char === "*" && next === "/") {
+        inBlockComment = false;
+        i += 1;
+      }
+      continue;
+    }
+
+    if (inString) {
+      output += char;
+      if (escaping) {
+        escaping = false;
+        continue;
+      }
+      if (char === "\\") {
+        escaping = true;
+        continue;
+      }
+      if (char === stringChar) {
+        inString = false;
+        stringChar = "";
+      }
+      continue;
+    }
+
+    if (char === "/" && next === "/") {
+      inLineComment = true;
+      i += 1;
+      continue;
+    }
+
+    if (char === "/" && next === "*") {
+      inBlockComment = true;
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      inString = true;
+      stringChar = char;
+      output += char;
+      continue;
+    }
+
+    output += char;
+  }
+
+  return output;
+};
+
+export const readJsonFile = (filePath: string): unknown => {
+  const raw = fs.readFileSync(filePath, "utf8");
+  try {
+    return JSON.parse(stripJsonComments(raw));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Invalid JSON in ${filePath}: ${message}`);
+  }
+};
+
+// One Ajv instance compiles every schema the tool validates: rulesets,
+// lockfiles, profile manifests, front-matter, the user config and output state.
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+export const compileSchema = (schema: object): ValidateFunction => ajv.compile(schema);
+
+// Joins Ajv errors into one line; `subject` names the document in the
+// fallback message, such as "lockfile".
+export const formatSchemaErrors = (
+  errors: ErrorObject[] | null | undefined,
+  subject: string
+): string => {
+  if (!errors || errors.length === 0) {
+    return `Unknown ${subject} validation error`;
+  }
+
+  return errors
+    .map((error) => {
+      const pathLabel = error.instancePath ? error.instancePath : "(root)";
+      return `${pathLabel} ${error.message ?? "is invalid"}`;
+    })
+    .join("; ");
+};
@@ -0,0 +1,127 @@
+import fs from "node:fs";
+import path from "node:path";
+import { PROFILE_MANIFEST_NAME } from "./profiles.js";
+import { readProjectRuleset } from "./ruleset.js";
+import {
+  isRemoteSource,
+  parseRemoteSource,
+  resolveLocalRulesRoot,
+  resolveSourceSubpath,
+  resolveWorkspaceRoot
+} from "./sources.js";
+import { isExistingDirectory, isSubPath } from "./utils.js";
+
+// A directory whose changes affect composed outputs. With `fileName`, only that
+// file counts. Files are watched through their directory because editors often
+// save by replacing the file.
+export type WatchTarget = {
+  directory: string;
+  recursive: boolean;
+  fileName?: string;
+};
+
+const DEFAULT_DEBOUNCE_MS = 100;
+
+export const getRulesetWatchTarget = (rulesetPath: string): WatchTarget => ({
+  directory: path.dirname(rulesetPath),
+  recursive: false,
+  fileName: path.basename(rulesetPath)
+});
+
+// What watch observes for one ruleset: the ruleset file plus the rules
+// directory and profile manifest of each local source and of each remote
+// source with an edit-rules workspace. Other remote sources come from the
+// cache, which only compose changes. An unreadable ruleset or a source that
+// does not resolve is left out, but the ruleset file is always watched so
+// fixing it is still noticed.
+export const collectWatchTargets = (rulesetPath: string): WatchTarget[] => {
+  const rulesetDir = path.dirname(rulesetPath);
+  const rulesetTarget = getRulesetWatchTarget(rulesetPath);
+
+  let sources: string[];
+  try {
+    sources = readProjectRuleset(rulesetPath).sources;
+  } catch {
+    return [rulesetTarget];
+  }
+
+  const targets = [rulesetTarget];
+  for (const source of sources) {
+    let sourceRoot: string;
+    try {
+      if (isRemoteSource(source)) {
+        const workspaceRoot = resolveWorkspaceRoot(rulesetDir, source);
+        if (!isExistingDirectory(workspaceRoot)) {
+          continue;
+        }
+        sourceRoot = resolveSourceSubpath(workspaceRoot, parseRemoteSource(source));
+      } else {
+        sourceRoot = path.dirname(resolveLocalRulesRoot(rulesetDir, source));
+      }
+    } catch {
+      // Compose reports the broken source.
+      continue;
+    }
+    targets.push({ directory: path.join(sourceRoot, "rules"), recursive: true });
+    targets.push({ directory: sourceRoot, recursive: false, fileName: PROFILE_MANIFEST_NAME });
+  }
+  return targets;
+};
+
+export const matchesWatchTarget = (target: WatchTarget, changedPath: string): boolean =>
+  target.fileName
+    ? path.resolve(changedPath) === path.resolve(target.directory, target.fileName)
+    : isSubPath(target.directory, changedPath);
+
+// Watches the targets and calls `onChange` with the changed paths once changes
+// have settled for `debounceMs`. Returns a function that stops watching.
+export const watchTargets = (
+  targets: WatchTarget[],
+  onChange: (changedPaths: string[]) => void,
+  debounceMs: number = DEFAULT_DEBOUNCE_MS
+): (() => void) => {
+  const pending = new Set<string>();
+  let timer: NodeJS.Timeout | undefined;
+
+  const queueChange = (changedPath: string): void => {
+    pending.add(changedPath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changedPaths = [...pending];
+      pending.clear();
+      onChange(changedPaths);
+    }, debounceMs);
+  };
+
+  const watchers: fs.FSWatcher[] = [];
+  const stop = (): void => {
+    clearTimeout(timer);
+    for (const watcher of watchers) {
+      watcher.close();
+    }
+  };
+  try {
+    for (const target of targets) {
+      const watcher = fs.watch(
+        target.directory,
+        { recursive: target.recursive },
+        (_event, fileName) => {
+          const changedPath = fileName
+            ? path.join(target.directory, fileName.toString())
+            : target.directory;
+          if (matchesWatchTarget(target, changedPath)) {
+            queueChange(changedPath);
+          }
+        }
+      );
+      // A watched directory that goes away counts as a change to it.
+      watcher.on("error", () => queueChange(target.directory));
+      watchers.push(watcher);
+    }
+  } catch (error) {
+    stop();
+    throw error;
+  }
+
+  return stop;
+};
@@ -0,0 +1,154 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { it, expect } from "vitest";
+import { writeFilesAtomically } from "../src/atomic-write.ts";
+
+const withTempRoot = (run) => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-atomic-"));
+  try {
+    return run(tempRoot);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+};
+
+const listFiles = (dirPath) => fs.readdirSync(dirPath, { recursive: true }).sort();
+
+it("writes every file and creates missing directories", () =>
+  withTempRoot((tempRoot) => {
+    const agentsPath = path.join(tempRoot, "AGENTS.md");
+    const geminiPath = path.join(tempRoot, "home", ".gemini", "GEMINI.md");
+    fs.writeFileSync(agentsPath, "old\n", "utf8");
+    fs.chmodSync(agentsPath, 0o600);
+
+    writeFilesAtomically([
+      { absolutePath: agentsPath, content: "new\n" },
+      { absolutePath: geminiPath, content: "global\n" }
+    ]);
+
+    expect(fs.readFileSync(agentsPath, "utf8")).toBe("new\n");
+    expect(fs.statSync(agentsPath).mode & 0o777).toBe(0o600);
+    expect(fs.readFileSync(geminiPath, "utf8")).toBe("global\n");
+    expect(listFiles(tempRoot)).toEqual([
+      "AGENTS.md",
+      "home",
+      path.join("home", ".gemini"),
+      path.join("home", ".gemini", "GEMINI.md")
+    ]);
+  }));
+
+it("changes no file when one of them cannot be replaced", () =>
+  withTempRoot((tempRoot) => {
+    const agentsPath = path.join(tempRoot, "AGENTS.md");
+    const claudePath = path.join(tempRoot, "CLAUDE.md");
+    // A directory where a file should go fails the rename, after the others.
+    const blockedPath = path.join(tempRoot, "GEMINI.md");
+    fs.writeFileSync(agentsPath, "old\n", "utf8");
+    fs.mkdirSync(path.join(blockedPath, "notes"), { recursive: true });
+
+    expect(() =>
+      writeFilesAtomically([
+        { absolutePath: agentsPath, content: "new\n" },
+        { absolutePath: claudePath, content: "@AGENTS.md\n" },
+        { absolutePath: blockedPath, content: "global\n" }
+      ])
+    ).toThrow(/^Unable to write .*GEMINI\.md: .*\. No files changed\.$/u);
+
+    expect(fs.readFileSync(agentsPath, "utf8")).toBe("old\n");
+    expect(listFiles(tempRoot)).toEqual([
+      "AGENTS.md",
+      "GEMINI.md",
+      path.join("GEMINI.md", "notes")
+    ]);
+  }));
+
+it("leaves no temporary file or new directory when a directory cannot be created", () =>
+  withTempRoot((tempRoot) => {
+    const agentsPath = path.join(tempRoot, "AGENTS.md");
+    fs.writeFileSync(path.join(tempRoot, "home"), "a file, not a directory\n", "utf8");
+
+    expect(() =>
+      writeFilesAtomically([
+        { absolutePath: agentsPath, content: "new\n" },
+        { absolutePath: path.join(tempRoot, ".cursor", "rules", "a.mdc"), content: "rule\n" },
+        { absolutePath: path.join(tempRoot, "home", ".codex", "AGENTS.md"), content: "global\n" }
+      ])
+    ).toThrow(/\. No files changed\.$/u);
+
+    expect(listFiles(tempRoot)).toEqual(["home"]);
+  }));
+
+it("removes the directories it created when a later file cannot be written", () =>
+  withTempRoot((tempRoot) => {
+    const rulePath = path.join(tempRoot, ".cursor", "rules", "a.mdc");
+    const agentsPath = path.join(tempRoot, "AGENTS.md");
+    fs.writeFileSync(agentsPath, "old\n", "utf8");
+    // A directory where a file should go fails the rename, after the others.
+    const blockedPath = path.join(tempRoot, "GEMINI.md");
+    fs.mkdirSync(path.join(blockedPath, "notes"), { recursive: true });
+
+    expect(() =>
+      writeFilesAtomically([
+        { absolutePath: rulePath, content: "rule\n" },
+        { absolutePath: agentsPath, content: "new\n" },
+        { absolutePath: blockedPath, content: "global\n" }
+      ])
+    ).toThrow(/\. No files changed\.$/u);
+
+    expect(fs.readFileSync(agentsPath, "utf8")).toBe("old\n");
+    expect(listFiles(tempRoot)).toEqual([
+      "AGENTS.md",
+      "GEMINI.md",
+      path.join("GEMINI.md", "notes")
+    ]);
+  }));
+
+it("writes through a symlink and keeps the link", () =>
+  withTempRoot((tempRoot) => {
+    const targetPath = path.join(tempRoot, "dotfiles", "AGENTS.md");
+    const linkPath = path.join(tempRoot, "home", "AGENTS.md");
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.mkdirSync(path.dirname(linkPath), { recursive: true });
+    fs.writeFileSync(targetPath, "old\n", "utf8");
+    fs.symlinkSync(targetPath, linkPath);
+
+    writeFilesAtomically([{ absolutePath: linkPath, content: "new\n" }]);
+
+    expect(fs.lstatSync(linkPath).isSymbolicLink()).toBe(true);
+    expect(fs.readFileSync(targetPath, "utf8")).toBe("new\n");
+    expect(listFiles(tempRoot)).toEqual([
+      "dotfiles",
+      path.join("dotfiles", "AGENTS.md"),
+      "home",
+      path.join("home", "AGENTS.md")
+    ]);
+  }));
+
+it("removes files together with the writes and keeps them when a write fails", () =>
+  withTempRoot((tempRoot) => {
+    const agentsPath = path.join(tempRoot, "AGENTS.md");
+    const obsoletePath = path.join(tempRoot, "old.mdc");
+    const blockedPath = path.join(tempRoot, "GEMINI.md");
+    fs.writeFileSync(obsoletePath, "obsolete\n", "utf8");
+    fs.mkdirSync(path.join(blockedPath, "notes"), { recursive: true });
+
+    expect(() =>
+      writeFilesAtomically(
+        [
+          { absolutePath: agentsPath, content: "new\n" },
+          { absolutePath: blockedPath, content: "global\n" }
+        ],
+        [obsoletePath]
+      )
+    ).toThrow(/\. No files changed\.$/u);
+    expect(listFiles(tempRoot)).toEqual(["GEMINI.md", path.join("GEMINI.md", "notes"), "old.mdc"]);
+    expect(fs.readFileSync(obsoletePath, "utf8")).toBe("obsolete\n");
+
+    fs.rmSync(blockedPath, { recursive: true });
+    writeFilesAtomically(
+      [{ absolutePath: agentsPath, content: "new\n" }],
+      [obsoletePath, path.join(tempRoot, "missing.mdc")]
+    );
+    expect(listFiles(tempRoot)).toEqual(["AGENTS.md"]);
+  }));
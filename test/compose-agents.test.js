@@ -2,9 +2,11 @@ import { it, expect } from "vitest";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
-import { execFileSync, spawnSync } from "node:child_process";
-import { fileURLToPath } from "node:url";
+import { execFileSync, spawn, spawnSync } from "node:child_process";
+import { fileURLToPath, pathToFileURL } from "node:url";
 import { countTokens } from "gpt-tokenizer";
+import { countTokens as countCl100kTokens } from "gpt-tokenizer/encoding/cl100k_base";
+import { computeSourceContentHash } from "../src/lockfile.ts";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -160,7 +162,17 @@ const DEFAULT_BUDGET_OK = {
   moduleBudget: DEFAULT_MODULE_BUDGET,
   overBudgetModules: [],
   totalExceeded: false,
-  moduleReviewTriggered: false
+  moduleReviewTriggered: false,
+  enforced: false,
+  repositories: [
+    expect.objectContaining({
+      tokenizer: BUDGET_TOKENIZER,
+      totalExceeded: false,
+      moduleReviewTriggered: false,
+      enforced: false
+    })
+  ],
+  targets: expect.any(Array)
 };
 
 const formatRuleBlock = (rulePath, body, projectRoot) => {
@@ -195,6 +207,75 @@ const writeBaseSource = (sourceRoot, { domains = [], global = "# Only\n1" } = {}
   }
 };
 
+const git = (args, cwd) =>
+  execFileSync("git", args, { cwd, encoding: "utf8", stdio: "pipe" }).trim();
+
+// Commits everything under repoDir as a single-commit git repository and
+// returns the commit hash.
+const commitGitRepo = (repoDir) => {
+  git(["init", "-q"], repoDir);
+  git(["add", "-A"], repoDir);
+  git(
+    [
+      "-c",
+      "user.name=Test",
+      "-c",
+      "user.email=test@example.com",
+      "-c",
+      "commit.gpgsign=false",
+      "commit",
+      "-q",
+      "-m",
+      "rules"
+    ],
+    repoDir
+  );
+  return git(["rev-parse", "HEAD"], repoDir);
+};
+
+const commitAll = (repoDir, message) => {
+  git(["add", "-A"], repoDir);
+  git(
+    [
+      "-c",
+      "user.name=Test",
+      "-c",
+      "user.email=test@example.com",
+      "-c",
+      "commit.gpgsign=false",
+      "commit",
+      "-q",
+      "-m",
+      message
+    ],
+    repoDir
+  );
+};
+
+// Redirects https://github.com/ to bare repositories under remotesRoot so
+// github: sources resolve offline (github:owner/repo -> remotesRoot/owner/repo.git).
+const createGithubRedirectEnv = (remotesRoot) => ({
+  GIT_CONFIG_COUNT: "1",
+  GIT_CONFIG_KEY_0: `url.${pathToFileURL(remotesRoot).href}/.insteadOf`,
+  GIT_CONFIG_VALUE_0: "https://github.com/"
+});
+
+// Pushes the working repository at repoDir (with tags) to its bare remote.
+const publishRemote = (repoDir, bareDir) => {
+  if (!fs.existsSync(bareDir)) {
+    git(["init", "-q", "--bare", bareDir], repoDir);
+  }
+  git(["push", "-q", "--tags", bareDir, "HEAD:refs/heads/main"], repoDir);
+};
+
+// Writes a lockfile next to the project's default ruleset.
+const writeLockfile = (projectRoot, sources) => {
+  writeFile(
+    path.join(projectRoot, "agent-ruleset.lock.json"),
+    JSON.stringify({ lockfileVersion: 1, sources }, null, 2)
+  );
+};
+
 const withTempRoot = (run) => {
   const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-"));
   try {
@@ -821,6 +902,12 @@ it("does not duplicate output when output is CLAUDE.md", () =>
       composed: ["CLAUDE.md", ...DEFAULT_GLOBAL_OUTPUTS],
       repositoryOutputs: ["CLAUDE.md"],
       globalOutputs: DEFAULT_GLOBAL_OUTPUTS,
+      rules: [
+        {
+          scope: "global",
+          source: relSource(projectRoot, path.join(rulesRoot, "global", "only.md"))
+        }
+      ],
       dryRun: false,
       budget: buildExpectedBudget([onlyRule])
     });
@@ -833,6 +920,19 @@ it("fails fast when ruleset is missing", () =>
     );
   }));
 
+it("prints the usage text only for argument errors", () =>
+  withTempRoot((tempRoot) => {
+    const runtime = runCliStatus(["--root", tempRoot], { cwd: repoRoot });
+    expect(runtime.status).toBe(1);
+    expect(runtime.stderr).toContain("Run compose-agentsmd doctor");
+    expect(runtime.stderr).not.toContain("Usage:");
+
+    const usageError = runCliStatus(["--bogus"], { cwd: repoRoot });
+    expect(usageError.status).toBe(1);
+    expect(usageError.stderr).toMatch(/^Unknown argument: --bogus\n\nUsage: /u);
+    expect(usageError.stderr).not.toContain("Run compose-agentsmd doctor");
+  }));
+
 it("does not search for rulesets in subdirectories", () =>
   withTempRoot((tempRoot) => {
     const nestedRoot = path.join(tempRoot, "nested");
@@ -846,6 +946,458 @@ it("does not search for rulesets in subdirectories", () =>
     );
   }));
 
+// Lays out a monorepo sharing one local source: the root selects `base`,
+// packages/a selects `node`, packages/b selects `base`, and packages/c has no
+// ruleset.
+const writeMonorepoProject = (tempRoot, rootRuleset = {}) => {
+  const projectRoot = path.join(tempRoot, "project");
+  const sourceRoot = path.join(tempRoot, "rules-source");
+
+  writeProfileManifest(sourceRoot, {
+    [BASE_PROFILE]: { domains: [] },
+    node: { domains: ["node"] }
+  });
+  writeFile(path.join(sourceRoot, "rules", "global", "only.md"), "# Only\n1");
+  writeFile(path.join(sourceRoot, "rules", "domains", "node", "a.md"), "# Node\nA");
+  writeFile(
+    path.join(projectRoot, "agent-ruleset.json"),
+    JSON.stringify({
+      sources: [relSource(projectRoot, sourceRoot)],
+      profile: BASE_PROFILE,
+      ...rootRuleset
+    })
+  );
+  for (const [name, profile] of [
+    ["a", "node"],
+    ["b", BASE_PROFILE]
+  ]) {
+    const packageRoot = path.join(projectRoot, "packages", name);
+    writeFile(
+      path.join(packageRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(packageRoot, sourceRoot)], profile })
+    );
+  }
+  writeFile(path.join(projectRoot, "packages", "c", "package.json"), "{}");
+  return projectRoot;
+};
+
+it("composes workspace package rulesets with a single global write", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = writeMonorepoProject(tempRoot, { workspaces: ["packages/*"] });
+
+    const stdout = runCli(["--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv });
+    const result = JSON.parse(stdout);
+
+    expect(result.repositoryOutputs).toEqual([
+      "AGENTS.md",
+      "CLAUDE.md",
+      "packages/a/AGENTS.md",
+      "packages/a/CLAUDE.md",
+      "packages/b/AGENTS.md",
+      "packages/b/CLAUDE.md"
+    ]);
+    expect(result.globalOutputs).toEqual(DEFAULT_GLOBAL_OUTPUTS);
+    expect(result.rules.filter((rule) => rule.scope === "global")).toHaveLength(1);
+    expect(fs.readFileSync(path.join(projectRoot, "packages", "a", "AGENTS.md"), "utf8")).toContain(
+      "# Node\nA"
+    );
+    expect(
+      fs.readFileSync(path.join(projectRoot, "packages", "b", "AGENTS.md"), "utf8")
+    ).not.toContain("# Node");
+    expect(fs.existsSync(path.join(projectRoot, "packages", "c", "AGENTS.md"))).toBe(false);
+    expect(fs.readFileSync(path.join(fakeHome, ".codex", "AGENTS.md"), "utf8")).toContain(
+      "# Only\n1"
+    );
+  }));
+
+it("--recursive finds nested rulesets and check covers every package", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = writeMonorepoProject(tempRoot, { global: false });
+    // Rulesets under node_modules belong to dependencies and are never composed.
+    writeFile(
+      path.join(projectRoot, "node_modules", "dep", "agent-ruleset.json"),
+      JSON.stringify({ sources: ["missing"], profile: BASE_PROFILE })
+    );
+
+    const stdout = runCli(["--root", projectRoot, "--recursive", "--json"], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(JSON.parse(stdout).repositoryOutputs).toEqual([
+      "AGENTS.md",
+      "CLAUDE.md",
+      "packages/a/AGENTS.md",
+      "packages/a/CLAUDE.md",
+      "packages/b/AGENTS.md",
+      "packages/b/CLAUDE.md"
+    ]);
+
+    writeFile(path.join(projectRoot, "packages", "b", "AGENTS.md"), "stale content\n");
+    const { status, stdout: checkStdout } = runCliStatus(
+      ["check", "--root", projectRoot, "--recursive"],
+      { cwd: repoRoot, env: cliEnv }
+    );
+    expect(status).toBe(1);
+    expect(checkStdout).toMatch(/Stale repository outputs[^]*- packages\/b\/AGENTS\.md/u);
+
+    expect(() =>
+      runCli(["edit-rules", "--root", projectRoot, "--recursive"], { cwd: repoRoot, env: cliEnv })
+    ).toThrow(/--recursive is not supported by edit-rules/u);
+  }));
+
+it("orders rules by front-matter and filters them per agent", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesRoot = path.join(sourceRoot, "rules");
+
+    writeProfileManifest(sourceRoot, { p: { domains: ["node"] } });
+    writeFile(path.join(rulesRoot, "global", "a.md"), "# Global A\nA");
+    writeFile(path.join(rulesRoot, "global", "z.md"), "---\ntitle: First\norder: -1\n---\n# Z\nZ");
+    writeFile(
+      path.join(rulesRoot, "global", "claude.md"),
+      "---\nagents: [claude]\ntags: [memory]\n---\n# Claude only\nC"
+    );
+    writeFile(path.join(rulesRoot, "domains", "node", "n.md"), "# Node\nN");
+    writeFile(
+      path.join(rulesRoot, "domains", "node", "claude.md"),
+      "---\nagents: [claude]\n---\n# Node Claude\nNC"
+    );
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: "p" })
+    );
+
+    const stdout = runCli(["--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv });
+
+    const rule = (name) => relSource(projectRoot, path.join(rulesRoot, name));
+    expect(JSON.parse(stdout).rules).toEqual([
+      { scope: "global", source: rule("global/z.md"), title: "First", order: -1 },
+      { scope: "global", source: rule("global/a.md") },
+      { scope: "global", source: rule("global/claude.md"), agents: ["claude"], tags: ["memory"] },
+      {
+        scope: "repository",
+        source: rule("domains/node/claude.md"),
+        domain: "node",
+        profile: "p",
+        agents: ["claude"]
+      },
+      { scope: "repository", source: rule("domains/node/n.md"), domain: "node", profile: "p" }
+    ]);
+
+    const block = (name, body) => formatRuleBlock(path.join(rulesRoot, name), body, projectRoot);
+    const sharedGlobal = [block("global/z.md", "# Z\nZ"), block("global/a.md", "# Global A\nA")];
+    expect(fs.readFileSync(path.join(fakeHome, ".codex", "AGENTS.md"), "utf8")).toBe(
+      buildGlobalOutput(sharedGlobal)
+    );
+    expect(fs.readFileSync(path.join(fakeHome, ".claude", "CLAUDE.md"), "utf8")).toBe(
+      buildGlobalOutput([...sharedGlobal, block("global/claude.md", "# Claude only\nC")])
+    );
+    expect(fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")).toBe(
+      withToolRules(block("domains/node/n.md", "# Node\nN") + "\n")
+    );
+    expect(fs.readFileSync(path.join(projectRoot, "CLAUDE.md"), "utf8")).toBe(
+      `@AGENTS.md\n\n${block("domains/node/claude.md", "# Node Claude\nNC")}\n`
+    );
+  }));
+
+it("puts repository rules for agents without their own output in AGENTS.md", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesRoot = path.join(sourceRoot, "rules");
+
+    writeProfileManifest(sourceRoot, { p: { domains: ["node"] } });
+    writeFile(
+      path.join(rulesRoot, "domains", "node", "both.md"),
+      "---\nagents: [claude, codex]\n---\n# Both\nB"
+    );
+    writeFile(
+      path.join(rulesRoot, "domains", "node", "claude.md"),
+      "---\nagents: [claude]\n---\n# Claude\nC"
+    );
+    writeFile(
+      path.join(rulesRoot, "domains", "node", "codex.md"),
+      "---\nagents: [codex]\n---\n# Codex\nX"
+    );
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: "p" })
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const block = (name, body) => formatRuleBlock(path.join(rulesRoot, name), body, projectRoot);
+    // Claude reads AGENTS.md through the import, so the companion only adds claude-only rules.
+    expect(fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")).toBe(
+      withToolRules(
+        `${block("domains/node/both.md", "# Both\nB")}\n\n${block("domains/node/codex.md", "# Codex\nX")}\n`
+      )
+    );
+    expect(fs.readFileSync(path.join(projectRoot, "CLAUDE.md"), "utf8")).toBe(
+      `@AGENTS.md\n\n${block("domains/node/claude.md", "# Claude\nC")}\n`
+    );
+  }));
+
+it("includes conditional domains only when the project matches", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesRoot = path.join(sourceRoot, "rules");
+
+    writeProfileManifest(sourceRoot, {
+      p: {
+        domains: ["node"],
+        conditionalDomains: [
+          { domain: "docker", when: { files: ["Dockerfile"] } },
+          { domain: "react", when: { dependencies: ["react"] } },
+          { domain: "python", when: { files: ["pyproject.toml", "**/*.py"] } }
+        ]
+      }
+    });
+    for (const domain of ["node", "docker", "react", "python"]) {
+      writeFile(path.join(rulesRoot, "domains", domain, "rule.md"), `# ${domain}\nx`);
+    }
+    writeFile(path.join(projectRoot, "Dockerfile"), "FROM node:20");
+    writeFile(
+      path.join(projectRoot, "package.json"),
+      JSON.stringify({ devDependencies: { react: "^19.0.0" } })
+    );
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: "p", global: false })
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const output = fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8");
+    expect(output).toBe(
+      withToolRules(
+        ["node", "docker", "react"]
+          .map((domain) =>
+            formatRuleBlock(
+              path.join(rulesRoot, "domains", domain, "rule.md"),
+              `# ${domain}\nx`,
+              projectRoot
+            )
+          )
+          .join("\n\n") + "\n"
+      )
+    );
+  }));
+
+it("rejects conditional domains without a condition", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeProfileManifest(sourceRoot, {
+      p: { domains: [], conditionalDomains: [{ domain: "docker", when: {} }] }
+    });
+    writeFile(path.join(sourceRoot, "rules", "global", "only.md"), "# Only\n1");
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: "p", global: false })
+    );
+
+    const { status, stderr } = runCliStatus(["--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).not.toBe(0);
+    expect(stderr).toMatch(
+      /Invalid profile manifest .*\/profiles\/p\/conditionalDomains\/0\/when must NOT have fewer than 1 properties/u
+    );
+  }));
+
+it("resolves profile extends across sources with parents first and no duplicates", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const publicRoot = path.join(tempRoot, "public");
+    const overlayRoot = path.join(tempRoot, "overlay");
+
+    writeProfileManifest(publicRoot, {
+      base: { domains: ["core"] },
+      node: { extends: ["base"], domains: ["node"] }
+    });
+    writeProfileManifest(overlayRoot, {
+      team: { extends: ["base", "node"], domains: ["team", "core"] }
+    });
+    for (const [root, domain] of [
+      [publicRoot, "core"],
+      [publicRoot, "node"],
+      [overlayRoot, "team"],
+      [overlayRoot, "core"]
+    ]) {
+      writeFile(path.join(root, "rules", "domains", domain, "rule.md"), `# ${domain}\nx`);
+    }
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({
+        sources: [relSource(projectRoot, publicRoot), relSource(projectRoot, overlayRoot)],
+        profile: "team",
+        global: false
+      })
+    );
+
+    const stdout = runCli(["--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv });
+
+    // base once (the diamond through node adds nothing), then node, then the
+    // overlay's own domains; the overlay's "core" is a different source, so it stays.
+    const rule = (root, domain) =>
+      relSource(projectRoot, path.join(root, "rules", "domains", domain, "rule.md"));
+    expect(JSON.parse(stdout).rules.map((entry) => entry.source)).toEqual([
+      rule(publicRoot, "core"),
+      rule(publicRoot, "node"),
+      rule(overlayRoot, "team"),
+      rule(overlayRoot, "core")
+    ]);
+  }));
+
+it("reports profile extends cycles and undefined parents", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeProfileManifest(sourceRoot, {
+      a: { extends: ["b"] },
+      b: { extends: ["a"], domains: [] },
+      orphan: { extends: ["missing"] }
+    });
+    const runProfile = (profile) => {
+      writeFile(
+        path.join(projectRoot, "agent-ruleset.json"),
+        JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile, global: false })
+      );
+      return runCliStatus(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    };
+
+    expect(runProfile("a").stderr).toMatch(/Profile inheritance cycle: a -> b -> a/u);
+    expect(runProfile("orphan").stderr).toMatch(
+      /Profile "orphan" extends "missing", which is not defined by any source\./u
+    );
+  }));
+
+it("merges several ruleset profiles, including each domain once", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesRoot = path.join(sourceRoot, "rules");
+
+    writeProfileManifest(sourceRoot, {
+      "node-cli": { domains: ["node", "cli"] },
+      docs: { domains: ["docs", "node"] }
+    });
+    for (const domain of ["node", "cli", "docs"]) {
+      writeFile(path.join(rulesRoot, "domains", domain, "rule.md"), `# ${domain}\nx`);
+    }
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({
+        sources: [relSource(projectRoot, sourceRoot)],
+        profiles: ["node-cli", "docs"],
+        global: false
+      })
+    );
+
+    const stdout = runCli(["--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv });
+
+    expect(JSON.parse(stdout).rules.map(({ domain, profile }) => ({ domain, profile }))).toEqual([
+      { domain: "node", profile: "node-cli" },
+      { domain: "cli", profile: "node-cli" },
+      { domain: "docs", profile: "docs" }
+    ]);
+  }));
+
+it("requires profile or profiles in the ruleset", () =>
+  withTempRoot((tempRoot) => {
+    const projectRoot = path.join(tempRoot, "project");
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: ["../rules-source"] })
+    );
+
+    const { status, stderr } = runCliStatus(["--root", projectRoot], {
+      cwd: repoRoot,
+      env: createCliEnv(path.join(tempRoot, "home"))
+    });
+    expect(status).not.toBe(0);
+    expect(stderr).toMatch(/Invalid ruleset schema .*must have required property 'profile'/u);
+  }));
+
+it("lets a shadow-mode overlay source replace and tombstone earlier rules", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const publicRoot = path.join(tempRoot, "public");
+    const overlayRoot = path.join(tempRoot, "overlay");
+
+    writeProfileManifest(publicRoot, { p: { domains: ["node", "docs"] } });
+    writeFile(path.join(publicRoot, "rules", "global", "a.md"), "# Public A\nA");
+    writeFile(path.join(publicRoot, "rules", "global", "b.md"), "# Public B\nB");
+    writeFile(path.join(publicRoot, "rules", "domains", "node", "x.md"), "# Public X\nX");
+    writeFile(path.join(publicRoot, "rules", "domains", "node", "y.md"), "# Public Y\nY");
+    writeFile(path.join(publicRoot, "rules", "domains", "docs", "d.md"), "# Public D\nD");
+
+    writeFile(
+      path.join(overlayRoot, "agent-profiles.json"),
+      JSON.stringify({
+        overlay: { mode: "shadow", domains: { docs: "append" } },
+        profiles: { p: { domains: ["node", "docs"] } }
+      })
+    );
+    writeFile(path.join(overlayRoot, "rules", "global", "a.md"), "# Private A\nA2");
+    writeFile(path.join(overlayRoot, "rules", "domains", "node", "x.md"), "# Private X\nX2");
+    writeFile(
+      path.join(overlayRoot, "rules", "domains", "node", "y.md"),
+      "<!-- compose-agentsmd:tombstone -->\n"
+    );
+    writeFile(path.join(overlayRoot, "rules", "domains", "node", "z.md"), "# Private Z\nZ");
+    writeFile(path.join(overlayRoot, "rules", "domains", "docs", "d.md"), "# Private D\nD2");
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({
+        sources: [relSource(projectRoot, publicRoot), relSource(projectRoot, overlayRoot)],
+        profile: "p"
+      })
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const block = (root, name, body) =>
+      formatRuleBlock(path.join(root, "rules", name), body, projectRoot);
+    expect(fs.readFileSync(path.join(fakeHome, ".codex", "AGENTS.md"), "utf8")).toBe(
+      buildGlobalOutput([
+        block(overlayRoot, "global/a.md", "# Private A\nA2"),
+        block(publicRoot, "global/b.md", "# Public B\nB")
+      ])
+    );
+    // node shadows (x replaced in place, y deleted, z added); docs appends.
+    expect(fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")).toBe(
+      withToolRules(
+        [
+          block(overlayRoot, "domains/node/x.md", "# Private X\nX2"),
+          block(publicRoot, "domains/docs/d.md", "# Public D\nD"),
+          block(overlayRoot, "domains/node/z.md", "# Private Z\nZ"),
+          block(overlayRoot, "domains/docs/d.md", "# Private D\nD2")
+        ].join("\n\n") + "\n"
+      )
+    );
+  }));
+
 it("supports global=false to skip global rules", () =>
   withTempRoot((tempRoot) => {
     const fakeHome = path.join(tempRoot, "home");
@@ -886,6 +1438,71 @@ it("supports global=false to skip global rules", () =>
     }
   }));
 
+it("writes global rules to the targets configured in ~/.agentsmd/config.json", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
+    );
+    writeFile(
+      path.join(fakeHome, ".agentsmd", "config.json"),
+      JSON.stringify({
+        targets: {
+          gemini: { enabled: false },
+          copilot: { enabled: false },
+          codex: { baseDir: "~/work/codex-home" },
+          aider: { path: "~/.aider/RULES.md" }
+        }
+      })
+    );
+
+    const stdout = runCli(["--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv });
+
+    expect(JSON.parse(stdout).composed).toEqual([
+      ...DEFAULT_REPOSITORY_OUTPUTS,
+      "~/work/codex-home/AGENTS.md",
+      "~/.config/opencode/AGENTS.md",
+      "~/.claude/CLAUDE.md",
+      "~/.aider/RULES.md"
+    ]);
+    const aiderOutput = fs.readFileSync(path.join(fakeHome, ".aider", "RULES.md"), "utf8");
+    expect(aiderOutput).toContain("# Only");
+    expect(fs.existsSync(path.join(fakeHome, ".codex"))).toBe(false);
+    expect(fs.existsSync(path.join(fakeHome, ".gemini"))).toBe(false);
+    expect(fs.existsSync(path.join(fakeHome, ".copilot"))).toBe(false);
+  }));
+
+it("rejects a custom global target without a path", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
+    );
+    writeFile(
+      path.join(fakeHome, ".agentsmd", "config.json"),
+      JSON.stringify({ targets: { aider: { enabled: true } } })
+    );
+
+    const { status, stderr } = runCliStatus(["--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).not.toBe(0);
+    expect(stderr).toMatch(/custom target "aider" needs a "path"/u);
+  }));
+
 it("supports source path pointing to a rules directory", () =>
   withTempRoot((tempRoot) => {
     const cliEnv = createCliEnv(path.join(tempRoot, "home"));
@@ -956,28 +1573,741 @@ it("clears cached rules with --clear-cache", () =>
     expect(fs.existsSync(path.join(fakeHome, ".agentsmd", "cache"))).toBe(false);
   }));
 
-it("edit-rules uses local source path as workspace", () =>
+it("reuses a locked GitHub source from the cache without contacting the remote", () =>
   withTempRoot((tempRoot) => {
-    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const fakeHome = path.join(tempRoot, "home");
+    // Only the file protocol is allowed, so any ls-remote against GitHub fails.
+    const cliEnv = createCliEnv(fakeHome, { GIT_ALLOW_PROTOCOL: "file" });
     const projectRoot = path.join(tempRoot, "project");
-    const sourceRoot = path.join(tempRoot, "rules-source");
-
-    writeBaseSource(sourceRoot);
+    const cacheDir = path.join(fakeHome, ".agentsmd", "cache", "example", "rules", "v1.0.0");
+
+    writeBaseSource(cacheDir);
+    const commit = commitGitRepo(cacheDir);
+    writeLockfile(projectRoot, {
+      "github:example/rules": {
+        url: "https://github.com/example/rules.git",
+        ref: "v1.0.0",
+        commit,
+        contentHash: computeSourceContentHash(cacheDir)
+      }
+    });
     writeFile(
       path.join(projectRoot, "agent-ruleset.json"),
-      JSON.stringify(
-        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
-        null,
-        2
-      )
+      JSON.stringify({ sources: ["github:example/rules"], profile: BASE_PROFILE }, null, 2)
     );
 
-    const stdout = runCli(["edit-rules", "--root", projectRoot], { cwd: repoRoot, env: cliEnv });
-    expect(stdout).toMatch(
-      new RegExp(`Rules workspace: ${sourceRoot.replace(/\\/g, "\\\\")}`, "u")
-    );
-    expect(stdout).toMatch(
-      new RegExp(`Rules directory: ${path.join(sourceRoot, "rules").replace(/\\/g, "\\\\")}`, "u")
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const globalOutput = fs.readFileSync(path.join(fakeHome, ".codex", "AGENTS.md"), "utf8");
+    expect(globalOutput).toContain("Source: github:example/rules@v1.0.0/rules/global/only.md");
+
+    const { status } = runCliStatus(["check", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).toBe(0);
+  }));
+
+it("fails when cached content does not match the locked content hash", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome, { GIT_ALLOW_PROTOCOL: "file" });
+    const projectRoot = path.join(tempRoot, "project");
+    const cacheDir = path.join(fakeHome, ".agentsmd", "cache", "example", "rules", "v1.0.0");
+
+    writeBaseSource(cacheDir);
+    const commit = commitGitRepo(cacheDir);
+    writeLockfile(projectRoot, {
+      "github:example/rules": {
+        url: "https://github.com/example/rules.git",
+        ref: "v1.0.0",
+        commit,
+        contentHash: `sha256-${"0".repeat(64)}`
+      }
+    });
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: ["github:example/rules"], profile: BASE_PROFILE }, null, 2)
+    );
+
+    const { status, stderr } = runCliStatus(["--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/does not match the lockfile/u);
+    expect(fs.existsSync(path.join(projectRoot, "AGENTS.md"))).toBe(false);
+  }));
+
+it("locks GitHub sources on compose and moves the lock only on update", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const remotesRoot = path.join(tempRoot, "remotes");
+    const cliEnv = createCliEnv(fakeHome, createGithubRedirectEnv(remotesRoot));
+    const projectRoot = path.join(tempRoot, "project");
+    const workRoot = path.join(tempRoot, "work");
+    const bareDir = path.join(remotesRoot, "example", "rules.git");
+    const lockfilePath = path.join(projectRoot, "agent-ruleset.lock.json");
+    const codexOutput = path.join(fakeHome, ".codex", "AGENTS.md");
+
+    writeBaseSource(workRoot, { global: "# Rule\nv1" });
+    const firstCommit = commitGitRepo(workRoot);
+    git(["tag", "v1.0.0"], workRoot);
+    publishRemote(workRoot, bareDir);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: ["github:example/rules"], profile: BASE_PROFILE }, null, 2)
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    const lockfile = JSON.parse(fs.readFileSync(lockfilePath, "utf8"));
+    expect(lockfile.sources["github:example/rules"]).toMatchObject({
+      ref: "v1.0.0",
+      commit: firstCommit
+    });
+
+    writeFile(path.join(workRoot, "rules", "global", "only.md"), "# Rule\nv2");
+    commitAll(workRoot, "v2");
+    git(["tag", "v2.0.0"], workRoot);
+    publishRemote(workRoot, bareDir);
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(fs.readFileSync(codexOutput, "utf8")).toContain(
+      "@v1.0.0/rules/global/only.md\n\n# Rule\nv1"
+    );
+
+    const stdout = runCli(["update", "--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(stdout).toMatch(/Updated lockfile: agent-ruleset\.lock\.json/u);
+    expect(fs.readFileSync(codexOutput, "utf8")).toContain(
+      "@v2.0.0/rules/global/only.md\n\n# Rule\nv2"
+    );
+    expect(
+      JSON.parse(fs.readFileSync(lockfilePath, "utf8")).sources["github:example/rules"].ref
+    ).toBe("v2.0.0");
+  }));
+
+it("offline mode composes from the cache using the highest cached tag for latest", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome, {
+      COMPOSE_AGENTSMD_OFFLINE: "1",
+      GIT_ALLOW_PROTOCOL: "file"
+    });
+    const projectRoot = path.join(tempRoot, "project");
+    const repoCacheRoot = path.join(fakeHome, ".agentsmd", "cache", "example", "rules");
+
+    for (const tag of ["v1.2.0", "v1.10.0", "main"]) {
+      writeBaseSource(path.join(repoCacheRoot, tag), { global: `# Rule\n${tag}` });
+      commitGitRepo(path.join(repoCacheRoot, tag));
+    }
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: ["github:example/rules"], profile: BASE_PROFILE }, null, 2)
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const globalOutput = fs.readFileSync(path.join(fakeHome, ".codex", "AGENTS.md"), "utf8");
+    expect(globalOutput).toContain("Source: github:example/rules@v1.10.0/rules/global/only.md");
+    expect(globalOutput).toContain("# Rule\nv1.10.0");
+  }));
+
+it("offline mode composes latest of an untagged source from its cached HEAD commit", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome, {
+      COMPOSE_AGENTSMD_OFFLINE: "1",
+      GIT_ALLOW_PROTOCOL: "file"
+    });
+    const projectRoot = path.join(tempRoot, "project");
+    const checkoutDir = path.join(tempRoot, "checkout");
+
+    writeBaseSource(checkoutDir, { global: "# Rule\nuntagged" });
+    const commit = commitGitRepo(checkoutDir);
+    const cacheDir = path.join(fakeHome, ".agentsmd", "cache", "example", "rules", commit);
+    fs.mkdirSync(path.dirname(cacheDir), { recursive: true });
+    fs.renameSync(checkoutDir, cacheDir);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: ["github:example/rules"], profile: BASE_PROFILE })
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const globalOutput = fs.readFileSync(path.join(fakeHome, ".codex", "AGENTS.md"), "utf8");
+    expect(globalOutput).toContain("Source: github:example/rules@HEAD/rules/global/only.md");
+    expect(globalOutput).toContain("# Rule\nuntagged");
+  }));
+
+it("offline mode fails with a clear message when the ref is not cached", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"), { GIT_ALLOW_PROTOCOL: "file" });
+    const projectRoot = path.join(tempRoot, "project");
+
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: ["github:example/rules@v3"], profile: BASE_PROFILE }, null, 2)
+    );
+
+    const { status, stderr } = runCliStatus(["check", "--offline", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/Offline mode: github:example\/rules@v3 is not cached for ref v3/u);
+  }));
+
+it("composes from a file:// bare repository with provenance and a lock entry", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const workRoot = path.join(tempRoot, "work");
+    const bareDir = path.join(tempRoot, "rules.git");
+    const sourceUrl = pathToFileURL(bareDir).href;
+
+    writeBaseSource(workRoot, { domains: ["node"] });
+    writeFile(path.join(workRoot, "rules", "domains", "node", "a.md"), "# Node\nA");
+    const commit = commitGitRepo(workRoot);
+    git(["tag", "v1.0.0"], workRoot);
+    publishRemote(workRoot, bareDir);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [`${sourceUrl}@v1.0.0`], profile: BASE_PROFILE }, null, 2)
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const agents = fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8");
+    expect(agents).toContain(`Source: ${sourceUrl}@v1.0.0/rules/domains/node/a.md`);
+    const lockfile = JSON.parse(
+      fs.readFileSync(path.join(projectRoot, "agent-ruleset.lock.json"), "utf8")
+    );
+    expect(lockfile.sources[`${sourceUrl}@v1.0.0`]).toMatchObject({
+      url: sourceUrl,
+      ref: "v1.0.0",
+      commit
+    });
+  }));
+
+it("diff compares composed outputs, rule files and tokens across source versions", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const workRoot = path.join(tempRoot, "work");
+    const bareDir = path.join(tempRoot, "rules.git");
+    const sourceUrl = pathToFileURL(bareDir).href;
+    const nodeDir = path.join(workRoot, "rules", "domains", "node");
+
+    writeBaseSource(workRoot, { domains: ["node"] });
+    writeFile(path.join(nodeDir, "a.md"), "# Node\nA");
+    writeFile(path.join(nodeDir, "old.md"), "# Old\nO");
+    commitGitRepo(workRoot);
+    git(["tag", "v1.0.0"], workRoot);
+    fs.rmSync(path.join(nodeDir, "old.md"));
+    writeFile(path.join(nodeDir, "a.md"), "# Node\nA, with a much longer explanation");
+    writeFile(path.join(nodeDir, "new.md"), "# New\nN");
+    commitAll(workRoot, "v2");
+    git(["tag", "v2.0.0"], workRoot);
+    publishRemote(workRoot, bareDir);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [`${sourceUrl}@v1.0.0`], profile: BASE_PROFILE })
+    );
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const result = JSON.parse(
+      runCli(["diff", "--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv })
+    );
+
+    expect(result.from).toMatchObject({ ref: "lock", resolvedRef: "v1.0.0" });
+    expect(result.to).toMatchObject({ ref: "latest", resolvedRef: "v2.0.0" });
+    expect(result.addedRules).toEqual([`${sourceUrl}/rules/domains/node/new.md`]);
+    expect(result.removedRules).toEqual([`${sourceUrl}/rules/domains/node/old.md`]);
+    expect(result.tokenChanges).toEqual([
+      expect.objectContaining({ scope: "repository", rule: `${sourceUrl}/rules/domains/node/a.md` })
+    ]);
+    expect(result.tokenChanges[0].after).toBeGreaterThan(result.tokenChanges[0].before);
+    expect(result.outputDiffs.map((diff) => [diff.scope, diff.targets])).toEqual([
+      ["repository", ["AGENTS.md"]],
+      ["global", DEFAULT_GLOBAL_OUTPUTS]
+    ]);
+    expect(result.outputDiffs[0].patch).toMatch(/^\+A, with a much longer explanation$/mu);
+    // Nothing is written: AGENTS.md still holds the locked version.
+    expect(fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")).toContain("# Old\nO");
+
+    const stdout = runCli(["diff", "--root", projectRoot, "--from", "v2.0.0", "--to", "v2.0.0"], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(stdout).toMatch(/Comparing .*: v2\.0\.0 -> v2\.0\.0\nComposed outputs are identical\./u);
+    expect(stdout).toMatch(
+      /Total tokens: repository \d+ -> \d+ \(\+0\), global \d+ -> \d+ \(\+0\)/u
+    );
+  }));
+
+// Lays out and composes a project whose rules come from an inherited, a direct
+// and a conditional Claude-only domain; returns the paths the tests need.
+const writeExplainProject = (tempRoot) => {
+  const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+  const projectRoot = path.join(tempRoot, "project");
+  const sourceRoot = path.join(tempRoot, "rules-source");
+
+  writeProfileManifest(sourceRoot, {
+    base: { domains: ["core"] },
+    p: {
+      extends: ["base"],
+      domains: ["node"],
+      conditionalDomains: [{ domain: "docker", when: { files: ["Dockerfile"] } }]
+    }
+  });
+  writeFile(path.join(sourceRoot, "rules", "domains", "core", "rule.md"), "# Core\nc");
+  writeFile(path.join(sourceRoot, "rules", "domains", "node", "rule.md"), "# Node\nn");
+  writeFile(
+    path.join(sourceRoot, "rules", "domains", "docker", "rule.md"),
+    "---\nagents: [claude]\n---\n# Docker\nPin base images."
+  );
+  writeFile(path.join(projectRoot, "Dockerfile"), "FROM node:20");
+  writeFile(
+    path.join(projectRoot, "agent-ruleset.json"),
+    JSON.stringify({
+      sources: [relSource(projectRoot, sourceRoot)],
+      profile: "p",
+      global: false
+    })
+  );
+  runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+  return { cliEnv, projectRoot, sourceRoot };
+};
+
+it("explain reports the source, domain and profile behind each section", () =>
+  withTempRoot((tempRoot) => {
+    const { cliEnv, projectRoot, sourceRoot } = writeExplainProject(tempRoot);
+
+    const explained = JSON.parse(
+      runCli(["explain", "--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv })
+    );
+    expect(explained).toMatchObject({ output: "AGENTS.md", scope: "repository", stale: false });
+    expect(explained.sections.map((section) => section.kind)).toEqual([
+      "header",
+      "tool-rules",
+      "rule",
+      "rule"
+    ]);
+    const agentsLines = fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8").split("\n");
+    const [, , core, node] = explained.sections;
+    expect(agentsLines.slice(core.startLine - 1, core.endLine).join("\n")).toBe(
+      formatRuleBlock(
+        path.join(sourceRoot, "rules", "domains", "core", "rule.md"),
+        "# Core\nc",
+        projectRoot
+      )
+    );
+    expect(core.rule).toMatchObject({ domain: "core", profile: "p", inheritedFrom: "base" });
+    expect(node.rule).toMatchObject({ domain: "node", profile: "p" });
+    expect(node.rule.inheritedFrom).toBeUndefined();
+  }));
+
+it("explain finds CLAUDE.md sections by text and by line", () =>
+  withTempRoot((tempRoot) => {
+    const { cliEnv, projectRoot } = writeExplainProject(tempRoot);
+
+    const grepped = runCli(
+      ["explain", "--root", projectRoot, "--output", "CLAUDE.md", "--grep", "base images"],
+      { cwd: repoRoot, env: cliEnv }
+    );
+    expect(grepped).toContain("CLAUDE.md (repository):");
+    expect(grepped).toContain("  Domain: docker");
+    expect(grepped).toContain("  Profile: p");
+    expect(grepped).toContain("  Condition: files Dockerfile");
+    expect(grepped).toContain("  6: Pin base images.");
+
+    const importLine = runCli(
+      ["explain", "--root", projectRoot, "--output", "CLAUDE.md", "--line", "1"],
+      { cwd: repoRoot, env: cliEnv }
+    );
+    expect(importLine).toContain("Line 1: import of the primary output");
+  }));
+
+it("explain notes an edited output and rejects a line outside it", () =>
+  withTempRoot((tempRoot) => {
+    const { cliEnv, projectRoot } = writeExplainProject(tempRoot);
+
+    fs.appendFileSync(path.join(projectRoot, "AGENTS.md"), "hand edit\n");
+    const stale = runCli(["explain", "--root", projectRoot, "--line", "1"], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(stale).toContain("Note: AGENTS.md differs from what compose would write now");
+    expect(stale).toContain("Line 1: markdownlint header");
+
+    const outside = runCliStatus(["explain", "--root", projectRoot, "--line", "999"], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(outside.status).not.toBe(0);
+    expect(outside.stderr).toMatch(/Line 999 is outside AGENTS\.md/u);
+  }));
+
+it("list-profiles and describe-profile report the profiles the sources define", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const overlayRoot = path.join(tempRoot, "overlay");
+
+    writeProfileManifest(sourceRoot, {
+      base: { domains: ["core"] },
+      "node-cli": {
+        extends: ["base"],
+        domains: ["node"],
+        conditionalDomains: [{ domain: "docker", when: { files: ["Dockerfile"] } }]
+      },
+      broken: { domains: ["missing"] }
+    });
+    writeProfileManifest(overlayRoot, { "node-cli": { domains: ["team"] } });
+    writeFile(path.join(sourceRoot, "rules", "domains", "core", "rule.md"), "# Core\nc");
+    writeFile(path.join(sourceRoot, "rules", "domains", "node", "a.md"), "# Node A\na");
+    writeFile(path.join(sourceRoot, "rules", "domains", "node", "b.md"), "# Node B\nb");
+    writeFile(path.join(sourceRoot, "rules", "domains", "docker", "rule.md"), "# Docker\nd");
+    writeFile(path.join(overlayRoot, "rules", "domains", "team", "rule.md"), "# Team\nt");
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({
+        sources: [relSource(projectRoot, sourceRoot), relSource(projectRoot, overlayRoot)],
+        profile: "node-cli",
+        global: false
+      })
+    );
+
+    const source = relSource(projectRoot, sourceRoot);
+    const overlay = relSource(projectRoot, overlayRoot);
+    const tokens = (body) => countBudgetTokens(body);
+    const listed = JSON.parse(
+      runCli(["list-profiles", "--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv })
+    ).profiles;
+    expect(listed.map((profile) => profile.name)).toEqual(["base", "broken", "node-cli"]);
+    expect(listed[0]).toEqual({
+      name: "base",
+      sources: [source],
+      selected: false,
+      domains: ["core"],
+      ruleCount: 1,
+      tokens: tokens("# Core\nc")
+    });
+    expect(listed[1].error).toMatch(/Domain directory "missing" for profile "broken" not found/u);
+    // The Dockerfile is missing, so the conditional domain is left out.
+    expect(listed[2]).toMatchObject({
+      name: "node-cli",
+      sources: [source, overlay],
+      selected: true,
+      domains: ["core", "node", "team"],
+      ruleCount: 4
+    });
+
+    writeFile(path.join(projectRoot, "Dockerfile"), "FROM node:20");
+    const [described] = JSON.parse(
+      runCli(["describe-profile", "--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv })
+    ).profiles;
+    expect(described.name).toBe("node-cli");
+    expect(described.extends).toEqual(["base"]);
+    expect(described.domains.map((domain) => domain.domain)).toEqual([
+      "core",
+      "node",
+      "docker",
+      "team"
+    ]);
+    expect(described.domains[0]).toMatchObject({ inheritedFrom: "base" });
+    expect(described.domains[1].rules).toEqual([
+      { rule: `${source}/rules/domains/node/a.md`, tokens: tokens("# Node A\na") },
+      { rule: `${source}/rules/domains/node/b.md`, tokens: tokens("# Node B\nb") }
+    ]);
+    expect(described.domains[2].condition).toEqual({ files: ["Dockerfile"] });
+    expect(described.ruleCount).toBe(5);
+
+    const text = runCli(["describe-profile", "--root", projectRoot, "--profile", "base"], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(text).toContain("Profile base\n");
+    expect(text).toContain(`  - core: 1 rule file, ${tokens("# Core\nc")} tokens`);
+    expect(text).toContain("  Total: 1 domain, 1 rule file,");
+
+    const unknown = runCliStatus(["describe-profile", "--root", projectRoot, "--profile", "nope"], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(unknown.status).not.toBe(0);
+    expect(unknown.stderr).toMatch(/Profile "nope" is not defined by any source/u);
+  }));
+
+it("doctor reports source, cache, workspace and global output problems with fixes", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const workRoot = path.join(tempRoot, "work");
+    const bareDir = path.join(tempRoot, "rules.git");
+    const sourceUrl = pathToFileURL(bareDir).href;
+    const source = `${sourceUrl}@v1.0.0`;
+
+    writeBaseSource(workRoot, { domains: ["node"] });
+    writeFile(path.join(workRoot, "rules", "domains", "node", "a.md"), "# Node\nA");
+    commitGitRepo(workRoot);
+    git(["tag", "v1.0.0"], workRoot);
+    publishRemote(workRoot, bareDir);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [source], profile: BASE_PROFILE })
+    );
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    // A partial clone next to the real checkout, a dirty workspace, and a
+    // global file last written by something else.
+    const cacheRoot = path.join(fakeHome, ".agentsmd", "cache");
+    const repoCacheKey = path.relative(
+      cacheRoot,
+      path.dirname(
+        fs
+          .readdirSync(cacheRoot, { recursive: true })
+          .map((entry) => path.join(cacheRoot, entry))
+          .find((entry) => path.basename(entry) === "v1.0.0")
+      )
+    );
+    writeFile(path.join(cacheRoot, repoCacheKey, "v0.9.0", "partial"), "");
+    const workspaceRoot = path.join(fakeHome, ".agentsmd", "workspace", repoCacheKey);
+    git(["clone", "-q", "--branch", "main", bareDir, workspaceRoot], tempRoot);
+    writeFile(path.join(workspaceRoot, "scratch.md"), "draft");
+    fs.writeFileSync(path.join(fakeHome, DEFAULT_GLOBAL_OUTPUTS[0].slice(2)), "other\n");
+
+    const report = JSON.parse(
+      runCli(["doctor", "--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv })
+    );
+    expect(report.ok).toBe(true);
+    const byCheck = (check, subject) =>
+      report.checks.find((entry) => entry.check === check && entry.subject === subject);
+    expect(report.checks[0]).toMatchObject({ check: "git", status: "ok" });
+    expect(report.checks[0].message).toMatch(/^git version /u);
+    expect(byCheck("ruleset", "agent-ruleset.json")).toMatchObject({ status: "ok" });
+    expect(byCheck("source", source)).toMatchObject({ status: "ok" });
+    expect(byCheck("manifest", source)).toMatchObject({ status: "ok" });
+    expect(byCheck("profile", BASE_PROFILE)).toMatchObject({ status: "ok" });
+    expect(byCheck("cache", source)).toMatchObject({ status: "warning" });
+    expect(byCheck("cache", source).message).toContain("v0.9.0");
+    expect(byCheck("workspace", source)).toMatchObject({ status: "warning" });
+    expect(byCheck("workspace", source).message).toContain("has uncommitted changes");
+    expect(byCheck("global", DEFAULT_GLOBAL_OUTPUTS[0])).toMatchObject({
+      status: "warning",
+      fix: "Run compose-agentsmd from this ruleset to write it."
+    });
+    expect(byCheck("global", DEFAULT_GLOBAL_OUTPUTS[1])).toMatchObject({ status: "ok" });
+
+    const localRoot = path.join(tempRoot, "local");
+    writeProfileManifest(localRoot, { [BASE_PROFILE]: { domains: ["absent"] } });
+    writeFile(path.join(localRoot, "rules", "global", "only.md"), "# Only\n1");
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, localRoot)], profile: BASE_PROFILE })
+    );
+    const missingDomain = runCliStatus(["doctor", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(missingDomain.status).toBe(1);
+    expect(missingDomain.stdout).toContain(
+      `✖ profile ${BASE_PROFILE}: Missing domain directories: absent (${relSource(projectRoot, localRoot)})`
+    );
+    expect(missingDomain.stdout).toContain(
+      "  Fix: Create rules/domains/<domain> in the source, or remove the domain from the profile."
+    );
+    expect(missingDomain.stdout).toMatch(/Found 1 error and 0 warnings\.\n$/u);
+
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({
+        sources: [`${pathToFileURL(path.join(tempRoot, "missing.git")).href}@v1.0.0`],
+        profile: BASE_PROFILE
+      })
+    );
+    const unreachable = runCliStatus(["doctor", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(unreachable.status).toBe(1);
+    expect(unreachable.stdout).toMatch(/✖ source .*missing\.git@v1\.0\.0: Cannot reach /u);
+  }));
+
+it("doctor reports a malformed source and a corrupt lockfile instead of crashing", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const localSource = relSource(projectRoot, sourceRoot);
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: ["github:owner", localSource], profile: BASE_PROFILE })
+    );
+    writeFile(path.join(projectRoot, "agent-ruleset.lock.json"), "{ not json");
+
+    const { status, stdout, stderr } = runCliStatus(["doctor", "--root", projectRoot, "--json"], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).toBe(1);
+    expect(stderr).toBe("");
+    const report = JSON.parse(stdout);
+    expect(report.ok).toBe(false);
+    expect(report.checks.find((entry) => entry.check === "lockfile")).toMatchObject({
+      subject: "agent-ruleset.lock.json",
+      status: "error"
+    });
+    expect(
+      report.checks.find((entry) => entry.check === "source" && entry.subject === "github:owner")
+    ).toMatchObject({ status: "error" });
+    // The remaining checks still run.
+    expect(
+      report.checks.find((entry) => entry.check === "source" && entry.subject === localSource)
+    ).toMatchObject({ status: "ok" });
+    expect(
+      report.checks.find((entry) => entry.check === "manifest" && entry.subject === localSource)
+    ).toMatchObject({ status: "ok" });
+  }));
+
+it("lint-rules checks the rules source at the root and exits 1 on errors", () =>
+  withTempRoot((tempRoot) => {
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    writeBaseSource(sourceRoot, { domains: ["node"] });
+    writeFile(path.join(sourceRoot, "rules", "domains", "node", "a.md"), "# Node\n\n[b](./b.md)");
+
+    const { status, stdout } = runCliStatus(["lint-rules", "--root", sourceRoot], {
+      cwd: repoRoot
+    });
+    expect(status).toBe(1);
+    expect(stdout).toBe(
+      'rules/domains/node/a.md:3: error relative-link: Relative link "./b.md" breaks once the ' +
+        "rule is composed into another repository; use an absolute URL.\n" +
+        "Checked 2 rule files: 1 error, 0 warnings.\n"
+    );
+
+    writeFile(path.join(sourceRoot, "rules", "domains", "node", "a.md"), "# Node\nA");
+    const clean = JSON.parse(
+      runCli(["lint-rules", "--root", sourceRoot, "--json"], { cwd: repoRoot })
+    );
+    expect(clean).toEqual({ ok: true, files: 2, issues: [] });
+  }));
+
+it("resolves a #subpath fragment as the source root inside a monorepo", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const workRoot = path.join(tempRoot, "work");
+    const bareDir = path.join(tempRoot, "platform.git");
+    const sourceUrl = pathToFileURL(bareDir).href;
+    const source = `${sourceUrl}@v3.0.0#packages/agent-rules`;
+
+    // A root-level rules/ directory must be ignored in favour of the subpath.
+    writeFile(path.join(workRoot, "rules", "domains", "node", "root.md"), "# Root\nR");
+    const subRoot = path.join(workRoot, "packages", "agent-rules");
+    writeBaseSource(subRoot, { domains: ["node"] });
+    writeFile(path.join(subRoot, "rules", "domains", "node", "a.md"), "# Node\nA");
+    commitGitRepo(workRoot);
+    git(["tag", "v3.0.0"], workRoot);
+    publishRemote(workRoot, bareDir);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [source], profile: BASE_PROFILE }, null, 2)
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const agents = fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8");
+    expect(agents).toContain(
+      `Source: ${sourceUrl}@v3.0.0/packages/agent-rules/rules/domains/node/a.md`
+    );
+    expect(agents).not.toContain("# Root");
+    const lockfile = JSON.parse(
+      fs.readFileSync(path.join(projectRoot, "agent-ruleset.lock.json"), "utf8")
+    );
+    expect(lockfile.sources[source].contentHash).toBe(computeSourceContentHash(subRoot));
+  }));
+
+it("reports a missing #subpath directory", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const workRoot = path.join(tempRoot, "work");
+    const bareDir = path.join(tempRoot, "platform.git");
+
+    writeBaseSource(workRoot);
+    commitGitRepo(workRoot);
+    git(["tag", "v1.0.0"], workRoot);
+    publishRemote(workRoot, bareDir);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        { sources: [`${pathToFileURL(bareDir).href}@v1.0.0#missing/dir`], profile: BASE_PROFILE },
+        null,
+        2
+      )
+    );
+
+    const { status, stderr } = runCliStatus(["--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).not.toBe(0);
+    expect(stderr).toMatch(/Missing directory: .*missing[\\/]dir/u);
+  }));
+
+it("does not write a lockfile for local sources", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
+        null,
+        2
+      )
+    );
+
+    const stdout = runCli(["update", "--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(stdout).toMatch(/No remote sources to lock\./u);
+    expect(fs.existsSync(path.join(projectRoot, "agent-ruleset.lock.json"))).toBe(false);
+    expect(fs.existsSync(path.join(projectRoot, "AGENTS.md"))).toBe(true);
+  }));
+
+it("edit-rules uses local source path as workspace", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
+        null,
+        2
+      )
+    );
+
+    const stdout = runCli(["edit-rules", "--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(stdout).toMatch(
+      new RegExp(`Rules workspace: ${sourceRoot.replace(/\\/g, "\\\\")}`, "u")
+    );
+    expect(stdout).toMatch(
+      new RegExp(`Rules directory: ${path.join(sourceRoot, "rules").replace(/\\/g, "\\\\")}`, "u")
     );
     expect(stdout).toMatch(/Next steps:/u);
     expect(stdout).toMatch(/compose-agentsmd apply-rules/u);
@@ -1044,6 +2374,12 @@ it("apply-rules supports --json output", () =>
       composed: DEFAULT_COMPOSED_OUTPUTS,
       repositoryOutputs: DEFAULT_REPOSITORY_OUTPUTS,
       globalOutputs: DEFAULT_GLOBAL_OUTPUTS,
+      rules: [
+        {
+          scope: "global",
+          source: relSource(projectRoot, path.join(rulesRoot, "global", "only.md"))
+        }
+      ],
       dryRun: false,
       budget: buildExpectedBudget([onlyRule])
     });
@@ -1085,6 +2421,12 @@ it("apply-rules respects --dry-run with --json", () =>
       composed: DEFAULT_COMPOSED_OUTPUTS,
       repositoryOutputs: DEFAULT_REPOSITORY_OUTPUTS,
       globalOutputs: DEFAULT_GLOBAL_OUTPUTS,
+      rules: [
+        {
+          scope: "global",
+          source: relSource(projectRoot, path.join(rulesRoot, "global", "only.md"))
+        }
+      ],
       dryRun: true,
       budget: buildExpectedBudget([onlyRule])
     });
@@ -1131,6 +2473,34 @@ it("init accepts a custom profile", () =>
     expect(ruleset.sources).toEqual(["github:owner/repo"]);
   }));
 
+it("init rejects a profile the sources do not define", () =>
+  withTempRoot((tempRoot) => {
+    const remotesRoot = path.join(tempRoot, "remotes");
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"), createGithubRedirectEnv(remotesRoot));
+    const projectRoot = path.join(tempRoot, "project");
+    const workRoot = path.join(tempRoot, "work");
+
+    writeBaseSource(workRoot);
+    writeProfileManifest(workRoot, { "node-cli": { domains: [] }, "course-docs": { domains: [] } });
+    commitGitRepo(workRoot);
+    git(["tag", "v1.0.0"], workRoot);
+    publishRemote(workRoot, path.join(remotesRoot, "owner", "repo.git"));
+
+    const { status, stderr } = runCliStatus(
+      ["init", "--yes", "--profile", "nope", "--root", projectRoot],
+      { cwd: repoRoot, env: cliEnv }
+    );
+    expect(status).toBe(1);
+    expect(stderr).toContain("Unknown profile: nope. Choose one of: course-docs, node-cli");
+    expect(fs.existsSync(path.join(projectRoot, "agent-ruleset.json"))).toBe(false);
+
+    runCli(["init", "--yes", "--profile", "course-docs", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(fs.existsSync(path.join(projectRoot, "agent-ruleset.json"))).toBe(true);
+  }));
+
 it("supports --quiet and -q to suppress output", () =>
   withTempRoot((tempRoot) => {
     const cliEnv = createCliEnv(path.join(tempRoot, "home"));
@@ -1179,6 +2549,12 @@ it("supports --json for machine-readable output", () =>
       composed: DEFAULT_COMPOSED_OUTPUTS,
       repositoryOutputs: DEFAULT_REPOSITORY_OUTPUTS,
       globalOutputs: DEFAULT_GLOBAL_OUTPUTS,
+      rules: [
+        {
+          scope: "global",
+          source: relSource(projectRoot, path.join(rulesRoot, "global", "only.md"))
+        }
+      ],
       dryRun: false,
       budget: buildExpectedBudget([onlyRule])
     });
@@ -1285,121 +2661,785 @@ it("check exits 0 when repository outputs are current", () =>
     expect(stdout).toMatch(/Repository outputs are up to date/u);
   }));
 
-it("check does not inspect global output files", () =>
+it("check does not inspect global output files", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome);
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
+        null,
+        2
+      )
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    const codexGlobalOutput = path.join(fakeHome, ".codex", "AGENTS.md");
+    fs.rmSync(codexGlobalOutput, { force: true });
+    fs.mkdirSync(codexGlobalOutput, { recursive: true });
+
+    const { status, stdout, stderr } = runCliStatus(["check", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).toBe(0);
+    expect(stderr).toBe("");
+    expect(stdout).toMatch(/Repository outputs are up to date/u);
+  }));
+
+// (14) check exits 1 when AGENTS.md is stale.
+it("check exits 1 when AGENTS.md is stale", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
+        null,
+        2
+      )
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    writeFile(path.join(projectRoot, "AGENTS.md"), "stale content\n");
+
+    const { status, stdout } = runCliStatus(["check", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).toBe(1);
+    expect(stdout).toMatch(/Stale repository outputs/u);
+    expect(stdout).toMatch(/- AGENTS\.md/u);
+  }));
+
+// (15) check writes no files.
+it("check writes no files", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
+        null,
+        2
+      )
+    );
+
+    const { status } = runCliStatus(["check", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).toBe(1);
+    expect(fs.existsSync(path.join(projectRoot, "AGENTS.md"))).toBe(false);
+    expect(fs.existsSync(path.join(projectRoot, "CLAUDE.md"))).toBe(false);
+  }));
+
+it("check supports --json output", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
+        null,
+        2
+      )
+    );
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    const { status, stdout } = runCliStatus(["check", "--json", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(status).toBe(0);
+    const result = JSON.parse(stdout);
+    const onlyRule = formatRuleBlock(
+      path.join(sourceRoot, "rules", "global", "only.md"),
+      "# Only\n1",
+      projectRoot
+    );
+    expect(result).toEqual({
+      check: true,
+      upToDate: true,
+      repositoryOutputs: DEFAULT_REPOSITORY_OUTPUTS,
+      stale: [],
+      obsolete: [],
+      budget: buildExpectedBudget([onlyRule]),
+      budgetFailed: false
+    });
+  }));
+
+it("check --global reports stale, missing and foreign user-global outputs", () =>
+  withTempRoot((tempRoot) => {
+    const home = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(home);
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
+    );
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const codexPath = path.join(home, ".codex", "AGENTS.md");
+    fs.appendFileSync(codexPath, "\nA local edit.\n", "utf8");
+    fs.rmSync(path.join(home, ".gemini", "GEMINI.md"));
+    writeFile(
+      path.join(home, ".claude", "CLAUDE.md"),
+      "Source: ../other-rules/rules/global/other.md\n\n# Other\n"
+    );
+
+    // Without --global, check still ignores the user-global outputs.
+    expect(
+      runCliStatus(["check", "--root", projectRoot], { cwd: repoRoot, env: cliEnv }).status
+    ).toBe(0);
+
+    const { status, stdout } = runCliStatus(
+      ["check", "--global", "--json", "--root", projectRoot],
+      {
+        cwd: repoRoot,
+        env: cliEnv
+      }
+    );
+    expect(status).toBe(1);
+    const result = JSON.parse(stdout);
+    expect(result.upToDate).toBe(true);
+    expect(result.global.upToDate).toBe(false);
+    expect(
+      result.global.targets.map(({ target, output, status }) => [target, output, status])
+    ).toEqual([
+      ["codex", "~/.codex/AGENTS.md", "stale"],
+      ["opencode", "~/.config/opencode/AGENTS.md", "current"],
+      ["claude", "~/.claude/CLAUDE.md", "foreign"],
+      ["gemini", "~/.gemini/GEMINI.md", "missing"],
+      ["copilot", "~/.copilot/copilot-instructions.md", "current"]
+    ]);
+    expect(result.global.targets[0].patch).toMatch(/^-A local edit\.$/mu);
+    expect(result.global.targets[1].patch).toBeUndefined();
+
+    const text = runCliStatus(["check", "--global", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    }).stdout;
+    expect(text).toContain(
+      [
+        "User-global outputs:",
+        "- codex: ~/.codex/AGENTS.md (stale)",
+        "- opencode: ~/.config/opencode/AGENTS.md (current)",
+        "- claude: ~/.claude/CLAUDE.md (foreign)",
+        "- gemini: ~/.gemini/GEMINI.md (missing)",
+        "- copilot: ~/.copilot/copilot-instructions.md (current)"
+      ].join("\n")
+    );
+    expect(text).toContain("--- BEGIN GLOBAL DIFF ---");
+  }));
+
+it("check --global reports a global file from an older source version as stale", () =>
+  withTempRoot((tempRoot) => {
+    const fakeHome = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(fakeHome, { GIT_ALLOW_PROTOCOL: "file" });
+    const projectRoot = path.join(tempRoot, "project");
+    const cacheRoot = path.join(fakeHome, ".agentsmd", "cache", "example", "rules");
+    const lockVersion = (ref) => {
+      const cacheDir = path.join(cacheRoot, ref);
+      writeBaseSource(cacheDir);
+      writeFile(path.join(cacheDir, "rules", "global", "only.md"), `# Global\n${ref}\n`);
+      writeLockfile(projectRoot, {
+        "github:example/rules": {
+          url: "https://github.com/example/rules.git",
+          ref,
+          commit: commitGitRepo(cacheDir),
+          contentHash: computeSourceContentHash(cacheDir)
+        }
+      });
+    };
+
+    lockVersion("v1.0.0");
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: ["github:example/rules"], profile: BASE_PROFILE })
+    );
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    // Without a record of the writer, the provenance lines decide.
+    fs.rmSync(path.join(fakeHome, ".agentsmd", "outputs.json"));
+
+    lockVersion("v2.0.0");
+    const { status, stdout } = runCliStatus(
+      ["check", "--global", "--json", "--root", projectRoot],
+      { cwd: repoRoot, env: cliEnv }
+    );
+    expect(status).toBe(1);
+    expect(JSON.parse(stdout).global.targets[0]).toMatchObject({
+      target: "codex",
+      status: "stale"
+    });
+  }));
+
+it("writes a symlinked user-global output through the link", () =>
+  withTempRoot((tempRoot) => {
+    const home = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(home);
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const claudePath = path.join(home, ".claude", "CLAUDE.md");
+    const dotfilePath = path.join(tempRoot, "dotfiles", "CLAUDE.md");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
+    );
+    writeFile(dotfilePath, "# Dotfiles\n");
+    fs.mkdirSync(path.dirname(claudePath), { recursive: true });
+    fs.symlinkSync(dotfilePath, claudePath);
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    expect(fs.lstatSync(claudePath).isSymbolicLink()).toBe(true);
+    expect(fs.readFileSync(dotfilePath, "utf8")).toContain(
+      "Source: ../rules-source/rules/global/only.md"
+    );
+    expect(
+      runCliStatus(["check", "--global", "--root", projectRoot], { cwd: repoRoot, env: cliEnv })
+        .status
+    ).toBe(0);
+  }));
+
+const HAND_WRITTEN_GEMINI = "# My Gemini notes\n\nAnswer in French.\n";
+
+// Lays out a project with a local source next to a hand-written
+// ~/.gemini/GEMINI.md; returns the paths the tests need.
+const writeHandWrittenGlobalProject = (tempRoot) => {
+  const home = path.join(tempRoot, "home");
+  const projectRoot = path.join(tempRoot, "project");
+  const sourceRoot = path.join(tempRoot, "rules-source");
+  const geminiPath = path.join(home, ".gemini", "GEMINI.md");
+
+  writeBaseSource(sourceRoot);
+  writeFile(
+    path.join(projectRoot, "agent-ruleset.json"),
+    JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
+  );
+  writeFile(geminiPath, HAND_WRITTEN_GEMINI);
+  return { home, cliEnv: createCliEnv(home), projectRoot, geminiPath };
+};
+
+it("refuses to overwrite a hand-written global file when configured to", () =>
+  withTempRoot((tempRoot) => {
+    const { home, cliEnv, projectRoot, geminiPath } = writeHandWrittenGlobalProject(tempRoot);
+    writeFile(path.join(home, ".agentsmd", "config.json"), JSON.stringify({ overwrite: "refuse" }));
+
+    const refused = runCliStatus(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(refused.status).toBe(1);
+    expect(refused.stderr).toContain(
+      "Refusing to overwrite files compose did not write: ~/.gemini/GEMINI.md."
+    );
+    expect(fs.readFileSync(geminiPath, "utf8")).toBe(HAND_WRITTEN_GEMINI);
+  }));
+
+it("backs up a hand-written global file once before overwriting it", () =>
+  withTempRoot((tempRoot) => {
+    const { home, cliEnv, projectRoot, geminiPath } = writeHandWrittenGlobalProject(tempRoot);
+
+    const stdout = runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(stdout).toContain(
+      "Backed up files compose did not write (undo with compose-agentsmd restore):\n" +
+        "- ~/.gemini/GEMINI.md\n"
+    );
+    expect(fs.readFileSync(geminiPath, "utf8")).not.toBe(HAND_WRITTEN_GEMINI);
+
+    // The recorded hash marks the file as compose's own, so recomposing does not back it up again.
+    const state = JSON.parse(fs.readFileSync(path.join(home, ".agentsmd", "outputs.json"), "utf8"));
+    expect(state.files[geminiPath].ruleset).toBe(path.join(projectRoot, "agent-ruleset.json"));
+    const second = JSON.parse(
+      runCli(["--json", "--root", projectRoot], { cwd: repoRoot, env: cliEnv })
+    );
+    expect(second.backups).toBeUndefined();
+  }));
+
+it("restore puts back the newest backup and names the backups for an unknown id", () =>
+  withTempRoot((tempRoot) => {
+    const { cliEnv, projectRoot, geminiPath } = writeHandWrittenGlobalProject(tempRoot);
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const dryRun = runCli(["restore", "--dry-run"], { cwd: repoRoot, env: cliEnv });
+    expect(dryRun).toMatch(/^Would restore from backup \S+:\n- ~\/\.gemini\/GEMINI\.md\n$/u);
+    expect(fs.readFileSync(geminiPath, "utf8")).not.toBe(HAND_WRITTEN_GEMINI);
+
+    const restored = JSON.parse(runCli(["restore", "--json"], { cwd: repoRoot, env: cliEnv }));
+    expect(restored.restored.files.map((file) => file.path)).toEqual([geminiPath]);
+    expect(fs.readFileSync(geminiPath, "utf8")).toBe(HAND_WRITTEN_GEMINI);
+
+    const unknown = runCliStatus(["restore", "--backup", "nope"], { cwd: repoRoot, env: cliEnv });
+    expect(unknown.status).toBe(1);
+    expect(unknown.stderr).toContain(
+      `Unknown backup: nope. Choose one of: ${restored.restored.id}`
+    );
+  }));
+
+it("backs up a composed global file that was edited since compose wrote it", () =>
   withTempRoot((tempRoot) => {
-    const fakeHome = path.join(tempRoot, "home");
-    const cliEnv = createCliEnv(fakeHome);
+    const home = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(home);
     const projectRoot = path.join(tempRoot, "project");
     const sourceRoot = path.join(tempRoot, "rules-source");
+    const geminiPath = path.join(home, ".gemini", "GEMINI.md");
 
     writeBaseSource(sourceRoot);
     writeFile(
       path.join(projectRoot, "agent-ruleset.json"),
-      JSON.stringify(
-        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
-        null,
-        2
-      )
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
     );
-
     runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
-    const codexGlobalOutput = path.join(fakeHome, ".codex", "AGENTS.md");
-    fs.rmSync(codexGlobalOutput, { force: true });
-    fs.mkdirSync(codexGlobalOutput, { recursive: true });
+    // Still starts with the generated header, but the recorded hash no longer matches.
+    fs.appendFileSync(geminiPath, "\nMy notes.\n", "utf8");
+    const edited = fs.readFileSync(geminiPath, "utf8");
+    writeBaseSource(sourceRoot, { global: "# Only\n2" });
 
-    const { status, stdout, stderr } = runCliStatus(["check", "--root", projectRoot], {
-      cwd: repoRoot,
-      env: cliEnv
-    });
-    expect(status).toBe(0);
-    expect(stderr).toBe("");
-    expect(stdout).toMatch(/Repository outputs are up to date/u);
+    const result = JSON.parse(
+      runCli(["--json", "--root", projectRoot], { cwd: repoRoot, env: cliEnv })
+    );
+    expect(result.backups.flatMap((backup) => backup.files.map((file) => file.path))).toEqual([
+      geminiPath
+    ]);
+    expect(fs.readFileSync(geminiPath, "utf8")).not.toContain("My notes.");
+
+    runCli(["restore"], { cwd: repoRoot, env: cliEnv });
+    expect(fs.readFileSync(geminiPath, "utf8")).toBe(edited);
   }));
 
-// (14) check exits 1 when AGENTS.md is stale.
-it("check exits 1 when AGENTS.md is stale", () =>
+it("compose changes no output when the output state cannot be written", () =>
   withTempRoot((tempRoot) => {
-    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const home = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(home);
     const projectRoot = path.join(tempRoot, "project");
     const sourceRoot = path.join(tempRoot, "rules-source");
+    const agentsPath = path.join(projectRoot, "AGENTS.md");
 
     writeBaseSource(sourceRoot);
     writeFile(
       path.join(projectRoot, "agent-ruleset.json"),
-      JSON.stringify(
-        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
-        null,
-        2
-      )
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
     );
+    // A file in place of ~/.agentsmd makes outputs.json unwritable.
+    writeFile(path.join(home, ".agentsmd"), "not a directory\n");
 
-    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
-    writeFile(path.join(projectRoot, "AGENTS.md"), "stale content\n");
-
-    const { status, stdout } = runCliStatus(["check", "--root", projectRoot], {
+    const { status, stderr } = runCliStatus(["--root", projectRoot], {
       cwd: repoRoot,
       env: cliEnv
     });
     expect(status).toBe(1);
-    expect(stdout).toMatch(/Stale repository outputs/u);
-    expect(stdout).toMatch(/- AGENTS\.md/u);
+    expect(stderr).toMatch(/Unable to write .*outputs\.json: .*\. No files changed\./u);
+    expect(fs.existsSync(agentsPath)).toBe(false);
+    expect(fs.existsSync(path.join(home, ".codex"))).toBe(false);
   }));
 
-// (15) check writes no files.
-it("check writes no files", () =>
+it("compose changes no output when one global target cannot be written", () =>
   withTempRoot((tempRoot) => {
-    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const home = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(home);
     const projectRoot = path.join(tempRoot, "project");
     const sourceRoot = path.join(tempRoot, "rules-source");
+    const agentsPath = path.join(projectRoot, "AGENTS.md");
 
     writeBaseSource(sourceRoot);
     writeFile(
       path.join(projectRoot, "agent-ruleset.json"),
-      JSON.stringify(
-        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
-        null,
-        2
-      )
+      JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
     );
+    writeFile(agentsPath, "# Previous rules\n");
+    // A directory in place of the Gemini file makes its write fail after the others are staged.
+    fs.mkdirSync(path.join(home, ".gemini", "GEMINI.md", "notes"), { recursive: true });
 
-    const { status } = runCliStatus(["check", "--root", projectRoot], {
+    const { status, stderr } = runCliStatus(["--root", projectRoot], {
       cwd: repoRoot,
       env: cliEnv
     });
     expect(status).toBe(1);
-    expect(fs.existsSync(path.join(projectRoot, "AGENTS.md"))).toBe(false);
+    expect(stderr).toMatch(/Unable to write .*GEMINI\.md: .*\. No files changed\./u);
+    expect(fs.readFileSync(agentsPath, "utf8")).toBe("# Previous rules\n");
     expect(fs.existsSync(path.join(projectRoot, "CLAUDE.md"))).toBe(false);
+    expect(fs.existsSync(path.join(home, ".codex", "AGENTS.md"))).toBe(false);
   }));
 
-it("check supports --json output", () =>
+it("check --global names the ruleset that last wrote a foreign global file", () =>
   withTempRoot((tempRoot) => {
-    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const home = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(home);
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const projectA = path.join(tempRoot, "a");
+    // Deeper, so its Source lines differ from those of project a.
+    const projectB = path.join(tempRoot, "nested", "b");
+
+    writeBaseSource(sourceRoot);
+    for (const projectRoot of [projectA, projectB]) {
+      writeFile(
+        path.join(projectRoot, "agent-ruleset.json"),
+        JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
+      );
+    }
+    runCli(["--root", projectB], { cwd: repoRoot, env: cliEnv });
+
+    const text = runCliStatus(["check", "--global", "--root", projectA], {
+      cwd: repoRoot,
+      env: cliEnv
+    }).stdout;
+    expect(text).toContain(
+      `- codex: ~/.codex/AGENTS.md (foreign, written by ${normalizePath(
+        path.join(projectB, "agent-ruleset.json")
+      )})`
+    );
+  }));
+
+it("managedBlock keeps hand-written content around the composed rules", () =>
+  withTempRoot((tempRoot) => {
+    const home = path.join(tempRoot, "home");
+    const cliEnv = createCliEnv(home);
     const projectRoot = path.join(tempRoot, "project");
     const sourceRoot = path.join(tempRoot, "rules-source");
+    const agentsPath = path.join(projectRoot, "AGENTS.md");
+    const claudeGlobalPath = path.join(home, ".claude", "CLAUDE.md");
+    const begin = "<!-- compose-agentsmd:begin -->";
+    const end = "<!-- compose-agentsmd:end -->";
 
     writeBaseSource(sourceRoot);
     writeFile(
       path.join(projectRoot, "agent-ruleset.json"),
-      JSON.stringify(
-        { sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE },
-        null,
-        2
-      )
+      JSON.stringify({
+        sources: [relSource(projectRoot, sourceRoot)],
+        profile: BASE_PROFILE,
+        managedBlock: true
+      })
     );
+    writeFile(agentsPath, "# Project notes\n\nRun make before pushing.\n");
+    writeFile(claudeGlobalPath, `# Personal\n\nBe brief.\n\n${begin}\nold\n${end}\n\nBye.\n`);
 
     runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
-    const { status, stdout } = runCliStatus(["check", "--json", "--root", projectRoot], {
+    const onlyRule = formatRuleBlock(
+      path.join(sourceRoot, "rules", "global", "only.md"),
+      "# Only\n1",
+      projectRoot
+    );
+    expect(fs.readFileSync(agentsPath, "utf8")).toBe(
+      `# Project notes\n\nRun make before pushing.\n\n${begin}\n${withToolRules("")}${end}\n`
+    );
+    expect(fs.readFileSync(claudeGlobalPath, "utf8")).toBe(
+      `# Personal\n\nBe brief.\n\n${begin}\n${buildGlobalOutput([onlyRule])}${end}\n\nBye.\n`
+    );
+
+    // Edits outside the block are not drift; edits inside it are.
+    fs.appendFileSync(agentsPath, "\nMore notes.\n", "utf8");
+    expect(
+      runCliStatus(["check", "--root", projectRoot], { cwd: repoRoot, env: cliEnv }).status
+    ).toBe(0);
+    fs.writeFileSync(
+      agentsPath,
+      fs.readFileSync(agentsPath, "utf8").replace(end, `Edited.\n${end}`),
+      "utf8"
+    );
+    expect(
+      runCliStatus(["check", "--root", projectRoot], { cwd: repoRoot, env: cliEnv }).status
+    ).toBe(1);
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(fs.readFileSync(agentsPath, "utf8")).toMatch(/\nMore notes\.\n$/u);
+    expect(fs.readFileSync(agentsPath, "utf8")).not.toContain("Edited.");
+    // Explain maps lines of the file on disk, markers included.
+    const explained = JSON.parse(
+      runCli(["explain", "--json", "--line", "6", "--root", projectRoot], {
+        cwd: repoRoot,
+        env: cliEnv
+      })
+    );
+    expect(explained.stale).toBe(false);
+    expect(explained.sections.map((section) => section.kind)).toEqual(["header"]);
+  }));
+
+// Resolves with the child's stdout, from now on, once it matches `pattern`.
+// Stays below the default test timeout, so a hang reports the output so far.
+const waitForOutput = (child, pattern, timeoutMs = 4000) =>
+  new Promise((resolve, reject) => {
+    let output = "";
+    const onData = (chunk) => {
+      output += chunk;
+      if (pattern.test(output)) {
+        clearTimeout(timer);
+        child.stdout.off("data", onData);
+        resolve(output);
+      }
+    };
+    const timer = setTimeout(() => {
+      child.stdout.off("data", onData);
+      reject(new Error(`Timed out waiting for ${pattern}. Output:\n${output}`));
+    }, timeoutMs);
+    child.stdout.on("data", onData);
+  });
+
+it("watch recomposes when a local rule changes without writing global outputs", async () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-"));
+  const fakeHome = path.join(tempRoot, "home");
+  const projectRoot = path.join(tempRoot, "project");
+  const sourceRoot = path.join(tempRoot, "rules-source");
+  const rulePath = path.join(sourceRoot, "rules", "domains", "node", "a.md");
+
+  writeBaseSource(sourceRoot, { domains: ["node"] });
+  writeFile(rulePath, "# Node\nA");
+  writeFile(
+    path.join(projectRoot, "agent-ruleset.json"),
+    JSON.stringify({ sources: [relSource(projectRoot, sourceRoot)], profile: BASE_PROFILE })
+  );
+
+  const child = spawn(process.execPath, [cliPath, "watch", "--root", projectRoot], {
+    cwd: repoRoot,
+    env: { ...process.env, ...createCliEnv(fakeHome) },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  child.stdout.setEncoding("utf8");
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  try {
+    const initialOutput = await waitForOutput(child, /Watching for rule changes/u);
+    expect(initialOutput).toMatch(/Global rules budget \(o200k_base\): \d+\/8000 tokens/u);
+    expect(fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")).toContain("# Node\nA");
+
+    writeFile(rulePath, "# Node\nB");
+    const changeOutput = await waitForOutput(child, /--- END REPOSITORY DIFF ---/u);
+
+    expect(changeOutput).toMatch(/Changed:\n- .*a\.md/u);
+    expect(changeOutput).toMatch(/^\+B$/mu);
+    expect(fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")).toContain("# Node\nB");
+    expect(fs.existsSync(path.join(fakeHome, ".codex", "AGENTS.md"))).toBe(false);
+  } finally {
+    child.kill();
+    await exited;
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+it("watch keeps running when the ruleset points at a missing source and picks up the fix", async () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-"));
+  const projectRoot = path.join(tempRoot, "project");
+  const sourceRoot = path.join(tempRoot, "rules-source");
+  const rulesetPath = path.join(projectRoot, "agent-ruleset.json");
+  const writeRuleset = (source) =>
+    writeFile(rulesetPath, JSON.stringify({ sources: [source], profile: BASE_PROFILE }));
+
+  writeBaseSource(sourceRoot, { domains: ["node"] });
+  writeFile(path.join(sourceRoot, "rules", "domains", "node", "a.md"), "# Node\nA");
+  writeRuleset(relSource(projectRoot, sourceRoot));
+
+  const child = spawn(process.execPath, [cliPath, "watch", "--root", projectRoot], {
+    cwd: repoRoot,
+    env: { ...process.env, ...createCliEnv(path.join(tempRoot, "home")) },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  child.stdout.setEncoding("utf8");
+  let stderr = "";
+  child.stderr.setEncoding("utf8");
+  child.stderr.on("data", (chunk) => {
+    stderr += chunk;
+  });
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  try {
+    await waitForOutput(child, /Watching for rule changes/u);
+
+    writeRuleset("../missing");
+    await waitForOutput(child, /Changed:\n- agent-ruleset\.json/u);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(stderr).toMatch(/Missing source path: .*missing/u);
+    expect(child.exitCode).toBeNull();
+
+    writeRuleset(relSource(projectRoot, sourceRoot));
+    const fixedOutput = await waitForOutput(child, /Changed:\n- agent-ruleset\.json/u);
+    expect(fixedOutput).not.toContain("Error");
+    expect(child.exitCode).toBeNull();
+    expect(fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")).toContain("# Node\nA");
+  } finally {
+    child.kill();
+    await exited;
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+it("watch locks a remote source edited in its workspace when the lockfile lacks it", async () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-"));
+  const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+  const projectRoot = path.join(tempRoot, "project");
+  const workRoot = path.join(tempRoot, "work");
+  const bareDir = path.join(tempRoot, "rules.git");
+  const source = `${pathToFileURL(bareDir).href}@v1.0.0`;
+  const lockfilePath = path.join(projectRoot, "agent-ruleset.lock.json");
+
+  writeBaseSource(workRoot, { domains: ["node"] });
+  writeFile(path.join(workRoot, "rules", "domains", "node", "a.md"), "# Node\nA");
+  const commit = commitGitRepo(workRoot);
+  git(["tag", "v1.0.0"], workRoot);
+  publishRemote(workRoot, bareDir);
+  writeFile(
+    path.join(projectRoot, "agent-ruleset.json"),
+    JSON.stringify({ sources: [source], profile: BASE_PROFILE })
+  );
+  runCli(["edit-rules", "--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+  const child = spawn(process.execPath, [cliPath, "watch", "--root", projectRoot], {
+    cwd: repoRoot,
+    env: { ...process.env, ...cliEnv },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  child.stdout.setEncoding("utf8");
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  try {
+    await waitForOutput(child, /Watching for rule changes/u);
+    expect(JSON.parse(fs.readFileSync(lockfilePath, "utf8")).sources[source]).toMatchObject({
+      ref: "v1.0.0",
+      commit
+    });
+  } finally {
+    child.kill();
+    await exited;
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+// Lays out a source with two domains plus a ruleset enabling the Cursor and
+// Windsurf outputs; returns the paths the tests need.
+const writeNativeOutputProject = (tempRoot) => {
+  const projectRoot = path.join(tempRoot, "project");
+  const sourceRoot = path.join(tempRoot, "rules-source");
+  const rulesRoot = path.join(sourceRoot, "rules");
+  writeProfileManifest(sourceRoot, { p: { domains: ["node", "docs"] } });
+  writeFile(path.join(rulesRoot, "domains", "node", "a.md"), "# Node A\nA");
+  writeFile(path.join(rulesRoot, "domains", "node", "b.md"), "# Node B\nB");
+  writeFile(path.join(rulesRoot, "domains", "docs", "d.md"), "# Docs\nD");
+  writeFile(
+    path.join(projectRoot, "agent-ruleset.json"),
+    JSON.stringify({
+      sources: [relSource(projectRoot, sourceRoot)],
+      profile: "p",
+      global: false,
+      cursor: { enabled: true },
+      windsurf: { enabled: true }
+    })
+  );
+  return { projectRoot, sourceRoot, rulesRoot };
+};
+
+it("writes Cursor .mdc rules per domain and a .windsurfrules file when enabled", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const { projectRoot, rulesRoot } = writeNativeOutputProject(tempRoot);
+
+    const stdout = runCli(["--root", projectRoot, "--json"], { cwd: repoRoot, env: cliEnv });
+    expect(JSON.parse(stdout).repositoryOutputs).toEqual([
+      ...DEFAULT_REPOSITORY_OUTPUTS,
+      ".cursor/rules/compose-agentsmd.mdc",
+      ".cursor/rules/node.mdc",
+      ".cursor/rules/docs.mdc",
+      ".windsurfrules"
+    ]);
+
+    const nodeRule = fs.readFileSync(
+      path.join(projectRoot, ".cursor", "rules", "node.mdc"),
+      "utf8"
+    );
+    expect(nodeRule).toBe(
+      [
+        "---",
+        "description: Rules for the node domain",
+        "globs:",
+        "alwaysApply: true",
+        "---",
+        "",
+        "<!-- Generated by compose-agentsmd. Do not edit; update the source rules and regenerate. -->",
+        "",
+        formatRuleBlock(
+          path.join(rulesRoot, "domains", "node", "a.md"),
+          "# Node A\nA",
+          projectRoot
+        ),
+        "",
+        formatRuleBlock(
+          path.join(rulesRoot, "domains", "node", "b.md"),
+          "# Node B\nB",
+          projectRoot
+        ),
+        ""
+      ].join("\n")
+    );
+    const toolRule = fs.readFileSync(
+      path.join(projectRoot, ".cursor", "rules", "compose-agentsmd.mdc"),
+      "utf8"
+    );
+    expect(toolRule).toContain(TOOL_RULES);
+    expect(fs.readFileSync(path.join(projectRoot, ".windsurfrules"), "utf8")).toBe(
+      fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")
+    );
+  }));
+
+it("check reports an edited Cursor rule as stale", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const { projectRoot } = writeNativeOutputProject(tempRoot);
+    const cursorDir = path.join(projectRoot, ".cursor", "rules");
+
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(
+      runCliStatus(["check", "--root", projectRoot], { cwd: repoRoot, env: cliEnv }).status
+    ).toBe(0);
+
+    fs.appendFileSync(path.join(cursorDir, "node.mdc"), "edited\n", "utf8");
+    const staleCheck = runCliStatus(["check", "--json", "--root", projectRoot], {
       cwd: repoRoot,
       env: cliEnv
     });
-    expect(status).toBe(0);
-    const result = JSON.parse(stdout);
-    expect(result).toEqual({
-      check: true,
-      upToDate: true,
-      repositoryOutputs: DEFAULT_REPOSITORY_OUTPUTS,
-      stale: []
+    expect(staleCheck.status).toBe(1);
+    expect(JSON.parse(staleCheck.stdout).stale).toEqual([".cursor/rules/node.mdc"]);
+  }));
+
+it("check reports obsolete Cursor rules and compose removes only generated ones", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const { projectRoot, sourceRoot } = writeNativeOutputProject(tempRoot);
+    const cursorDir = path.join(projectRoot, ".cursor", "rules");
+    writeFile(path.join(cursorDir, "handwritten.mdc"), "---\nalwaysApply: true\n---\n\nMine");
+    runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    // Dropping the docs domain leaves docs.mdc behind until compose runs.
+    writeProfileManifest(sourceRoot, { p: { domains: ["node"] } });
+    const obsoleteCheck = runCliStatus(["check", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
     });
+    expect(obsoleteCheck.status).toBe(1);
+    expect(obsoleteCheck.stdout).toContain(
+      "Obsolete generated outputs (run compose-agentsmd to remove):\n- .cursor/rules/docs.mdc"
+    );
+
+    const stdout = runCli(["--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+    expect(stdout).toContain("Removed obsolete generated files:\n- .cursor/rules/docs.mdc");
+    expect(fs.existsSync(path.join(cursorDir, "docs.mdc"))).toBe(false);
+    expect(fs.existsSync(path.join(cursorDir, "handwritten.mdc"))).toBe(true);
   }));
 
 it("init --dry-run does not write files", () =>
@@ -1677,6 +3717,236 @@ it("budget: json output includes budget data when module advisory triggers", ()
     expect(result.budget.overBudgetModules[0].tokens).toBe(moduleTokens);
   }));
 
+it("budget: json output reports the repository budget and per-target tokenizers", () =>
+  withTempRoot((tempRoot) => {
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesRoot = path.join(sourceRoot, "rules");
+
+    writeBaseSource(sourceRoot, { domains: ["node"] });
+    writeFile(path.join(rulesRoot, "domains", "node", "tests.md"), "# Tests\nRun them.");
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        {
+          sources: [relSource(projectRoot, sourceRoot)],
+          profile: BASE_PROFILE,
+          global: false,
+          windsurf: { enabled: true },
+          budget: {
+            repository: { totalTokens: 5000 },
+            tokenizers: { claude: "cl100k_base", windsurf: { charsPerToken: 3.5 } }
+          }
+        },
+        null,
+        2
+      )
+    );
+
+    const result = JSON.parse(runCli(["--json", "--root", projectRoot], { cwd: repoRoot }));
+    const readOutput = (name) => fs.readFileSync(path.join(projectRoot, name), "utf8");
+    const agentsTokens = countBudgetTokens(readOutput("AGENTS.md"));
+    expect(result.budget.repositories).toEqual([
+      {
+        output: "AGENTS.md",
+        tokenizer: BUDGET_TOKENIZER,
+        totalTokens: agentsTokens,
+        totalBudget: 5000,
+        moduleBudget: DEFAULT_MODULE_BUDGET,
+        overBudgetModules: [],
+        totalExceeded: false,
+        moduleReviewTriggered: false,
+        enforced: false
+      }
+    ]);
+    expect(result.budget.targets).toEqual([
+      {
+        scope: "repository",
+        target: "agents",
+        output: "AGENTS.md",
+        tokenizer: BUDGET_TOKENIZER,
+        tokens: agentsTokens
+      },
+      {
+        scope: "repository",
+        target: "claude",
+        output: "CLAUDE.md",
+        tokenizer: "cl100k_base",
+        tokens: countCl100kTokens(readOutput("CLAUDE.md"))
+      },
+      {
+        scope: "repository",
+        target: "windsurf",
+        output: ".windsurfrules",
+        tokenizer: "~3.5 chars/token",
+        tokens: Math.ceil([...readOutput(".windsurfrules")].length / 3.5)
+      }
+    ]);
+  }));
+
+it("budget: warns when the repository output exceeds its budget", () =>
+  withTempRoot((tempRoot) => {
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesRoot = path.join(sourceRoot, "rules");
+    const bigContent = Array.from({ length: 200 }, () => "domain").join(" ");
+
+    writeBaseSource(sourceRoot, { domains: ["node"] });
+    writeFile(path.join(rulesRoot, "domains", "node", "big.md"), `# Big\n${bigContent}`);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify(
+        {
+          sources: [relSource(projectRoot, sourceRoot)],
+          profile: BASE_PROFILE,
+          global: false,
+          budget: { repository: { totalTokens: 100, moduleTokens: 100 } }
+        },
+        null,
+        2
+      )
+    );
+
+    const { stderr } = runCliResult(["--root", projectRoot], { cwd: repoRoot });
+    const totalTokens = countBudgetTokens(
+      fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")
+    );
+    const bigSource = `${relSource(projectRoot, sourceRoot)}/rules/domains/node/big.md`;
+    const moduleTokens = countBudgetTokens(
+      formatRuleBlock(
+        path.join(rulesRoot, "domains", "node", "big.md"),
+        `# Big\n${bigContent}`,
+        projectRoot
+      )
+    );
+    expect(stderr).toBe(
+      [
+        `⚠ Repository rules in AGENTS.md budget exceeded (${BUDGET_TOKENIZER}): ${totalTokens}/100 tokens`,
+        "ℹ Repository rules in AGENTS.md: modules over per-module review threshold (> 100 tokens, advisory):",
+        `    ${bigSource}: ${moduleTokens} tokens`,
+        "  Review whether listed modules contain procedural content that should move to skills.",
+        ""
+      ].join("\n")
+    );
+  }));
+
+it("budget: rejects an unknown tokenizer", () =>
+  withTempRoot((tempRoot) => {
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({
+        sources: [relSource(projectRoot, sourceRoot)],
+        profile: BASE_PROFILE,
+        budget: { tokenizers: { gemini: "gemini-tokenizer" } }
+      })
+    );
+
+    const result = spawnSync(process.execPath, [cliPath, "--root", projectRoot], {
+      cwd: repoRoot,
+      env: resolveCliEnv({}),
+      encoding: "utf8"
+    });
+    expect(result.status).toBe(1);
+    expect(result.stderr).toMatch(/\/budget\/tokenizers\/gemini/u);
+  }));
+
+it("budget: --fail-on-budget makes compose exit 1 when the global budget is exceeded", () =>
+  withTempRoot((tempRoot) => {
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesRoot = path.join(sourceRoot, "rules");
+    const globalBlock = formatRuleBlock(
+      path.join(rulesRoot, "global", "only.md"),
+      "# Only\n1",
+      projectRoot
+    );
+    const totalTokens = countBudgetTokens(buildGlobalOutput([globalBlock]));
+
+    writeBaseSource(sourceRoot);
+    writeFile(
+      path.join(projectRoot, "agent-ruleset.json"),
+      JSON.stringify({
+        sources: [relSource(projectRoot, sourceRoot)],
+        profile: BASE_PROFILE,
+        budget: { totalTokens: totalTokens - 1 }
+      })
+    );
+
+    expect(runCliStatus(["--quiet", "--root", projectRoot], { cwd: repoRoot }).status).toBe(0);
+
+    const { status, stderr } = runCliStatus(
+      ["--quiet", "--fail-on-budget", "--root", projectRoot],
+      {
+        cwd: repoRoot
+      }
+    );
+    expect(status).toBe(1);
+    expect(stderr).toBe(
+      "✖ Token budget exceeded:\n" +
+        `- Global rules: ${totalTokens}/${totalTokens - 1} tokens (${BUDGET_TOKENIZER})\n`
+    );
+    // The outputs are still written.
+    expect(fs.existsSync(path.join(projectRoot, "AGENTS.md"))).toBe(true);
+  }));
+
+it("budget: check fails and reports the budget when budget.enforce is set", () =>
+  withTempRoot((tempRoot) => {
+    const cliEnv = createCliEnv(path.join(tempRoot, "home"));
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesetPath = path.join(projectRoot, "agent-ruleset.json");
+    const writeRuleset = (budget) =>
+      writeFile(
+        rulesetPath,
+        JSON.stringify({
+          sources: [relSource(projectRoot, sourceRoot)],
+          profile: BASE_PROFILE,
+          budget
+        })
+      );
+
+    writeBaseSource(sourceRoot);
+    writeRuleset({ repository: { totalTokens: 10 } });
+    runCli(["--quiet", "--root", projectRoot], { cwd: repoRoot, env: cliEnv });
+
+    const advisory = runCliStatus(["check", "--json", "--root", projectRoot], {
+      cwd: repoRoot,
+      env: cliEnv
+    });
+    expect(advisory.status).toBe(0);
+    expect(JSON.parse(advisory.stdout).budgetFailed).toBe(false);
+
+    writeRuleset({ repository: { totalTokens: 10 }, enforce: true });
+    const { status, stdout, stderr } = runCliStatus(
+      ["check", "--json", "--quiet", "--root", projectRoot],
+      { cwd: repoRoot, env: cliEnv }
+    );
+    const result = JSON.parse(stdout);
+    const agentsTokens = countBudgetTokens(
+      fs.readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")
+    );
+    expect(status).toBe(1);
+    expect(result.upToDate).toBe(true);
+    expect(result.budgetFailed).toBe(true);
+    expect(result.budget.repositories).toEqual([
+      expect.objectContaining({
+        output: "AGENTS.md",
+        totalTokens: agentsTokens,
+        totalBudget: 10,
+        totalExceeded: true,
+        enforced: true
+      })
+    ]);
+    expect(stderr).toBe(
+      "✖ Token budget exceeded:\n" +
+        `- Repository rules in AGENTS.md: ${agentsTokens}/10 tokens (${BUDGET_TOKENIZER})\n`
+    );
+  }));
+
 it("budget: apply-rules emits per-module review advisory on module advisory trigger", () =>
   withTempRoot((tempRoot) => {
     const projectRoot = path.join(tempRoot, "project");
@@ -0,0 +1,92 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { it, expect } from "vitest";
+import { evaluateDomainCondition, expandFileGlob, matchesFileGlob } from "../src/conditions.ts";
+
+const writeFile = (filePath, content) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+};
+
+const withProjectDir = (run) => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-conditions-"));
+  try {
+    return run(projectDir);
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+};
+
+it("matchesFileGlob matches literal names, wildcards and ** paths", () =>
+  withProjectDir((projectDir) => {
+    writeFile(path.join(projectDir, "Dockerfile"), "FROM node");
+    writeFile(path.join(projectDir, "src", "app", "main.py"), "");
+    writeFile(path.join(projectDir, "node_modules", "dep", "setup.py"), "");
+
+    expect(matchesFileGlob(projectDir, "Dockerfile")).toBe(true);
+    expect(matchesFileGlob(projectDir, "pyproject.toml")).toBe(false);
+    expect(matchesFileGlob(projectDir, "Docker*")).toBe(true);
+    expect(matchesFileGlob(projectDir, "*.py")).toBe(false);
+    expect(matchesFileGlob(projectDir, "src/*/main.py")).toBe(true);
+    expect(matchesFileGlob(projectDir, "**/*.py")).toBe(true);
+    // node_modules is never searched by **.
+    expect(matchesFileGlob(projectDir, "**/setup.py")).toBe(false);
+  }));
+
+it("expandFileGlob lists every match in sorted order", () =>
+  withProjectDir((projectDir) => {
+    writeFile(path.join(projectDir, "packages", "b", "agent-ruleset.json"), "{}");
+    writeFile(path.join(projectDir, "packages", "a", "agent-ruleset.json"), "{}");
+    writeFile(path.join(projectDir, "node_modules", "dep", "agent-ruleset.json"), "{}");
+
+    expect(expandFileGlob(projectDir, "packages/*")).toEqual([
+      path.join(projectDir, "packages", "a"),
+      path.join(projectDir, "packages", "b")
+    ]);
+    expect(expandFileGlob(projectDir, "**/agent-ruleset.json")).toEqual([
+      path.join(projectDir, "packages", "a", "agent-ruleset.json"),
+      path.join(projectDir, "packages", "b", "agent-ruleset.json")
+    ]);
+  }));
+
+it("file globs cannot reach outside the project directory", () =>
+  withProjectDir((projectDir) => {
+    writeFile(path.join(projectDir, "inner", "Dockerfile"), "FROM node");
+    const innerDir = path.join(projectDir, "inner");
+
+    for (const pattern of ["../inner/Dockerfile", "src/../../*", "/etc/passwd"]) {
+      expect(() => matchesFileGlob(innerDir, pattern)).toThrow(
+        `Invalid file glob (expected a relative path without ..): ${pattern}`
+      );
+    }
+    expect(() => evaluateDomainCondition(innerDir, { files: ["../../.ssh/id_*"] })).toThrow(
+      /Invalid file glob/u
+    );
+  }));
+
+it("evaluateDomainCondition checks package.json dependencies and combines lists", () =>
+  withProjectDir((projectDir) => {
+    writeFile(
+      path.join(projectDir, "package.json"),
+      JSON.stringify({ dependencies: { react: "^19.0.0" }, devDependencies: { vitest: "^3" } })
+    );
+
+    expect(evaluateDomainCondition(projectDir, { dependencies: ["vue", "react"] })).toBe(true);
+    expect(evaluateDomainCondition(projectDir, { dependencies: ["vitest"] })).toBe(true);
+    expect(evaluateDomainCondition(projectDir, { dependencies: ["vue"] })).toBe(false);
+    expect(
+      evaluateDomainCondition(projectDir, { files: ["package.json"], dependencies: ["react"] })
+    ).toBe(true);
+    expect(
+      evaluateDomainCondition(projectDir, { files: ["Dockerfile"], dependencies: ["react"] })
+    ).toBe(false);
+  }));
+
+it("evaluateDomainCondition reports an unreadable package.json", () =>
+  withProjectDir((projectDir) => {
+    writeFile(path.join(projectDir, "package.json"), "{ not json");
+    expect(() => evaluateDomainCondition(projectDir, { dependencies: ["react"] })).toThrow(
+      /Unable to read .*package\.json for domain conditions/u
+    );
+  }));
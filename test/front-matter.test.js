@@ -0,0 +1,56 @@
+import { it, expect } from "vitest";
+import { appliesToAgent, parseFrontMatter } from "../src/front-matter.ts";
+
+it("parseFrontMatter returns the whole file as body without front-matter", () => {
+  expect(parseFrontMatter("# Rule\nBody\n", "rule.md")).toEqual({
+    metadata: {},
+    body: "# Rule\nBody\n"
+  });
+});
+
+it("parseFrontMatter reads scalars, inline lists and block lists, and strips the block", () => {
+  const content = [
+    "---",
+    'title: "Commit style"',
+    "tags: [git, style]",
+    "agents:",
+    "  - claude",
+    "  - codex",
+    "order: -2",
+    "since: 1.10",
+    "# comments and unknown keys are ignored",
+    "globs: src/**",
+    "---",
+    "# Commits",
+    "Use imperative subjects."
+  ].join("\n");
+
+  expect(parseFrontMatter(content, "rule.md")).toEqual({
+    metadata: {
+      title: "Commit style",
+      tags: ["git", "style"],
+      agents: ["claude", "codex"],
+      order: -2,
+      since: "1.10"
+    },
+    body: "# Commits\nUse imperative subjects."
+  });
+});
+
+it("parseFrontMatter rejects invalid or unterminated front-matter", () => {
+  expect(() => parseFrontMatter("---\norder: first\n---\nBody", "a.md")).toThrow(
+    /Invalid front-matter in a\.md: \/order must be number/u
+  );
+  expect(() => parseFrontMatter("---\ntitle: x\nBody", "b.md")).toThrow(
+    /Invalid front-matter in b\.md: missing closing "---" line/u
+  );
+  expect(() => parseFrontMatter("---\njust text\n---\nBody", "c.md")).toThrow(
+    /cannot parse line "just text"/u
+  );
+});
+
+it("appliesToAgent treats rules without agents as universal", () => {
+  expect(appliesToAgent({}, "gemini")).toBe(true);
+  expect(appliesToAgent({ agents: ["claude"] }, "claude")).toBe(true);
+  expect(appliesToAgent({ agents: ["claude"] }, "gemini")).toBe(false);
+});
@@ -0,0 +1,127 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { it, expect } from "vitest";
+import {
+  checkRuleset,
+  composeRuleset,
+  explainOutput,
+  getBackupRoot,
+  getOutputStatePath,
+  getUserConfigPath,
+  readProjectRuleset,
+  resolveProfileSelections
+} from "../src/index.ts";
+
+const writeFile = (filePath, content) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+};
+
+// Lays out a local rules source plus a project ruleset that selects it, with
+// global output disabled so nothing is written outside the temp root.
+const withProject = (run) => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-api-"));
+  try {
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    writeFile(
+      path.join(sourceRoot, "agent-profiles.json"),
+      JSON.stringify({ profiles: { base: { domains: ["node"] } } })
+    );
+    writeFile(path.join(sourceRoot, "rules", "domains", "node", "a.md"), "# Node\nA");
+    const rulesetPath = path.join(projectRoot, "agent-ruleset.json");
+    writeFile(
+      rulesetPath,
+      JSON.stringify({ sources: ["../rules-source"], profile: "base", global: false })
+    );
+    return run({ projectRoot, sourceRoot, rulesetPath });
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+};
+
+it("readProjectRuleset applies defaults", () =>
+  withProject(({ rulesetPath }) => {
+    expect(readProjectRuleset(rulesetPath)).toEqual({
+      sources: ["../rules-source"],
+      profile: "base",
+      global: false,
+      output: "AGENTS.md",
+      claude: { enabled: true, output: "CLAUDE.md" }
+    });
+  }));
+
+it("resolveProfileSelections returns the selected domains per source", () =>
+  withProject(({ sourceRoot }) => {
+    expect(resolveProfileSelections([sourceRoot], "base")).toEqual([
+      { index: 0, profile: "base", domains: ["node"] }
+    ]);
+  }));
+
+it("composeRuleset returns composed content as data without writing in dry-run mode", () =>
+  withProject(({ projectRoot, rulesetPath }) => {
+    const result = composeRuleset(rulesetPath, projectRoot, { dryRun: true, emitDiffs: true });
+
+    expect(result.repositoryOutputs).toEqual(["AGENTS.md", "CLAUDE.md"]);
+    expect(result.globalOutputs).toEqual([]);
+    expect(result.repositoryFiles[0].content).toContain(
+      "Source: ../rules-source/rules/domains/node/a.md"
+    );
+    expect(result.outputDiffs[0]).toMatchObject({ scope: "repository", status: "updated" });
+    expect(fs.existsSync(path.join(projectRoot, "AGENTS.md"))).toBe(false);
+  }));
+
+it("checkRuleset reports stale outputs without touching process.exitCode", () =>
+  withProject(({ projectRoot, rulesetPath }) => {
+    const stale = checkRuleset(rulesetPath, projectRoot);
+    expect(stale.upToDate).toBe(false);
+    expect(stale.stale.map((file) => file.displayPath)).toEqual(["AGENTS.md", "CLAUDE.md"]);
+    expect(process.exitCode).toBeUndefined();
+
+    composeRuleset(rulesetPath, projectRoot, {});
+    expect(checkRuleset(rulesetPath, projectRoot)).toMatchObject({ upToDate: true, stale: [] });
+  }));
+
+it("explainOutput maps a line of an output to the rule file that produced it", () =>
+  withProject(({ projectRoot, sourceRoot, rulesetPath }) => {
+    composeRuleset(rulesetPath, projectRoot, {});
+    const lineCount = fs
+      .readFileSync(path.join(projectRoot, "AGENTS.md"), "utf8")
+      .trimEnd()
+      .split("\n").length;
+
+    expect(explainOutput(rulesetPath, projectRoot, { line: lineCount })).toEqual({
+      output: "AGENTS.md",
+      scope: "repository",
+      stale: false,
+      sections: [
+        {
+          kind: "rule",
+          startLine: lineCount - 3,
+          endLine: lineCount,
+          rule: {
+            source: "../rules-source",
+            provenance: "../rules-source/rules/domains/node/a.md",
+            filePath: path.join(sourceRoot, "rules", "domains", "node", "a.md"),
+            domain: "node",
+            profile: "base"
+          }
+        }
+      ]
+    });
+  }));
+
+it("resolves the ~/.agentsmd paths from the home directory at call time", () => {
+  const previousHome = process.env.HOME;
+  process.env.HOME = path.join(os.tmpdir(), "compose-agentsmd-home");
+  try {
+    const agentsmdDir = path.join(os.homedir(), ".agentsmd");
+    expect(getUserConfigPath()).toBe(path.join(agentsmdDir, "config.json"));
+    expect(getOutputStatePath()).toBe(path.join(agentsmdDir, "outputs.json"));
+    expect(getBackupRoot()).toBe(path.join(agentsmdDir, "backups"));
+    expect(agentsmdDir).toBe(path.join(process.env.HOME, ".agentsmd"));
+  } finally {
+    process.env.HOME = previousHome;
+  }
+});
@@ -0,0 +1,122 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { it, expect } from "vitest";
+import { lintRulesSource } from "../src/lint-rules.ts";
+
+const writeFile = (filePath, content) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+};
+
+const withSourceDir = (run) => {
+  const sourceRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-lint-"));
+  try {
+    return run(sourceRoot);
+  } finally {
+    fs.rmSync(sourceRoot, { recursive: true, force: true });
+  }
+};
+
+const writeManifest = (sourceRoot, profiles) =>
+  writeFile(path.join(sourceRoot, "agent-profiles.json"), JSON.stringify({ profiles }));
+
+const SHARED_PARAGRAPH =
+  "Run the full test suite and the linter locally before every push to the main branch, and fix any failure first.";
+
+it("reports a clean rules source as ok", () =>
+  withSourceDir((sourceRoot) => {
+    writeManifest(sourceRoot, { base: { domains: ["node"] } });
+    writeFile(path.join(sourceRoot, "rules", "global", "a.md"), "# A\n\n## Details\n\nText.");
+    writeFile(
+      path.join(sourceRoot, "rules", "domains", "node", "b.md"),
+      "# B\n\nSee [the docs](https://example.com/docs) and [above](#b)."
+    );
+
+    expect(lintRulesSource(sourceRoot)).toEqual({ ok: true, files: 2, issues: [] });
+  }));
+
+it("flags empty rules, heading levels, relative links and duplicate paragraphs", () =>
+  withSourceDir((sourceRoot) => {
+    writeManifest(sourceRoot, { base: { domains: ["node"] } });
+    writeFile(path.join(sourceRoot, "rules", "global", "empty.md"), "---\ntitle: Empty\n---\n\n");
+    writeFile(
+      path.join(sourceRoot, "rules", "global", "gone.md"),
+      "<!-- compose-agentsmd:tombstone -->"
+    );
+    writeFile(
+      path.join(sourceRoot, "rules", "global", "a.md"),
+      `## Starts low\n\n${SHARED_PARAGRAPH}\n\n#### Skips a level\n\n[guide](../docs/guide.md)`
+    );
+    writeFile(
+      path.join(sourceRoot, "rules", "domains", "node", "b.md"),
+      [
+        "---",
+        "title: B",
+        "---",
+        "# B",
+        "",
+        SHARED_PARAGRAPH.replace("every push", "each push"),
+        "",
+        "```md",
+        "# Not a heading",
+        "[example](./inside-a-fence.md)",
+        "```",
+        "",
+        "Use `[x](./in-code.md)` literally.",
+        "",
+        "[ref]: ./notes.md"
+      ].join("\n")
+    );
+
+    const result = lintRulesSource(sourceRoot);
+
+    expect(result.ok).toBe(false);
+    expect(result.files).toBe(4);
+    expect(result.issues.map(({ code, file, line }) => [code, file, line])).toEqual([
+      ["relative-link", "rules/domains/node/b.md", 15],
+      ["heading-level", "rules/global/a.md", 1],
+      ["duplicate-paragraph", "rules/global/a.md", 3],
+      ["heading-level", "rules/global/a.md", 5],
+      ["relative-link", "rules/global/a.md", 7],
+      ["empty-rule", "rules/global/empty.md", undefined]
+    ]);
+    // Files are read in path order, so the domain rule comes first.
+    expect(result.issues[2].message).toBe(
+      "Nearly duplicates the paragraph at rules/domains/node/b.md:6."
+    );
+  }));
+
+it("flags profile domains missing on disk and domains no profile references", () =>
+  withSourceDir((sourceRoot) => {
+    writeManifest(sourceRoot, {
+      base: { domains: ["node", "missing"] },
+      web: {
+        domains: [],
+        conditionalDomains: [{ domain: "react", when: { dependencies: ["react"] } }]
+      }
+    });
+    for (const domain of ["node", "react", "orphan"]) {
+      writeFile(path.join(sourceRoot, "rules", "domains", domain, "rule.md"), `# ${domain}`);
+    }
+
+    expect(lintRulesSource(sourceRoot).issues).toEqual([
+      {
+        code: "missing-domain",
+        severity: "error",
+        file: "agent-profiles.json",
+        message: 'Domain "missing" (profile "base") has no rules/domains/missing directory.'
+      },
+      {
+        code: "unreferenced-domain",
+        severity: "warning",
+        file: "rules/domains/orphan",
+        message: "No profile in agent-profiles.json references this domain."
+      }
+    ]);
+  }));
+
+it("rejects a directory without rules", () =>
+  withSourceDir((sourceRoot) => {
+    expect(() => lintRulesSource(sourceRoot)).toThrow(/Not a rules source \(no rules directory\)/u);
+  }));
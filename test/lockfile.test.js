@@ -0,0 +1,61 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { it, expect } from "vitest";
+import { computeSourceContentHash, getLockfilePath, readLockfile } from "../src/lockfile.ts";
+
+const withTempRoot = (run) => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-lock-"));
+  try {
+    return run(tempRoot);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+};
+
+const writeFile = (filePath, content) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+};
+
+it("getLockfilePath derives the lockfile name from the ruleset name", () => {
+  expect(getLockfilePath(path.join("project", "agent-ruleset.json"))).toBe(
+    path.join("project", "agent-ruleset.lock.json")
+  );
+  expect(getLockfilePath(path.join("project", "custom.json"))).toBe(
+    path.join("project", "custom.lock.json")
+  );
+});
+
+it("computeSourceContentHash covers rules/ and agent-profiles.json only", () =>
+  withTempRoot((sourceRoot) => {
+    writeFile(path.join(sourceRoot, "rules", "global", "a.md"), "# A\n");
+    writeFile(path.join(sourceRoot, "agent-profiles.json"), '{"profiles":{}}');
+    const initial = computeSourceContentHash(sourceRoot);
+    expect(initial).toMatch(/^sha256-[a-f0-9]{64}$/u);
+
+    writeFile(path.join(sourceRoot, "README.md"), "unrelated");
+    expect(computeSourceContentHash(sourceRoot)).toBe(initial);
+
+    writeFile(path.join(sourceRoot, "rules", "global", "a.md"), "# A changed\n");
+    expect(computeSourceContentHash(sourceRoot)).not.toBe(initial);
+
+    writeFile(path.join(sourceRoot, "rules", "global", "a.md"), "# A\n");
+    writeFile(path.join(sourceRoot, "agent-profiles.json"), '{"profiles":{"p":{"domains":[]}}}');
+    expect(computeSourceContentHash(sourceRoot)).not.toBe(initial);
+  }));
+
+it("readLockfile returns null when missing and rejects invalid lockfiles", () =>
+  withTempRoot((tempRoot) => {
+    const lockfilePath = path.join(tempRoot, "agent-ruleset.lock.json");
+    expect(readLockfile(lockfilePath)).toBeNull();
+
+    writeFile(
+      lockfilePath,
+      JSON.stringify({ lockfileVersion: 1, sources: { "github:o/r": { url: "u" } } })
+    );
+    expect(() => readLockfile(lockfilePath)).toThrow(/Invalid lockfile/u);
+
+    writeFile(lockfilePath, "{ not json");
+    expect(() => readLockfile(lockfilePath)).toThrow(`Invalid JSON in ${lockfilePath}: `);
+  }));
@@ -0,0 +1,45 @@
+import { it, expect } from "vitest";
+import { applyManagedBlock } from "../src/managed-block.ts";
+
+const BEGIN = "<!-- compose-agentsmd:begin -->";
+const END = "<!-- compose-agentsmd:end -->";
+const options = { create: false, filePath: "AGENTS.md" };
+
+it("replaces only the block of a file with markers", () => {
+  const existing = `# Notes\n\nMine.\n\n${BEGIN}\nold\n${END}\n\nAfter.\n`;
+
+  expect(applyManagedBlock(existing, "new\nrules\n", options)).toEqual({
+    content: `# Notes\n\nMine.\n\n${BEGIN}\nnew\nrules\n${END}\n\nAfter.\n`,
+    lineOffset: 5
+  });
+});
+
+it("writes the whole file without markers unless asked to create a block", () => {
+  expect(applyManagedBlock("# Notes\n", "rules\n", options)).toEqual({
+    content: "rules\n",
+    lineOffset: 0
+  });
+  expect(applyManagedBlock(null, "rules\n", { ...options, create: true })).toEqual({
+    content: `${BEGIN}\nrules\n${END}\n`,
+    lineOffset: 1
+  });
+});
+
+it("adds the block below hand-written content and replaces a fully composed file", () => {
+  const create = { ...options, create: true };
+
+  expect(applyManagedBlock("# Notes\n\nMine.\n\n", "header\nrules\n", create)).toEqual({
+    content: `# Notes\n\nMine.\n\n${BEGIN}\nheader\nrules\n${END}\n`,
+    lineOffset: 5
+  });
+  expect(applyManagedBlock("header\nold rules\n", "header\nrules\n", create).content).toBe(
+    `${BEGIN}\nheader\nrules\n${END}\n`
+  );
+});
+
+it("rejects unbalanced markers", () => {
+  expect(() => applyManagedBlock(`${END}\n${BEGIN}\n`, "rules\n", options)).toThrow(
+    "AGENTS.md has unbalanced compose-agentsmd markers"
+  );
+  expect(() => applyManagedBlock(`${BEGIN}\nrules\n`, "rules\n", options)).toThrow(/unbalanced/u);
+});
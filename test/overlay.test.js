@@ -0,0 +1,45 @@
+import { it, expect } from "vitest";
+import { applyOverlays, isTombstone, resolveOverlayMode } from "../src/overlay.ts";
+
+const part = (sourceIndex, relativePath, extra = {}) => ({
+  sourceIndex,
+  relativePath,
+  domain: "node",
+  tombstone: false,
+  ...extra
+});
+
+it("resolveOverlayMode prefers the per-domain setting and defaults to append", () => {
+  const manifest = { profiles: {}, overlay: { mode: "shadow", domains: { docs: "append" } } };
+  expect(resolveOverlayMode(null, "node")).toBe("append");
+  expect(resolveOverlayMode(manifest, "node")).toBe("shadow");
+  expect(resolveOverlayMode(manifest, "docs")).toBe("append");
+  expect(resolveOverlayMode(manifest)).toBe("shadow");
+});
+
+it("applyOverlays replaces in place, removes tombstoned files, and chains layers", () => {
+  const parts = [
+    part(0, "a.md"),
+    part(0, "b.md"),
+    part(0, "c.md"),
+    part(1, "a.md", { id: "overlay-a" }),
+    part(1, "b.md", { tombstone: true }),
+    part(1, "d.md"),
+    part(2, "a.md", { id: "third-a" })
+  ];
+
+  const result = applyOverlays(parts, () => "shadow");
+
+  expect(result.map((entry) => [entry.sourceIndex, entry.relativePath])).toEqual([
+    [2, "a.md"],
+    [0, "c.md"],
+    [1, "d.md"]
+  ]);
+});
+
+it("applyOverlays keeps every copy in append mode but never emits tombstones", () => {
+  const parts = [part(0, "a.md"), part(1, "a.md"), part(1, "b.md", { tombstone: true })];
+  expect(applyOverlays(parts, () => "append")).toEqual([part(0, "a.md"), part(1, "a.md")]);
+  expect(isTombstone("\n<!-- compose-agentsmd:tombstone -->\n")).toBe(true);
+  expect(isTombstone("# Rule")).toBe(false);
+});
@@ -0,0 +1,92 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { it, expect } from "vitest";
+import {
+  createBackup,
+  findOutputOwner,
+  listBackups,
+  readOutputState,
+  recordOutputs,
+  restoreBackup
+} from "../src/ownership.ts";
+
+const withTempRoot = (run) => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-ownership-"));
+  try {
+    return run(tempRoot);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+};
+
+it("records the writer of a file until its content changes", () =>
+  withTempRoot((tempRoot) => {
+    const statePath = path.join(tempRoot, "outputs.json");
+    const filePath = path.join(tempRoot, "GEMINI.md");
+
+    expect(readOutputState(statePath)).toEqual({ files: {} });
+    const stateFile = recordOutputs(
+      [{ absolutePath: filePath, content: "rules\n" }],
+      "/repo/ruleset.json",
+      statePath
+    );
+    expect(stateFile.absolutePath).toBe(statePath);
+    fs.writeFileSync(statePath, stateFile.content, "utf8");
+
+    const state = readOutputState(statePath);
+    expect(findOutputOwner(state, filePath, "rules\n")?.ruleset).toBe("/repo/ruleset.json");
+    expect(findOutputOwner(state, filePath, "rules\nedited\n")).toBeNull();
+  }));
+
+it("backs up files and restores the newest backup or one by id", () =>
+  withTempRoot((tempRoot) => {
+    const backupRoot = path.join(tempRoot, "backups");
+    const filePath = path.join(tempRoot, "home", "GEMINI.md");
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    fs.writeFileSync(filePath, "first\n", "utf8");
+    const first = createBackup([filePath], backupRoot);
+    fs.writeFileSync(filePath, "second\n", "utf8");
+    const second = createBackup([filePath], backupRoot);
+    expect(second.id).not.toBe(first.id);
+    expect(listBackups(backupRoot).map((backup) => backup.id)).toEqual([second.id, first.id]);
+
+    fs.writeFileSync(filePath, "composed\n", "utf8");
+    expect(restoreBackup(undefined, { dryRun: true }, backupRoot).id).toBe(second.id);
+    expect(fs.readFileSync(filePath, "utf8")).toBe("composed\n");
+    restoreBackup(undefined, {}, backupRoot);
+    expect(fs.readFileSync(filePath, "utf8")).toBe("second\n");
+    restoreBackup(first.id, {}, backupRoot);
+    expect(fs.readFileSync(filePath, "utf8")).toBe("first\n");
+
+    expect(() => restoreBackup("missing", {}, backupRoot)).toThrow(/^Unknown backup: missing\./u);
+    expect(() => restoreBackup(undefined, {}, path.join(tempRoot, "none"))).toThrow(
+      /^No backups in /u
+    );
+  }));
+
+it("lists backups by their recorded time and skips unreadable manifests", () =>
+  withTempRoot((tempRoot) => {
+    const backupRoot = path.join(tempRoot, "backups");
+    const writeManifest = (id, createdAt) => {
+      fs.mkdirSync(path.join(backupRoot, id), { recursive: true });
+      fs.writeFileSync(
+        path.join(backupRoot, id, "backup.json"),
+        JSON.stringify({ id, createdAt, files: [] }),
+        "utf8"
+      );
+    };
+    // Same-millisecond backups get numbered ids, which do not sort as numbers.
+    writeManifest("2026-01-01T00-00-00-000Z-10", "2026-01-01T00:00:02.000Z");
+    writeManifest("2026-01-01T00-00-00-000Z-9", "2026-01-01T00:00:01.000Z");
+    writeManifest("2025-12-31T23-59-59-999Z", "2025-12-31T23:59:59.999Z");
+    fs.mkdirSync(path.join(backupRoot, "broken"));
+    fs.writeFileSync(path.join(backupRoot, "broken", "backup.json"), "{ not json", "utf8");
+
+    expect(listBackups(backupRoot).map((backup) => backup.id)).toEqual([
+      "2026-01-01T00-00-00-000Z-10",
+      "2026-01-01T00-00-00-000Z-9",
+      "2025-12-31T23-59-59-999Z"
+    ]);
+  }));
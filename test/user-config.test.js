@@ -0,0 +1,57 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { it, expect } from "vitest";
+import { readUserConfig, resolveGlobalTargets } from "../src/user-config.ts";
+
+const configPath = path.join(os.homedir(), ".agentsmd", "config.json");
+const home = (...segments) => path.join(os.homedir(), ...segments);
+
+it("resolveGlobalTargets returns the built-in targets without a config", () => {
+  expect(resolveGlobalTargets({}, configPath)).toEqual([
+    { name: "codex", path: home(".codex", "AGENTS.md") },
+    { name: "opencode", path: home(".config", "opencode", "AGENTS.md") },
+    { name: "claude", path: home(".claude", "CLAUDE.md") },
+    { name: "gemini", path: home(".gemini", "GEMINI.md") },
+    { name: "copilot", path: home(".copilot", "copilot-instructions.md") }
+  ]);
+});
+
+it("resolveGlobalTargets applies overrides, disables, and custom targets", () => {
+  const targets = resolveGlobalTargets(
+    {
+      targets: {
+        codex: { baseDir: "/opt/codex" },
+        claude: { path: "claude/RULES.md" },
+        opencode: { enabled: false },
+        gemini: { enabled: false },
+        copilot: { enabled: false },
+        aider: { path: "~/.aider/RULES.md" },
+        // Same file as codex: written once, under the first name.
+        codexMirror: { path: "/opt/codex/AGENTS.md" }
+      }
+    },
+    configPath
+  );
+
+  expect(targets).toEqual([
+    { name: "codex", path: path.join("/opt/codex", "AGENTS.md") },
+    { name: "claude", path: home(".agentsmd", "claude", "RULES.md") },
+    { name: "aider", path: home(".aider", "RULES.md") }
+  ]);
+});
+
+it("readUserConfig returns an empty config when the file is missing and validates it", () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-config-"));
+  try {
+    expect(readUserConfig(path.join(tempRoot, "missing.json"))).toEqual({});
+
+    const invalidPath = path.join(tempRoot, "config.json");
+    fs.writeFileSync(invalidPath, '{ "targets": { "codex": { "enabled": "no" } } }', "utf8");
+    expect(() => readUserConfig(invalidPath)).toThrow(
+      /Invalid user config .*\/targets\/codex\/enabled must be boolean/u
+    );
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
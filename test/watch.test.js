@@ -0,0 +1,75 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { it, expect } from "vitest";
+import { collectWatchTargets, matchesWatchTarget, watchTargets } from "../src/watch.ts";
+
+const writeFile = (filePath, content) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+};
+
+const withTempRoot = (run) => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "compose-agentsmd-watch-"));
+  try {
+    return run(tempRoot);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+};
+
+it("collectWatchTargets watches the ruleset and each local source's rules and manifest", () =>
+  withTempRoot((tempRoot) => {
+    const projectRoot = path.join(tempRoot, "project");
+    const sourceRoot = path.join(tempRoot, "rules-source");
+    const rulesetPath = path.join(projectRoot, "agent-ruleset.json");
+    writeFile(path.join(sourceRoot, "rules", "global", "a.md"), "# A");
+    writeFile(rulesetPath, JSON.stringify({ sources: ["../rules-source"], profile: "base" }));
+
+    expect(collectWatchTargets(rulesetPath)).toEqual([
+      { directory: projectRoot, recursive: false, fileName: "agent-ruleset.json" },
+      { directory: path.join(sourceRoot, "rules"), recursive: true },
+      { directory: sourceRoot, recursive: false, fileName: "agent-profiles.json" }
+    ]);
+  }));
+
+it("collectWatchTargets falls back to the ruleset file when it cannot be read", () =>
+  withTempRoot((tempRoot) => {
+    const rulesetPath = path.join(tempRoot, "agent-ruleset.json");
+    writeFile(rulesetPath, "{ not json");
+
+    expect(collectWatchTargets(rulesetPath)).toEqual([
+      { directory: tempRoot, recursive: false, fileName: "agent-ruleset.json" }
+    ]);
+  }));
+
+it("collectWatchTargets leaves out a source that does not resolve", () =>
+  withTempRoot((tempRoot) => {
+    const rulesetPath = path.join(tempRoot, "agent-ruleset.json");
+    writeFile(rulesetPath, JSON.stringify({ sources: ["./missing"], profile: "base" }));
+
+    expect(collectWatchTargets(rulesetPath)).toEqual([
+      { directory: tempRoot, recursive: false, fileName: "agent-ruleset.json" }
+    ]);
+  }));
+
+it("watchTargets throws for a missing directory without leaving watchers open", () =>
+  withTempRoot((tempRoot) => {
+    const targets = [
+      { directory: tempRoot, recursive: false, fileName: "agent-ruleset.json" },
+      { directory: path.join(tempRoot, "gone"), recursive: true }
+    ];
+
+    expect(() => watchTargets(targets, () => {})).toThrow(/ENOENT/u);
+  }));
+
+it("matchesWatchTarget limits file targets to their file and directory targets to their tree", () => {
+  const root = path.resolve("/work");
+  const fileTarget = { directory: root, recursive: false, fileName: "agent-profiles.json" };
+  const treeTarget = { directory: path.join(root, "rules"), recursive: true };
+
+  expect(matchesWatchTarget(fileTarget, path.join(root, "agent-profiles.json"))).toBe(true);
+  expect(matchesWatchTarget(fileTarget, path.join(root, "AGENTS.md"))).toBe(false);
+  expect(matchesWatchTarget(treeTarget, path.join(root, "rules", "domains", "a.md"))).toBe(true);
+  expect(matchesWatchTarget(treeTarget, path.join(root, "AGENTS.md"))).toBe(false);
+});